@@ -0,0 +1,208 @@
+// lib/agentProfiles.js
+// Named voice agent profiles. A profile bundles everything that shapes one
+// realtime session: persona (the opening instructions, not to be confused with
+// the tenant's company profile), language, greeting, model, temperature, turn
+// detection, the OpenAI voice (null: the browser speaks through /api/tts) and
+// the TTS providers/voices for that. Clients pick one with
+// OpenAIRealtime.start({ profile: 'sales-es' }); the server validates and
+// applies it when minting the session.
+//
+// Profiles are stored per tenant in agent_profiles and edited through
+// /api/admin/profiles. Stored fields override the built-in 'default' profile,
+// which always exists (also without a database) and can itself be overridden.
+// A profile without a language answers in the caller's; its default greeting
+// then follows the browser's language hint.
+import { pool } from './db.js';
+import { REALTIME_MODEL, REALTIME_TOOLS, agentInstructions, WEB_INTRO } from './agentTools.js';
+import { TTS_PROVIDERS, localVoice } from './tts.js';
+import { resolveLocale, strings } from './templates.js';
+
+export const DEFAULT_PROFILE_NAME = 'default';
+export const PROFILE_NAME_RE = /^[a-z0-9][a-z0-9-]{0,39}$/;
+export const REALTIME_MODELS = String(process.env.REALTIME_MODELS || `${REALTIME_MODEL},gpt-4o-mini-realtime-preview,gpt-realtime`)
+  .split(',').map(s => s.trim()).filter(Boolean);
+export const REALTIME_VOICES = ['alloy', 'ash', 'ballad', 'coral', 'echo', 'sage', 'shimmer', 'verse', 'marin', 'cedar'];
+const VAD_TYPES = ['server_vad', 'semantic_vad'];
+const EAGERNESS = ['low', 'medium', 'high', 'auto'];
+
+// locale: the language the greeting is written in (the profile's, else the caller's hint)
+export function defaultProfile(tenant, locale) {
+  return {
+    label: 'Website voice agent',
+    persona: WEB_INTRO,
+    language: '',
+    greeting: strings(resolveLocale(locale)).agent.greeting(tenant.name),
+    model: REALTIME_MODEL,
+    temperature: 0.8,
+    turnDetection: { type: 'server_vad' },
+    voice: null,
+    tts: { providers: [], voices: {} },
+  };
+}
+
+/* ---- Validation ---- */
+// Field errors use the { field: code } shape of lib/validate.js (see fieldErrors)
+const isLanguageTag = (v) => { try { return Intl.getCanonicalLocales(v).length === 1; } catch { return false; } };
+const inRange = (v, min, max) => typeof v === 'number' && Number.isFinite(v) && v >= min && v <= max;
+const text = (v, max, fields, key) => {
+  if (v == null) return undefined;
+  const s = String(v).replace(/\r\n?/g, '\n').trim();
+  if (s.length > max) { fields[key] = 'too_long'; return undefined; }
+  return s;
+};
+
+function validateTurnDetection(td, fields) {
+  if (td == null) return undefined;
+  if (typeof td !== 'object' || !VAD_TYPES.includes(td.type)) { fields['turnDetection.type'] = 'invalid_option'; return undefined; }
+  const out = { type: td.type };
+  if (td.type === 'semantic_vad') {
+    if (td.eagerness != null) {
+      if (EAGERNESS.includes(td.eagerness)) out.eagerness = td.eagerness;
+      else fields['turnDetection.eagerness'] = 'invalid_option';
+    }
+    return out;
+  }
+  const num = (key, min, max) => {
+    if (td[key] == null) return;
+    if (inRange(td[key], min, max)) out[key] = td[key];
+    else fields[`turnDetection.${key}`] = 'out_of_range';
+  };
+  num('threshold', 0, 1);
+  num('prefixPaddingMs', 0, 2000);
+  num('silenceDurationMs', 100, 3000);
+  return out;
+}
+
+function validateTts(tts, fields) {
+  if (tts == null) return undefined;
+  if (typeof tts !== 'object') { fields.tts = 'invalid_option'; return undefined; }
+  const providers = tts.providers ?? [];
+  if (!Array.isArray(providers) || providers.some(p => !TTS_PROVIDERS.includes(p))) fields['tts.providers'] = 'invalid_option';
+  const voices = tts.voices ?? {};
+  if (typeof voices !== 'object' || Array.isArray(voices)
+    || Object.entries(voices).some(([p, v]) => !TTS_PROVIDERS.includes(p) || typeof v !== 'string' || !v.trim() || v.length > 200
+      || (p === 'local' && !localVoice(v)))) {
+    fields['tts.voices'] = 'invalid_option';
+  }
+  if (fields['tts.providers'] || fields['tts.voices']) return undefined;
+  return { providers: [...new Set(providers)], voices: Object.fromEntries(Object.entries(voices).map(([p, v]) => [p, v.trim()])) };
+}
+
+/**
+ * Check a profile body from the admin API. Every field is optional (missing
+ * ones fall back to the default profile). Returns { ok, value, fields }.
+ */
+export function validateProfile(body) {
+  const b = body && typeof body === 'object' ? body : {};
+  const fields = {};
+  const value = {
+    label: text(b.label, 80, fields, 'label'),
+    persona: text(b.persona, 4000, fields, 'persona'),
+    greeting: text(b.greeting, 300, fields, 'greeting'),
+    turnDetection: validateTurnDetection(b.turnDetection, fields),
+    tts: validateTts(b.tts, fields),
+  };
+  if (b.language != null && b.language !== '') {
+    if (isLanguageTag(String(b.language))) value.language = Intl.getCanonicalLocales(String(b.language))[0];
+    else fields.language = 'invalid_language';
+  } else if (b.language === '') value.language = '';
+  if (b.model != null) {
+    if (REALTIME_MODELS.includes(b.model)) value.model = b.model;
+    else fields.model = 'invalid_option';
+  }
+  if (b.temperature != null) {
+    if (inRange(b.temperature, 0.6, 1.2)) value.temperature = b.temperature;
+    else fields.temperature = 'out_of_range';
+  }
+  if (b.voice !== undefined) {
+    if (b.voice === null || REALTIME_VOICES.includes(b.voice)) value.voice = b.voice;
+    else fields.voice = 'invalid_option';
+  }
+  for (const k of Object.keys(value)) if (value[k] === undefined) delete value[k];
+  return { ok: !Object.keys(fields).length, value, fields };
+}
+
+/* ---- Storage ---- */
+const rowProfile = (tenant, name, config, row, hint) => ({
+  name, ...defaultProfile(tenant, config?.language || hint), ...(config || {}),
+  stored: !!row, updatedAt: row?.updated_at || null,
+});
+
+/**
+ * Resolved profile (stored fields over the default), or null for an unknown name.
+ * hint: the caller's language tag, for defaults that depend on it (the greeting).
+ */
+export async function getProfile(tenant, name = DEFAULT_PROFILE_NAME, { hint } = {}) {
+  if (!PROFILE_NAME_RE.test(name)) return null;
+  let row = null;
+  if (pool) {
+    const { rows } = await pool.query('SELECT * FROM agent_profiles WHERE tenant = $1 AND name = $2', [tenant.key, name]);
+    row = rows[0] || null;
+  }
+  if (!row && name !== DEFAULT_PROFILE_NAME) return null;
+  return rowProfile(tenant, name, row?.config, row, hint);
+}
+
+export async function listProfiles(tenant) {
+  const rows = pool
+    ? (await pool.query('SELECT * FROM agent_profiles WHERE tenant = $1 ORDER BY name', [tenant.key])).rows
+    : [];
+  const out = rows.map(r => rowProfile(tenant, r.name, r.config, r));
+  if (!rows.some(r => r.name === DEFAULT_PROFILE_NAME)) out.unshift(rowProfile(tenant, DEFAULT_PROFILE_NAME, null, null));
+  return out;
+}
+
+// config: validateProfile(...).value; replaces what was stored under that name
+export async function saveProfile(tenant, name, config) {
+  const { rows } = await pool.query(
+    `INSERT INTO agent_profiles (tenant, name, config) VALUES ($1, $2, $3)
+     ON CONFLICT (tenant, name) DO UPDATE SET config = EXCLUDED.config, updated_at = now()
+     RETURNING *`,
+    [tenant.key, name, config]
+  );
+  return rowProfile(tenant, name, rows[0].config, rows[0]);
+}
+
+export async function deleteProfile(tenant, name) {
+  const { rowCount } = await pool.query('DELETE FROM agent_profiles WHERE tenant = $1 AND name = $2', [tenant.key, name]);
+  return rowCount > 0;
+}
+
+/* ---- Session ---- */
+function turnDetectionBody(td) {
+  if (td.type === 'semantic_vad') return { type: 'semantic_vad', ...(td.eagerness ? { eagerness: td.eagerness } : {}) };
+  return {
+    type: 'server_vad',
+    ...(td.threshold != null ? { threshold: td.threshold } : {}),
+    ...(td.prefixPaddingMs != null ? { prefix_padding_ms: td.prefixPaddingMs } : {}),
+    ...(td.silenceDurationMs != null ? { silence_duration_ms: td.silenceDurationMs } : {}),
+  };
+}
+
+/**
+ * OpenAI realtime session body for a resolved profile. extra: caller-supplied
+ * instructions (placed first, as before profiles); hint: the browser's language,
+ * which the agent starts in when the profile has none. Without a voice the
+ * session still transcribes audio but the browser speaks the text through /api/tts.
+ */
+export function sessionBody(tenant, p, { extra, hint } = {}) {
+  return {
+    model: p.model,
+    modalities: ['text', 'audio'],
+    instructions: agentInstructions(tenant, { intro: p.persona, extra, language: p.language, hint }),
+    tools: REALTIME_TOOLS,
+    tool_choice: 'auto',
+    temperature: p.temperature,
+    turn_detection: turnDetectionBody(p.turnDetection),
+    // caller turns for the transcript; a fixed language improves accuracy, otherwise whisper detects it
+    input_audio_transcription: { model: 'whisper-1', ...(p.language ? { language: p.language.split('-')[0] } : {}) },
+    ...(p.voice ? { voice: p.voice } : {}),
+  };
+}
+
+// What the browser needs to run the session it was given; turnDetection is the
+// session's turn_detection, for session.updates that must keep it
+export const publicProfile = (p) => ({
+  name: p.name, language: p.language || null, greeting: p.greeting || '', voice: p.voice, tts: p.tts,
+  turnDetection: turnDetectionBody(p.turnDetection),
+});
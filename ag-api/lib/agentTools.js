@@ -0,0 +1,159 @@
+// lib/agentTools.js
+// Function tools and instructions for OpenAI Realtime sessions. The browser SDK
+// (public/sdk/openai-realtime.v1.js) and the phone bridge (lib/phone.js) run the
+// tools against our own API and return the JSON result as function_call_output,
+// so the model speaks real outcomes.
+import { SLOT_MIN, WINDOW_DAYS } from './slots.js';
+import { LEAD_FIELDS, leadInstructions } from './leads.js';
+
+export const REALTIME_MODEL = 'gpt-4o-realtime-preview';
+
+const DATE = { type: 'string', description: 'Calendar date in the caller\'s time zone, YYYY-MM-DD' };
+const TIME = { type: 'string', description: '24h start time in the caller\'s time zone, HH:mm' };
+const TZ = { type: 'string', description: 'Caller\'s IANA time zone, e.g. America/New_York' };
+
+// One property per qualification field in LEAD_SCHEMA
+const leadProperty = (f) => ({
+  type: f.type === 'number' ? 'number' : 'string',
+  ...(f.type === 'enum' ? { enum: f.options } : {}),
+  description: f.description || f.label,
+});
+
+export const REALTIME_TOOLS = [
+  {
+    type: 'function',
+    name: 'check_availability',
+    description: 'List open intro-call start times on a day. Call before proposing or booking a time.',
+    parameters: {
+      type: 'object',
+      properties: { date: DATE, timeZone: TZ },
+      required: ['date', 'timeZone'],
+    },
+  },
+  {
+    type: 'function',
+    name: 'book_call',
+    description: `Book a ${SLOT_MIN}-minute intro call. Only call after the caller confirmed name, email, date and time.`,
+    parameters: {
+      type: 'object',
+      properties: {
+        fullName: { type: 'string' },
+        email: { type: 'string' },
+        phone: { type: 'string' },
+        company: { type: 'string' },
+        date: DATE,
+        time: TIME,
+        timeZone: TZ,
+        notes: { type: 'string', description: 'Anything the caller wants sales to know' },
+      },
+      required: ['fullName', 'email', 'date', 'time', 'timeZone'],
+    },
+  },
+  {
+    type: 'function',
+    name: 'reschedule_call',
+    description: 'Move the call booked earlier in this conversation to a new time.',
+    parameters: {
+      type: 'object',
+      properties: { date: DATE, time: TIME, timeZone: TZ },
+      required: ['date', 'time', 'timeZone'],
+    },
+  },
+  {
+    type: 'function',
+    name: 'search_knowledge',
+    description: 'Search the business\'s knowledge base (pricing, plans, features, policies, FAQ). Call before answering any factual question; answer only from the results.',
+    parameters: {
+      type: 'object',
+      properties: { query: { type: 'string', description: 'What the caller wants to know, in a few keywords' } },
+      required: ['query'],
+    },
+  },
+  {
+    type: 'function',
+    name: 'request_human',
+    description: 'Hand the conversation to a person on the team. Call when the caller asks for a human, or is clearly frustrated or stuck.',
+    parameters: {
+      type: 'object',
+      properties: {
+        reason: { type: 'string', description: 'Why, in a few words, e.g. "billing dispute" or "asked for a person"' },
+        urgency: { type: 'string', enum: ['normal', 'high'], description: 'high only when the caller is upset or it cannot wait' },
+      },
+      required: ['reason'],
+    },
+  },
+  {
+    type: 'function',
+    name: 'save_lead',
+    description: 'Save what you learned about the caller and their business. Send only the fields you know; call again as you learn more.',
+    parameters: {
+      type: 'object',
+      properties: {
+        fullName: { type: 'string' },
+        email: { type: 'string' },
+        phone: { type: 'string' },
+        company: { type: 'string' },
+        ...Object.fromEntries(LEAD_FIELDS.map(f => [f.key, leadProperty(f)])),
+      },
+    },
+  },
+];
+
+export const WEB_INTRO = 'You are a warm, concise voice agent for the website. Keep replies under two sentences unless clarifying.';
+
+// 'es-MX' -> 'Spanish (Mexico)'
+const languageName = (tag) => {
+  try { return new Intl.DisplayNames(['en'], { type: 'language' }).of(tag) || tag; } catch { return tag; }
+};
+
+/**
+ * Session instructions for a tenant: persona, knowledge notes, booking protocol
+ * and lead questions. intro replaces the opening line (the phone bridge and
+ * agent profiles have their own); extra (caller-supplied) goes first; language
+ * (BCP 47) is the one the agent should speak. Without it the agent answers in
+ * whatever language the caller speaks, starting with hint (e.g. the browser's
+ * navigator.language) until they have said something.
+ */
+export function agentInstructions(tenant, { intro = WEB_INTRO, extra, language, hint } = {}) {
+  const bookingProtocol = `
+You can book calls with ${tenant.name} using the check_availability, book_call and reschedule_call tools.
+- Collect: full name, email, (optional) phone/company, desired date and time, and the user's time zone (IANA).
+- Check availability before offering times; only offer times the tool returned.
+- Read the details back and call book_call once the user confirms. Never say a call is booked unless the tool returned ok.
+- When book_call returns a confirmation, say it as given: it is already in the caller's language.
+- If a tool returns alternatives, offer two or three of them. If it returns fields, tell the user which detail is wrong and ask for it again.
+- On any other error, suggest the booking form on the site.
+- Use 24h HH:mm time in the user's own time zone. Calls are ${SLOT_MIN} minutes.
+- Business hours: ${tenant.businessHours} (${tenant.businessTz}); suggest within ${WINDOW_DAYS} days.
+- reschedule_call only moves a call booked in this conversation; for older bookings point to the link in the confirmation email.
+- Before stating prices, plan details or policies, call search_knowledge and stick to what it returns.
+`.trim();
+
+  const handoffProtocol = `
+Hand-off to a person:
+- If the caller asks for a person, or is frustrated or going in circles, call request_human with a short reason. Do not argue or repeat yourself.
+- If it returns live: true, say a teammate has been alerted and can join this conversation shortly, and keep helping until they do.
+- Otherwise offer a callback: find a time with check_availability and book it with book_call, with "Callback requested: <reason>" in notes.
+- If withinHours is false, say the team is away (hours: businessHours from the result) and will follow up; still offer the callback.
+- When a teammate joins you will be told; from then on only relay their messages, word for word (translated if the caller speaks another language).
+`.trim();
+
+  const languageRule = language
+    ? `Speak ${languageName(language)} (${language}). Tool arguments (dates, times, emails) stay in the formats described below.`
+    : [
+      'Answer in the language the caller speaks.',
+      hint && `Their device is set to ${languageName(hint)}, so use that until they speak.`,
+      'If they switch languages, switch with them and stay in their language. Tool arguments (dates, times, emails) stay in the formats described below.',
+    ].filter(Boolean).join(' ');
+
+  return [
+    extra,
+    intro,
+    languageRule,
+    tenant.profile,
+    tenant.knowledge && `Knowledge notes (authoritative; prefer these over assumptions):\n${tenant.knowledge}`,
+    bookingProtocol,
+    handoffProtocol,
+    leadInstructions(),
+  ].filter(Boolean).join('\n\n');
+}
@@ -0,0 +1,145 @@
+// lib/analytics.js
+// Funnel analytics for the voice agent and the booking form. Clients post
+// lifecycle events to /api/events (routes/events.js): the browser SDK and the
+// phone bridge per voice session, public/book.html per form submit. Every event
+// carries the client's own session id, so a funnel step counts sessions that
+// reached it rather than raw events (retries and reconnects don't inflate it).
+// /api/admin/metrics aggregates them per UTC day.
+import { pool } from './db.js';
+import { addDays } from './time.js';
+
+// Voice session: started -> (mic_denied) -> first_response -> booking_attempted -> booking_succeeded | booking_failed -> ended
+// Booking form:  form_submitted -> booking_succeeded | form_error
+export const EVENT_TYPES = [
+  'session_started', 'mic_denied', 'first_response', 'booking_attempted', 'booking_succeeded', 'booking_failed',
+  'session_ended', 'form_submitted', 'form_error',
+];
+// Events that open a session, for conversion rates
+const START_TYPES = ['session_started', 'form_submitted'];
+export const MAX_EVENTS = 20;
+const MAX_DURATION_MS = 6 * 3600 * 1000;
+const SESSION_RE = /^[A-Za-z0-9_-]{8,64}$/;
+
+/* ---- Collecting ---- */
+const short = (v, max) => (v == null || v === '' ? null : String(v).trim().slice(0, max) || null);
+
+/**
+ * One event from a client: { type, sessionId, conversationId?, source?, plan?, tier?,
+ * durationMs? (session_ended: call length; first_response: time to the first reply), error? }.
+ * Returns the row to store, or null when it is not a valid event.
+ */
+export function parseEvent(e) {
+  if (!e || typeof e !== 'object' || !EVENT_TYPES.includes(e.type)) return null;
+  const sessionId = String(e.sessionId || '');
+  if (!SESSION_RE.test(sessionId)) return null;
+  let durationMs = null;
+  if (e.durationMs != null) {
+    const n = Number(e.durationMs);
+    if (!Number.isFinite(n) || n < 0) return null;
+    durationMs = Math.min(Math.round(n), MAX_DURATION_MS);
+  }
+  return {
+    type: e.type, sessionId, durationMs,
+    conversationId: short(e.conversationId, 64), source: short(e.source, 40),
+    plan: short(e.plan, 40), tier: short(e.tier, 40), error: short(e.error, 80),
+  };
+}
+
+export async function recordEvents(tenant, events) {
+  if (!events.length) return 0;
+  const cols = ['tenant', 'type', 'session_id', 'conversation_id', 'source', 'plan', 'tier', 'duration_ms', 'error'];
+  const values = [];
+  const rows = events.map((e, i) => {
+    values.push(tenant, e.type, e.sessionId, e.conversationId, e.source, e.plan, e.tier, e.durationMs, e.error);
+    return `(${cols.map((_, j) => `$${i * cols.length + j + 1}`).join(', ')})`;
+  });
+  const { rowCount } = await pool.query(`INSERT INTO analytics_events (${cols.join(', ')}) VALUES ${rows.join(', ')}`, values);
+  return rowCount;
+}
+
+/* ---- Metrics ---- */
+const STEP_KEYS = {
+  session_started: 'sessions', mic_denied: 'micDenied', first_response: 'firstResponse',
+  booking_attempted: 'bookingAttempted', booking_succeeded: 'bookingSucceeded', booking_failed: 'bookingFailed',
+  session_ended: 'sessionsEnded', form_submitted: 'formSubmitted', form_error: 'formErrors',
+};
+const emptyDay = (day) => ({
+  day, ...Object.fromEntries(Object.values(STEP_KEYS).map(k => [k, 0])),
+  realtimeMinutes: 0, avgSessionSec: null, avgFirstResponseMs: null, bookings: 0,
+});
+const minutes = (ms) => Math.round(Number(ms) / 600) / 100;
+const rate = (n, d) => (d ? Math.round((n / d) * 1000) / 1000 : null);
+
+/**
+ * Daily funnel, conversion by plan / tier / source and realtime minutes for
+ * the UTC days from..to (YYYY-MM-DD, inclusive). tenant: key, or all when absent.
+ * bookings counts what was actually stored per day (all channels), next to the
+ * event-based booking_succeeded.
+ */
+export async function funnelMetrics({ from, to, tenant } = {}) {
+  const range = [`${from}T00:00:00Z`, `${addDays(to, 1)}T00:00:00Z`, tenant || null];
+  const scope = `created_at >= $1::timestamptz AND created_at < $2::timestamptz AND ($3::text IS NULL OR tenant = $3)`;
+
+  const { rows: steps } = await pool.query(
+    `SELECT to_char(created_at AT TIME ZONE 'UTC', 'YYYY-MM-DD') AS day, type,
+            count(DISTINCT session_id)::int AS sessions,
+            sum(duration_ms)::bigint AS duration_ms, count(duration_ms)::int AS timed
+       FROM analytics_events WHERE ${scope}
+      GROUP BY 1, 2`,
+    range
+  );
+  const { rows: stored } = await pool.query(
+    `SELECT to_char(created_at AT TIME ZONE 'UTC', 'YYYY-MM-DD') AS day, count(*)::int AS n
+       FROM bookings WHERE ${scope}
+      GROUP BY 1`,
+    range
+  );
+  // A session's plan / tier / source is the first one it reported
+  const { rows: groups } = await pool.query(
+    `WITH s AS (
+       SELECT session_id,
+              (array_agg(source ORDER BY id) FILTER (WHERE source IS NOT NULL))[1] AS source,
+              (array_agg(plan ORDER BY id) FILTER (WHERE plan IS NOT NULL))[1] AS plan,
+              (array_agg(tier ORDER BY id) FILTER (WHERE tier IS NOT NULL))[1] AS tier,
+              bool_or(type = ANY($4)) AS started,
+              bool_or(type = 'booking_succeeded') AS booked
+         FROM analytics_events WHERE ${scope}
+        GROUP BY session_id)
+     SELECT CASE WHEN GROUPING(source) = 0 THEN 'source' WHEN GROUPING(plan) = 0 THEN 'plan' ELSE 'tier' END AS dim,
+            coalesce(source, plan, tier) AS value,
+            count(*) FILTER (WHERE started)::int AS sessions, count(*) FILTER (WHERE booked)::int AS booked
+       FROM s GROUP BY GROUPING SETS ((source), (plan), (tier))`,
+    [...range, START_TYPES]
+  );
+
+  const days = new Map();
+  for (let d = from; d <= to; d = addDays(d, 1)) days.set(d, emptyDay(d));
+  for (const r of steps) {
+    const day = days.get(r.day);
+    if (!day) continue;
+    day[STEP_KEYS[r.type]] = r.sessions;
+    if (r.type === 'session_ended') {
+      day.realtimeMinutes = minutes(r.duration_ms || 0);
+      day.avgSessionSec = r.timed ? Math.round(Number(r.duration_ms) / r.timed / 1000) : null;
+    }
+    if (r.type === 'first_response' && r.timed) day.avgFirstResponseMs = Math.round(Number(r.duration_ms) / r.timed);
+  }
+  for (const r of stored) if (days.has(r.day)) days.get(r.day).bookings = r.n;
+
+  const daily = [...days.values()];
+  const totals = Object.fromEntries(Object.values(STEP_KEYS).map(k => [k, daily.reduce((n, d) => n + d[k], 0)]));
+  totals.bookings = daily.reduce((n, d) => n + d.bookings, 0);
+  totals.realtimeMinutes = Math.round(daily.reduce((m, d) => m + d.realtimeMinutes, 0) * 100) / 100;
+  totals.conversion = rate(totals.bookingSucceeded, totals.sessions + totals.formSubmitted);
+
+  // null: sessions that never said (voice sessions have no plan or tier)
+  const by = (dim) => groups
+    .filter(g => g.dim === dim)
+    .map(g => ({ [dim]: g.value, sessions: g.sessions, booked: g.booked, conversion: rate(g.booked, g.sessions) }))
+    .sort((a, b) => b.sessions - a.sessions);
+
+  return {
+    from, to, tenant: tenant || null, daily, totals,
+    conversion: { byPlan: by('plan'), byTier: by('tier'), bySource: by('source') },
+  };
+}
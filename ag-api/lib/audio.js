@@ -0,0 +1,136 @@
+// lib/audio.js
+// Audio helpers for the phone bridge (lib/phone.js): G.711 µ-law <-> 16-bit PCM
+// and a linear resampler. Carriers send 8 kHz µ-law, the realtime model speaks
+// 24 kHz PCM16 (little-endian, mono). Also a minimal WAV reader/writer for
+// scripts/fake-carrier.js.
+
+export const CARRIER_RATE = 8000;
+export const MODEL_RATE = 24000;
+// 20 ms of 8 kHz µ-law, the frame size carriers send and expect
+export const FRAME_BYTES = 160;
+
+const BIAS = 0x84;
+const CLIP = 32635;
+
+// µ-law decode table (256 entries)
+const ULAW_TO_PCM = new Int16Array(256);
+for (let i = 0; i < 256; i++) {
+  const u = ~i & 0xff;
+  const exponent = (u >> 4) & 0x07;
+  const sample = ((((u & 0x0f) << 3) + BIAS) << exponent) - BIAS;
+  ULAW_TO_PCM[i] = u & 0x80 ? -sample : sample;
+}
+
+function encodeSample(s) {
+  const sign = s < 0 ? 0x80 : 0;
+  let m = Math.min(Math.abs(s), CLIP) + BIAS;
+  let exponent = 7;
+  for (let mask = 0x4000; (m & mask) === 0 && exponent > 0; mask >>= 1) exponent--;
+  const mantissa = (m >> (exponent + 3)) & 0x0f;
+  return ~(sign | (exponent << 4) | mantissa) & 0xff;
+}
+
+export function ulawToPcm16(buf) {
+  const out = new Int16Array(buf.length);
+  for (let i = 0; i < buf.length; i++) out[i] = ULAW_TO_PCM[buf[i]];
+  return out;
+}
+
+export function pcm16ToUlaw(samples) {
+  const out = Buffer.alloc(samples.length);
+  for (let i = 0; i < samples.length; i++) out[i] = encodeSample(samples[i]);
+  return out;
+}
+
+// Linear interpolation; fine for speech. Downsampling averages over each step
+// so 24 kHz -> 8 kHz does not alias as badly as plain decimation.
+export function resample(samples, fromRate, toRate) {
+  if (fromRate === toRate || !samples.length) return samples;
+  const ratio = fromRate / toRate;
+  const out = new Int16Array(Math.floor(samples.length / ratio));
+  for (let i = 0; i < out.length; i++) {
+    const pos = i * ratio;
+    if (ratio > 1) {
+      const end = Math.min(Math.floor(pos + ratio), samples.length);
+      let sum = 0;
+      for (let j = Math.floor(pos); j < end; j++) sum += samples[j];
+      out[i] = Math.round(sum / Math.max(1, end - Math.floor(pos)));
+    } else {
+      const j = Math.floor(pos);
+      const frac = pos - j;
+      const next = samples[Math.min(j + 1, samples.length - 1)];
+      out[i] = Math.round(samples[j] * (1 - frac) + next * frac);
+    }
+  }
+  return out;
+}
+
+// Int16Array <-> little-endian bytes (what the realtime API base64-encodes)
+export const pcm16ToBuffer = (samples) => Buffer.from(samples.buffer, samples.byteOffset, samples.byteLength);
+export function bufferToPcm16(buf) {
+  const out = new Int16Array(buf.length >> 1);
+  for (let i = 0; i < out.length; i++) out[i] = buf.readInt16LE(i * 2);
+  return out;
+}
+
+// Carrier frame (base64 µ-law 8 kHz) -> model input (base64 PCM16 24 kHz)
+export const carrierToModel = (payload) =>
+  pcm16ToBuffer(resample(ulawToPcm16(Buffer.from(payload, 'base64')), CARRIER_RATE, MODEL_RATE)).toString('base64');
+
+// Model output delta (base64 PCM16 24 kHz) -> µ-law 8 kHz bytes
+export const modelToCarrier = (delta) =>
+  pcm16ToUlaw(resample(bufferToPcm16(Buffer.from(delta, 'base64')), MODEL_RATE, CARRIER_RATE));
+
+/**
+ * PCM WAV file -> { sampleRate, samples } (mono Int16Array; channels are averaged).
+ * Throws on anything but 16-bit PCM or 8-bit µ-law.
+ */
+export function readWav(buf) {
+  if (buf.toString('ascii', 0, 4) !== 'RIFF' || buf.toString('ascii', 8, 12) !== 'WAVE') throw new Error('not a WAV file');
+  let fmt = null;
+  for (let off = 12; off + 8 <= buf.length;) {
+    const id = buf.toString('ascii', off, off + 4);
+    const size = buf.readUInt32LE(off + 4);
+    const body = buf.subarray(off + 8, off + 8 + size);
+    if (id === 'fmt ') {
+      fmt = { format: body.readUInt16LE(0), channels: body.readUInt16LE(2), sampleRate: body.readUInt32LE(4), bits: body.readUInt16LE(14) };
+    } else if (id === 'data') {
+      if (!fmt) throw new Error('data before fmt chunk');
+      let mono;
+      if (fmt.format === 1 && fmt.bits === 16) mono = bufferToPcm16(body);
+      else if (fmt.format === 7 && fmt.bits === 8) mono = ulawToPcm16(body);
+      else throw new Error(`unsupported WAV encoding (format ${fmt.format}, ${fmt.bits} bit)`);
+      if (fmt.channels > 1) {
+        const out = new Int16Array(Math.floor(mono.length / fmt.channels));
+        for (let i = 0; i < out.length; i++) {
+          let sum = 0;
+          for (let c = 0; c < fmt.channels; c++) sum += mono[i * fmt.channels + c];
+          out[i] = Math.round(sum / fmt.channels);
+        }
+        mono = out;
+      }
+      return { sampleRate: fmt.sampleRate, samples: mono };
+    }
+    off += 8 + size + (size & 1);
+  }
+  throw new Error('no data chunk');
+}
+
+// Mono PCM16 samples -> WAV file bytes
+export function writeWav(samples, sampleRate) {
+  const data = pcm16ToBuffer(samples);
+  const head = Buffer.alloc(44);
+  head.write('RIFF', 0, 'ascii');
+  head.writeUInt32LE(36 + data.length, 4);
+  head.write('WAVEfmt ', 8, 'ascii');
+  head.writeUInt32LE(16, 16);
+  head.writeUInt16LE(1, 20);
+  head.writeUInt16LE(1, 22);
+  head.writeUInt32LE(sampleRate, 24);
+  head.writeUInt32LE(sampleRate * 2, 28);
+  head.writeUInt16LE(2, 32);
+  head.writeUInt16LE(16, 34);
+  head.write('data', 36, 'ascii');
+  head.writeUInt32LE(data.length, 40);
+  return Buffer.concat([head, data]);
+}
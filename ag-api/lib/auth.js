@@ -0,0 +1,56 @@
+// lib/auth.js
+// Staff auth for /admin and /api/admin/*: "Authorization: Bearer <ADMIN_TOKEN>"
+// or a signed session cookie issued by POST /api/admin/login.
+import crypto from 'crypto';
+
+const ADMIN_TOKEN = (process.env.ADMIN_TOKEN || '').trim();
+const SESSION_COOKIE = 'ag_admin';
+const SESSION_HOURS = Number(process.env.ADMIN_SESSION_HOURS || 12);
+
+if (!ADMIN_TOKEN) console.warn('Admin: disabled (missing ADMIN_TOKEN)');
+
+function safeEqual(a, b) {
+  const x = Buffer.from(String(a)), y = Buffer.from(String(b));
+  return x.length === y.length && crypto.timingSafeEqual(x, y);
+}
+
+const sign = (payload) => crypto.createHmac('sha256', `session:${ADMIN_TOKEN}`).update(payload).digest('base64url');
+
+function readCookie(req, name) {
+  for (const part of String(req.headers.cookie || '').split(';')) {
+    const i = part.indexOf('=');
+    if (i > -1 && part.slice(0, i).trim() === name) return decodeURIComponent(part.slice(i + 1).trim());
+  }
+  return '';
+}
+
+function validSession(value) {
+  const [exp, sig] = String(value || '').split('.');
+  if (!exp || !sig || Number(exp) < Date.now()) return false;
+  return safeEqual(sig, sign(exp));
+}
+
+export const checkAdminToken = (token) => !!ADMIN_TOKEN && safeEqual(String(token || '').trim(), ADMIN_TOKEN);
+
+export function isAdminRequest(req) {
+  if (!ADMIN_TOKEN) return false;
+  const m = String(req.headers.authorization || '').match(/^Bearer\s+(.+)$/i);
+  if (m) return checkAdminToken(m[1]);
+  return validSession(readCookie(req, SESSION_COOKIE));
+}
+
+export function requireAdmin(req, res, next) {
+  if (!ADMIN_TOKEN) return res.status(503).json({ ok:false, error:'admin_disabled' });
+  if (!isAdminRequest(req)) return res.status(401).json({ ok:false, error:'unauthorized' });
+  next();
+}
+
+export function startSession(res) {
+  const exp = String(Date.now() + SESSION_HOURS * 3600 * 1000);
+  res.setHeader('Set-Cookie',
+    `${SESSION_COOKIE}=${exp}.${sign(exp)}; Path=/; HttpOnly; Secure; SameSite=Strict; Max-Age=${SESSION_HOURS * 3600}`);
+}
+
+export function endSession(res) {
+  res.setHeader('Set-Cookie', `${SESSION_COOKIE}=; Path=/; HttpOnly; Secure; SameSite=Strict; Max-Age=0`);
+}
@@ -0,0 +1,273 @@
+// lib/bookings.js
+// Booking persistence with overlap checks and short-lived slot holds.
+// Every availability-changing write takes the same transaction-scoped advisory
+// lock, so concurrent requests (and multiple instances) serialize on it.
+// Availability is per tenant (lib/tenants.js): rows only clash within one.
+import crypto from 'crypto';
+import { pool, withTransaction } from './db.js';
+import { DEFAULT_TENANT_KEY } from './tenants.js';
+
+const LOCK_KEY = 42017001;
+export const HOLD_TTL_SEC = Number(process.env.HOLD_TTL_SEC || 300);
+
+// Bookings in these states no longer occupy their slot
+const RELEASED = `('cancelled', 'declined')`;
+
+const lock = (client) => client.query('SELECT pg_advisory_xact_lock($1)', [LOCK_KEY]);
+
+// The tenant's bookings and live holds overlapping [startISO, endISO), minus the caller's own hold/booking
+async function findConflicts(client, tenant, startISO, endISO, { holdToken, excludeId } = {}) {
+  const { rows } = await client.query(
+    `SELECT 'booking' AS kind, id, email, start_utc, end_utc FROM bookings
+      WHERE tenant = $5 AND start_utc < $2 AND end_utc > $1
+        AND coalesce(status, 'pending') NOT IN ${RELEASED}
+        AND ($4::bigint IS NULL OR id <> $4)
+     UNION ALL
+     SELECT 'hold' AS kind, id, email, start_utc, end_utc FROM booking_holds
+      WHERE tenant = $5 AND start_utc < $2 AND end_utc > $1 AND expires_at > now()
+        AND ($3::text IS NULL OR token <> $3)`,
+    [startISO, endISO, holdToken || null, excludeId || null, tenant]
+  );
+  return rows;
+}
+
+/**
+ * Insert a booking row unless its range overlaps another booking or hold.
+ * row: column -> value map for the bookings table (row.tenant scopes the check).
+ * Resolves { ok:true, id, booking } | { ok:true, duplicate:true, id } | { ok:false, error:'slot_taken' }.
+ */
+export async function insertBooking(row, { holdToken } = {}) {
+  return withTransaction(async (client) => {
+    await lock(client);
+    if (row.start_utc && row.end_utc) {
+      const hits = await findConflicts(client, row.tenant || DEFAULT_TENANT_KEY, row.start_utc, row.end_utc, { holdToken });
+      // Same person re-submitting the same slot is a retry, not a clash
+      const mine = hits.find(h => h.kind === 'booking'
+        && String(h.email || '').toLowerCase() === String(row.email || '').toLowerCase()
+        && new Date(h.start_utc).getTime() === new Date(row.start_utc).getTime());
+      if (mine) return { ok:true, duplicate:true, id: mine.id };
+      if (hits.length) return { ok:false, error:'slot_taken' };
+    }
+    const cols = Object.keys(row);
+    const { rows } = await client.query(
+      `INSERT INTO bookings (${cols.map(c => `"${c}"`).join(', ')})
+       VALUES (${cols.map((_, i) => `$${i + 1}`).join(', ')})
+       RETURNING *`,
+      cols.map(c => row[c])
+    );
+    if (holdToken) await client.query('DELETE FROM booking_holds WHERE token = $1', [holdToken]);
+    return { ok:true, id: rows[0].id, booking: rows[0] };
+  });
+}
+
+/**
+ * Reserve [startISO, endISO) for HOLD_TTL_SEC so nobody else can book it.
+ * Resolves { ok:true, hold:{ token, start, end, expiresAt } } | { ok:false, error:'slot_taken' }.
+ */
+export async function createHold({ tenant = DEFAULT_TENANT_KEY, startISO, endISO, email = null, source = null, ttlSec = HOLD_TTL_SEC }) {
+  return withTransaction(async (client) => {
+    await lock(client);
+    await client.query(`DELETE FROM booking_holds WHERE expires_at < now() - interval '1 hour'`);
+    const hits = await findConflicts(client, tenant, startISO, endISO);
+    if (hits.length) return { ok:false, error:'slot_taken' };
+    const token = crypto.randomBytes(18).toString('base64url');
+    const { rows } = await client.query(
+      `INSERT INTO booking_holds (token, expires_at, start_utc, end_utc, email, source, tenant)
+       VALUES ($1, now() + make_interval(secs => $2), $3, $4, $5, $6, $7)
+       RETURNING expires_at`,
+      [token, ttlSec, startISO, endISO, email, source, tenant]
+    );
+    return { ok:true, hold: { token, start: startISO, end: endISO, expiresAt: rows[0].expires_at } };
+  });
+}
+
+export async function releaseHold(token) {
+  const r = await pool.query('DELETE FROM booking_holds WHERE token = $1', [token]);
+  return r.rowCount > 0;
+}
+
+// Busy ranges (epoch ms) from the tenant's bookings and live holds that overlap [fromMs, toMs)
+export async function loadBusy(fromMs, toMs, tenant = DEFAULT_TENANT_KEY) {
+  if (!pool) return [];
+  const { rows } = await pool.query(
+    `SELECT start_utc, end_utc FROM bookings
+      WHERE tenant = $3 AND start_utc IS NOT NULL AND end_utc IS NOT NULL
+        AND start_utc < $2 AND end_utc > $1
+        AND coalesce(status, 'pending') NOT IN ${RELEASED}
+     UNION ALL
+     SELECT start_utc, end_utc FROM booking_holds
+      WHERE tenant = $3 AND expires_at > now() AND start_utc < $2 AND end_utc > $1`,
+    [new Date(fromMs).toISOString(), new Date(toMs).toISOString(), tenant]
+  );
+  return rows.map(r => ({ start: new Date(r.start_utc).getTime(), end: new Date(r.end_utc).getTime() }));
+}
+
+export async function findBookingByToken(token) {
+  const { rows } = await pool.query('SELECT * FROM bookings WHERE manage_token = $1', [token]);
+  return rows[0] || null;
+}
+
+// Only live, upcoming bookings may be moved or cancelled; re-checked under the lock
+// because the caller's copy of the row may be stale by then
+const CHANGEABLE = `coalesce(status, 'pending') NOT IN ${RELEASED} AND start_utc > now()`;
+
+// Why a booking can't be changed: booking_cancelled | booking_declined | booking_past | not_found
+async function changeError(client, id) {
+  const { rows: [cur] } = await client.query('SELECT status FROM bookings WHERE id = $1', [id]);
+  if (!cur) return 'not_found';
+  return ['cancelled', 'declined'].includes(cur.status) ? `booking_${cur.status}` : 'booking_past';
+}
+
+/**
+ * Move a booking to a new range; bumps ics_sequence so calendar clients update
+ * the existing event, and re-arms reminders for the new time. patch: { start_utc, end_utc, duration_min, timezone, date, time }.
+ * Resolves { ok:true, booking } | { ok:false, error:'slot_taken' | 'booking_cancelled' | 'booking_declined' | 'booking_past' | 'not_found' }.
+ */
+export async function rescheduleBooking(id, patch) {
+  return withTransaction(async (client) => {
+    await lock(client);
+    const { rows: [cur] } = await client.query('SELECT tenant FROM bookings WHERE id = $1', [id]);
+    const hits = await findConflicts(client, cur?.tenant || DEFAULT_TENANT_KEY, patch.start_utc, patch.end_utc, { excludeId: id });
+    if (hits.length) return { ok:false, error:'slot_taken' };
+    const { rows } = await client.query(
+      `UPDATE bookings
+          SET start_utc = $2, end_utc = $3, duration_min = $4, timezone = $5, date = $6, "time" = $7,
+              ics_sequence = coalesce(ics_sequence, 0) + 1, updated_at = now(),
+              reminders_sent = '{}'::jsonb
+        WHERE id = $1 AND ${CHANGEABLE}
+        RETURNING *`,
+      [id, patch.start_utc, patch.end_utc, patch.duration_min, patch.timezone, patch.date, patch.time]
+    );
+    if (!rows[0]) return { ok:false, error: await changeError(client, id) };
+    return { ok:true, booking: rows[0] };
+  });
+}
+
+/**
+ * Cancel a live, upcoming booking; bumps ics_sequence for the calendar CANCEL.
+ * Resolves { ok:true, booking } | { ok:false, error:'booking_cancelled' | 'booking_declined' | 'booking_past' | 'not_found' },
+ * so only one of two racing cancels notifies anyone.
+ */
+export async function cancelBooking(id) {
+  return withTransaction(async (client) => {
+    await lock(client);
+    const { rows } = await client.query(
+      `UPDATE bookings
+          SET status = 'cancelled', cancelled_at = now(), updated_at = now(),
+              ics_sequence = coalesce(ics_sequence, 0) + 1
+        WHERE id = $1 AND ${CHANGEABLE}
+        RETURNING *`,
+      [id]
+    );
+    if (!rows[0]) return { ok:false, error: await changeError(client, id) };
+    return { ok:true, booking: rows[0] };
+  });
+}
+
+/* ---- Admin queries ---- */
+export const BOOKING_STATUSES = ['pending', 'confirmed', 'declined', 'cancelled', 'completed', 'no_show'];
+
+// WHERE clause for admin filters; dates are calendar days in `tz`
+function adminWhere({ q, from, to, source, plan, tier, status, tenant, tz = 'UTC' } = {}) {
+  const where = [], args = [];
+  const add = (sql, v) => { args.push(v); where.push(sql.replaceAll('?', `$${args.length}`)); };
+  if (q) add(`(full_name ILIKE ? OR email ILIKE ? OR company ILIKE ? OR phone ILIKE ? OR notes ILIKE ?)`, `%${q}%`);
+  if (from) { args.push(tz); add(`start_utc >= (?::date)::timestamp AT TIME ZONE $${args.length}`, from); }
+  if (to) { args.push(tz); add(`start_utc < ((?::date) + 1)::timestamp AT TIME ZONE $${args.length}`, to); }
+  if (source) add(`source = ?`, source);
+  if (plan) add(`plan = ?`, plan);
+  if (tier) add(`tier = ?`, tier);
+  if (status) add(`coalesce(status, 'pending') = ?`, status);
+  if (tenant) add(`tenant = ?`, tenant);
+  return { sql: where.length ? `WHERE ${where.join(' AND ')}` : '', args };
+}
+
+// Roll-up of the booking's outbox messages: failed > pending > sent (null = none)
+const EMAIL_STATUS = `(
+  SELECT CASE WHEN bool_or(o.status = 'failed') THEN 'failed'
+              WHEN bool_or(o.status IN ('queued', 'sending')) THEN 'pending'
+              WHEN count(*) > 0 THEN 'sent' END
+    FROM email_outbox o WHERE o.booking_id = bookings.id) AS email_status`;
+
+export async function listBookings(filters = {}, { page = 1, limit = 50 } = {}) {
+  const { sql, args } = adminWhere(filters);
+  const offset = (Math.max(1, page) - 1) * limit;
+  const [{ rows }, count] = await Promise.all([
+    pool.query(
+      `SELECT bookings.*, ${EMAIL_STATUS} FROM bookings ${sql}
+        ORDER BY start_utc DESC NULLS LAST, id DESC
+        LIMIT ${Number(limit)} OFFSET ${Number(offset)}`,
+      args
+    ),
+    pool.query(`SELECT count(*)::int AS n FROM bookings ${sql}`, args),
+  ]);
+  return { rows, total: count.rows[0].n };
+}
+
+export async function findBookingById(id) {
+  const { rows } = await pool.query(`SELECT bookings.*, ${EMAIL_STATUS} FROM bookings WHERE id = $1`, [id]);
+  return rows[0] || null;
+}
+
+/**
+ * Staff update: optional status change and/or a timestamped internal note
+ * appended to internal_notes. Moving a cancelled or declined booking back to an
+ * active status takes the slot again, so it gets the same overlap check as a
+ * new booking. Resolves { ok:true, booking } | { ok:false, error:'slot_taken' }
+ * | { ok:false, error:'not_found' }. Cancellations go through cancelBooking().
+ */
+export async function updateBookingAdmin(id, { status, note } = {}) {
+  const stamped = note ? `[${new Date().toISOString().slice(0, 16).replace('T', ' ')} UTC] ${note}` : null;
+  return withTransaction(async (client) => {
+    await lock(client);
+    const { rows: [cur] } = await client.query('SELECT tenant, status, start_utc, end_utc FROM bookings WHERE id = $1', [id]);
+    if (!cur) return { ok:false, error:'not_found' };
+    const released = (st) => ['cancelled', 'declined'].includes(st || 'pending');
+    if (status && released(cur.status) && !released(status) && cur.start_utc && cur.end_utc) {
+      const hits = await findConflicts(client, cur.tenant || DEFAULT_TENANT_KEY, cur.start_utc, cur.end_utc, { excludeId: id });
+      if (hits.length) return { ok:false, error:'slot_taken' };
+    }
+    const { rows } = await client.query(
+      `UPDATE bookings
+          SET status = coalesce($2, status),
+              internal_notes = CASE WHEN $3::text IS NULL THEN internal_notes
+                                    ELSE concat_ws(E'\\n', internal_notes, $3::text) END,
+              cancelled_at = CASE WHEN $2 = 'cancelled' THEN coalesce(cancelled_at, now()) ELSE cancelled_at END,
+              updated_at = now()
+        WHERE id = $1
+        RETURNING *`,
+      [id, status || null, stamped]
+    );
+    return { ok:true, booking: rows[0] };
+  });
+}
+
+/**
+ * Confirm a booking with its meeting link; bumps ics_sequence so the prospect's
+ * calendar replaces the pending invite. Resolves the updated row or null.
+ */
+export async function confirmBooking(id, { meetingUrl, host = null }) {
+  const { rows } = await pool.query(
+    `UPDATE bookings
+        SET status = 'confirmed', meeting_url = $2, host = $3,
+            confirmed_at = coalesce(confirmed_at, now()), updated_at = now(),
+            ics_sequence = coalesce(ics_sequence, 0) + 1
+      WHERE id = $1
+      RETURNING *`,
+    [id, meetingUrl, host]
+  );
+  return rows[0] || null;
+}
+
+// Staff turned the request down; frees the slot like a cancellation
+export async function declineBooking(id) {
+  const { rows } = await pool.query(
+    `UPDATE bookings
+        SET status = 'declined', updated_at = now(),
+            ics_sequence = coalesce(ics_sequence, 0) + 1
+      WHERE id = $1
+      RETURNING *`,
+    [id]
+  );
+  return rows[0] || null;
+}
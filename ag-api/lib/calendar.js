@@ -0,0 +1,106 @@
+// lib/calendar.js
+// RFC 5545 iCalendar builder for booking invites, updates and cancellations.
+// Times are written in UTC (DTSTART:...Z), so no VTIMEZONE block is needed and
+// clients render the event in each viewer's own zone across DST changes.
+import crypto from 'crypto';
+
+const CRLF = '\r\n';
+
+// Stable per-booking UID; persist it so later updates/cancellations replace the same event
+export function newUid(domain = 'agentlyne.com') {
+  return `${crypto.randomUUID()}@${domain}`;
+}
+
+export function escapeText(v) {
+  return String(v ?? '')
+    .replace(/\\/g, '\\\\')
+    .replace(/;/g, '\\;')
+    .replace(/,/g, '\\,')
+    .replace(/\r\n|\r|\n/g, '\\n');
+}
+
+// Parameter values (e.g. CN) may not contain DQUOTE; quote when they carry : ; ,
+function paramValue(v) {
+  const s = String(v ?? '').replace(/"/g, "'").replace(/[\r\n]+/g, ' ');
+  return /[:;,]/.test(s) ? `"${s}"` : s;
+}
+
+// Fold content lines longer than 75 octets without splitting a UTF-8 sequence
+export function foldLine(line) {
+  const buf = Buffer.from(line, 'utf8');
+  if (buf.length <= 75) return line;
+  const out = [];
+  let start = 0, limit = 75;
+  while (start < buf.length) {
+    let end = Math.min(start + limit, buf.length);
+    while (end < buf.length && (buf[end] & 0xc0) === 0x80) end--;
+    out.push(buf.subarray(start, end).toString('utf8'));
+    start = end;
+    limit = 74; // continuation lines spend one octet on the leading space
+  }
+  return out.join(CRLF + ' ');
+}
+
+export const formatUtc = (d) => new Date(d).toISOString().replace(/[-:]/g, '').replace(/\.\d{3}Z$/, 'Z');
+
+const STATUS_BY_BOOKING = { pending: 'TENTATIVE', confirmed: 'CONFIRMED', cancelled: 'CANCELLED', declined: 'CANCELLED' };
+export const eventStatusFor = (bookingStatus) => STATUS_BY_BOOKING[bookingStatus] || 'TENTATIVE';
+
+/**
+ * Build a VCALENDAR with one VEVENT.
+ * start/end: Date | ISO string. organizer: { email, name }.
+ * attendees: [{ email, name, rsvp = true, partstat = 'NEEDS-ACTION', role = 'REQ-PARTICIPANT' }].
+ * alarms: minutes before start for DISPLAY reminders (ignored for CANCEL).
+ */
+export function buildIcs({
+  method = 'REQUEST', uid, sequence = 0, start, end, summary, description,
+  location, url, status, organizer, attendees = [], alarms = [], stamp = new Date(),
+  prodId = '-//Agentlyne//Booking//EN'
+}) {
+  const cancel = method === 'CANCEL';
+  const lines = [
+    'BEGIN:VCALENDAR',
+    `PRODID:${prodId}`,
+    'VERSION:2.0',
+    'CALSCALE:GREGORIAN',
+    `METHOD:${method}`,
+    'BEGIN:VEVENT',
+    `UID:${uid}`,
+    `SEQUENCE:${sequence}`,
+    `DTSTAMP:${formatUtc(stamp)}`,
+    `DTSTART:${formatUtc(start)}`,
+    `DTEND:${formatUtc(end)}`,
+    `SUMMARY:${escapeText(summary)}`,
+  ];
+  if (description) lines.push(`DESCRIPTION:${escapeText(description)}`);
+  if (location) lines.push(`LOCATION:${escapeText(location)}`);
+  if (url) lines.push(`URL:${url}`);
+  lines.push(`STATUS:${cancel ? 'CANCELLED' : (status || 'TENTATIVE')}`);
+  if (organizer?.email) {
+    lines.push(`ORGANIZER${organizer.name ? `;CN=${paramValue(organizer.name)}` : ''}:mailto:${organizer.email}`);
+  }
+  for (const a of attendees) {
+    if (!a?.email) continue;
+    const params = [
+      a.name ? `CN=${paramValue(a.name)}` : null,
+      `ROLE=${a.role || 'REQ-PARTICIPANT'}`,
+      `PARTSTAT=${a.partstat || 'NEEDS-ACTION'}`,
+      `RSVP=${a.rsvp === false ? 'FALSE' : 'TRUE'}`,
+    ].filter(Boolean).join(';');
+    lines.push(`ATTENDEE;${params}:mailto:${a.email}`);
+  }
+  if (!cancel) {
+    for (const min of alarms) {
+      if (!(min > 0)) continue;
+      lines.push(
+        'BEGIN:VALARM',
+        'ACTION:DISPLAY',
+        `DESCRIPTION:${escapeText(summary)}`,
+        `TRIGGER:-PT${Math.round(min)}M`,
+        'END:VALARM'
+      );
+    }
+  }
+  lines.push('END:VEVENT', 'END:VCALENDAR');
+  return lines.map(foldLine).join(CRLF) + CRLF;
+}
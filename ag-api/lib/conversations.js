@@ -0,0 +1,258 @@
+// lib/conversations.js
+// Voice-agent transcripts. The realtime client opens a conversation, streams
+// user/assistant turns to it and ends it on hang-up; a background worker then
+// writes an AI summary (intent, qualification, next steps). Conversations that
+// produced a booking hold back the sales notification until the summary is in,
+// so sales gets one email with the booking, summary and transcript; callers
+// who only left qualification details (lib/leads.js) reach sales as a lead.
+import crypto from 'crypto';
+import { pool } from './db.js';
+import { findBookingById } from './bookings.js';
+import { sendSalesNewBooking, sendSalesNewLead, transcriptText } from './notify.js';
+import { leadForConversation, markLeadNotified, describeLeadField, LEAD_FIELDS } from './leads.js';
+import { DEFAULT_TENANT_KEY, tenantOf } from './tenants.js';
+import { detectLanguage } from './language.js';
+
+const POLL_SEC = Number(process.env.CONVERSATION_POLL_SEC || 15);
+// Conversations with no new turns for this long are treated as ended (tab closed)
+const IDLE_MIN = Number(process.env.CONVERSATION_IDLE_MIN || 10);
+const STALE_SUMMARIZING_SEC = 600;
+const SUMMARY_MODEL = process.env.CONVERSATION_SUMMARY_MODEL || 'gpt-4o-mini';
+const OPENAI_KEY = process.env.OPENAI_API_KEY || '';
+const OPENAI_API_URL = process.env.OPENAI_API_URL || 'https://api.openai.com';
+
+export const MAX_TURNS = 400;
+export const MAX_TURN_CHARS = 4000;
+// Roles clients may post; the server also records 'tool' turns (knowledge lookups,
+// hand-off requests) and 'staff' turns (replies typed in the hand-off console)
+export const TURN_ROLES = ['user', 'assistant'];
+// The caller's language is guessed from their first few turns only
+const DETECT_TURNS = 6;
+
+let wake = null;
+
+/* ---- Recording ---- */
+export async function createConversation({ source = 'voice-agent', locale = null, tenant = DEFAULT_TENANT_KEY } = {}) {
+  const sessionId = crypto.randomBytes(18).toString('base64url');
+  const { rows } = await pool.query(
+    `INSERT INTO conversations (session_id, source, locale, tenant) VALUES ($1, $2, $3, $4) RETURNING *`,
+    [sessionId, source, locale, tenant]
+  );
+  return rows[0];
+}
+
+export async function findConversation(sessionId) {
+  const { rows } = await pool.query('SELECT * FROM conversations WHERE session_id = $1', [sessionId]);
+  return rows[0] || null;
+}
+
+/**
+ * Append turns [{ role, text, itemId? }] to an open conversation. Turns with an
+ * itemId already stored are skipped, so clients can retry a batch. Until the
+ * caller's language is known it is guessed from their turns so far.
+ * Resolves { ok, added, locale } | { ok:false, error:'not_found' | 'conversation_closed' | 'too_many_turns' }.
+ */
+export async function addTurns(sessionId, turns) {
+  const conv = await findConversation(sessionId);
+  if (!conv) return { ok:false, error:'not_found' };
+  if (conv.status !== 'open') return { ok:false, error:'conversation_closed' };
+  const { rows: [{ n }] } = await pool.query('SELECT count(*)::int AS n FROM conversation_turns WHERE conversation_id = $1', [conv.id]);
+  if (n + turns.length > MAX_TURNS) return { ok:false, error:'too_many_turns' };
+
+  let added = 0;
+  for (const t of turns) {
+    const r = await pool.query(
+      `INSERT INTO conversation_turns (conversation_id, role, text, item_id) VALUES ($1, $2, $3, $4)
+       ON CONFLICT DO NOTHING`,
+      [conv.id, t.role, t.text, t.itemId || null]
+    );
+    added += r.rowCount;
+  }
+  await pool.query('UPDATE conversations SET updated_at = now() WHERE id = $1', [conv.id]);
+  const locale = conv.detected_locale || (added && turns.some(t => t.role === 'user') && await detectLocale(conv)) || conv.locale;
+  return { ok:true, added, locale };
+}
+
+// Guess the caller's language from their first turns; once decided it sticks, and bookings made in the conversation use it
+async function detectLocale(conv) {
+  const { rows } = await pool.query(
+    `SELECT text FROM conversation_turns WHERE conversation_id = $1 AND role = 'user' ORDER BY id LIMIT $2`,
+    [conv.id, DETECT_TURNS]
+  );
+  const locale = detectLanguage(rows.map(r => r.text).join('\n'));
+  if (!locale) return null;
+  await pool.query(
+    'UPDATE conversations SET detected_locale = $2, locale = $2 WHERE id = $1 AND detected_locale IS NULL',
+    [conv.id, locale]
+  );
+  if (locale !== conv.locale) console.log(`[CONVO] #${conv.id} caller speaks ${locale} (hint was ${conv.locale || 'none'})`);
+  return locale;
+}
+
+// Mark the conversation finished; the worker picks it up for summarizing
+export async function endConversation(sessionId) {
+  const { rows } = await pool.query(
+    `UPDATE conversations SET status = 'ended', ended_at = now(), updated_at = now()
+      WHERE session_id = $1 AND status = 'open' RETURNING id`,
+    [sessionId]
+  );
+  if (rows[0]) wake?.();
+  return !!rows[0];
+}
+
+/**
+ * Link the booking made during a conversation. While the conversation is still
+ * open the sales email is deferred to the summary; resolves true in that case.
+ */
+export async function linkBooking(sessionId, bookingId) {
+  const { rows } = await pool.query(
+    `UPDATE conversations
+        SET booking_id = $2, sales_pending = (status IN ('open', 'ended')), updated_at = now()
+      WHERE session_id = $1 AND booking_id IS NULL
+      RETURNING sales_pending`,
+    [sessionId, bookingId]
+  );
+  return !!rows[0]?.sales_pending;
+}
+
+// Audit trail for search_knowledge: the query and the sources it returned, as a 'tool' turn
+export function recordLookup(sessionId, query, sources) {
+  return addTurns(sessionId, [{ role: 'tool', text: `search_knowledge ${JSON.stringify(query)} -> ${sources.join(', ') || 'no match'}` }]);
+}
+
+export async function turnsFor(conversationId) {
+  const { rows } = await pool.query(
+    'SELECT role, text, created_at FROM conversation_turns WHERE conversation_id = $1 ORDER BY id',
+    [conversationId]
+  );
+  return rows;
+}
+
+/** Locale for a booking made during the conversation: the detected language, else the hint it was opened with. */
+export async function conversationLocale(sessionId) {
+  const { rows } = await pool.query('SELECT detected_locale, locale FROM conversations WHERE session_id = $1', [sessionId]);
+  return rows[0] ? rows[0].detected_locale || rows[0].locale : null;
+}
+
+export async function conversationForBooking(bookingId) {
+  const { rows } = await pool.query(
+    'SELECT * FROM conversations WHERE booking_id = $1 ORDER BY id DESC LIMIT 1',
+    [bookingId]
+  );
+  if (!rows[0]) return null;
+  return { ...rows[0], turns: await turnsFor(rows[0].id) };
+}
+
+/* ---- Summaries ---- */
+// Per tenant: the business the agent speaks for, and the lead fields it collects (lib/leads.js),
+// so the summary's qualification lines up with the lead sales also gets
+const summaryPrompt = (tenant) => `
+You summarize calls between callers and the voice assistant of ${tenant.name}. What the assistant knows about the business:
+${tenant.profile}
+
+Reply with JSON only:
+{"summary": "2-3 sentences", "intent": "book_call | pricing_question | support | general_question | other",
+ "qualification": {${LEAD_FIELDS.map(f => `"${f.key}": ""`).join(', ')}},
+ "nextSteps": ["short action items for the ${tenant.name} team"]}
+Qualification fields: ${LEAD_FIELDS.map(describeLeadField).join(', ')}.
+Use "" for anything the caller did not say. Do not invent details.
+`.trim();
+
+async function summarize(turns, tenant) {
+  if (!OPENAI_KEY) throw new Error('OPENAI_API_KEY not set');
+  const r = await fetch(`${OPENAI_API_URL}/v1/chat/completions`, {
+    method: 'POST',
+    headers: { Authorization: `Bearer ${OPENAI_KEY}`, 'Content-Type': 'application/json' },
+    body: JSON.stringify({
+      model: SUMMARY_MODEL,
+      response_format: { type: 'json_object' },
+      temperature: 0.2,
+      messages: [{ role: 'system', content: summaryPrompt(tenant) }, { role: 'user', content: transcriptText(turns) }],
+    }),
+    signal: AbortSignal.timeout(30000),
+  });
+  const data = await r.json().catch(() => ({}));
+  if (!r.ok) throw new Error(data?.error?.message || `OpenAI returned ${r.status}`);
+  const out = JSON.parse(data.choices?.[0]?.message?.content || '{}');
+  const qualification = out.qualification || {};
+  return {
+    summary: String(out.summary || ''),
+    intent: String(out.intent || 'other'),
+    qualification: Object.fromEntries(LEAD_FIELDS.filter(f => qualification[f.key]).map(f => [f.key, String(qualification[f.key])])),
+    nextSteps: Array.isArray(out.nextSteps) ? out.nextSteps.map(String).filter(Boolean) : [],
+  };
+}
+
+/* ---- Worker ---- */
+async function claimBatch() {
+  const { rows } = await pool.query(
+    `UPDATE conversations c SET status = 'summarizing', updated_at = now()
+      WHERE c.id IN (
+        SELECT id FROM conversations
+         WHERE status = 'ended'
+            OR (status = 'open' AND updated_at < now() - make_interval(mins => $1))
+            OR (status = 'summarizing' AND updated_at < now() - make_interval(secs => $2))
+         ORDER BY id
+         LIMIT 10
+         FOR UPDATE SKIP LOCKED)
+      RETURNING c.*`,
+    [IDLE_MIN, STALE_SUMMARIZING_SEC]
+  );
+  return rows;
+}
+
+async function finish(conv) {
+  const turns = await turnsFor(conv.id);
+  let summary = null, error = null;
+  if (turns.some(t => t.role === 'user')) {
+    try { summary = await summarize(turns, tenantOf(conv)); }
+    catch (e) { error = String(e?.message || e).slice(0, 1000); console.warn(`[CONVO] #${conv.id} summary failed:`, error); }
+  }
+
+  // Booked: the deferred new-booking email. Not booked: a lead email if the agent saved one.
+  const lead = await leadForConversation(conv.id);
+  if (conv.sales_pending && conv.booking_id) {
+    const booking = await findBookingById(conv.booking_id);
+    if (booking) await sendSalesNewBooking(booking, { conversation: { summary, turns }, lead, logTag: '[CONVO]' });
+  } else if (lead && !lead.notified_at && !conv.booking_id) {
+    await sendSalesNewLead(lead, { conversation: { summary, turns } });
+  }
+  if (lead) await markLeadNotified(lead.id, conv.booking_id);
+  await pool.query(
+    `UPDATE conversations
+        SET status = 'summarized', summary = $2, summary_error = $3, sales_pending = false,
+            ended_at = coalesce(ended_at, now()), updated_at = now()
+      WHERE id = $1`,
+    [conv.id, summary && JSON.stringify(summary), error]
+  );
+  console.log(`[CONVO] #${conv.id} ${turns.length} turns${conv.booking_id ? ` -> booking #${conv.booking_id}` : ''}${summary ? ', summarized' : ''}`);
+}
+
+export async function runConversations() {
+  let n = 0;
+  for (;;) {
+    const batch = await claimBatch();
+    for (const conv of batch) {
+      try { await finish(conv); n++; }
+      catch (e) { console.warn(`[CONVO] #${conv.id} failed:`, e?.message); }
+    }
+    if (batch.length < 10) return n;
+  }
+}
+
+export function startConversations() {
+  if (!pool) { console.warn('Conversations: disabled (no DATABASE_URL)'); return; }
+  let running = false, again = false;
+  const tick = async () => {
+    if (running) { again = true; return; }
+    running = true;
+    try {
+      do { again = false; await runConversations(); } while (again);
+    } catch (e) { console.warn('[CONVO] tick failed:', e?.message); }
+    finally { running = false; }
+  };
+  wake = () => setImmediate(tick);
+  setInterval(tick, POLL_SEC * 1000).unref();
+  tick();
+  console.log('Conversations: summaries %s, idle after %d min', OPENAI_KEY ? `via ${SUMMARY_MODEL}` : 'off (no OPENAI_API_KEY)', IDLE_MIN);
+}
@@ -0,0 +1,217 @@
+// lib/db.js
+// Optional Postgres pool (IPv4) + idempotent schema bootstrap
+import { Pool } from 'pg';
+import { promises as dnsPromises } from 'dns';
+
+const USE_DB = !!process.env.DATABASE_URL;
+
+// Live binding: importers see the pool once initDbPool() has run
+export let pool = null;
+
+export async function initDbPool() {
+  if (!USE_DB) { console.log('DB: disabled (no DATABASE_URL)'); return; }
+  try {
+    const u = new URL(process.env.DATABASE_URL);
+    const host = u.hostname;
+    const port = Number(u.port || 5432);
+    const user = decodeURIComponent(u.username || '');
+    const password = decodeURIComponent(u.password || '');
+    const database = (u.pathname || '/').replace(/^\//, '');
+    const sslRequired = u.searchParams.get('sslmode') === 'require' || process.env.PGSSLMODE === 'require';
+
+    const { address } = await dnsPromises.lookup(host, { family: 4 });
+    pool = new Pool({
+      host: address, port, user, password, database,
+      ssl: sslRequired ? { rejectUnauthorized: false, servername: host } : undefined,
+      keepAlive: true,
+    });
+    console.log('DB: IPv4 pool ready ->', host);
+  } catch (err) {
+    console.warn('DB init failed:', err?.message);
+  }
+}
+
+// Statements run in order on every boot; each must be safe to repeat
+const SCHEMA = [
+  `CREATE TABLE IF NOT EXISTS bookings (
+     id BIGSERIAL PRIMARY KEY,
+     created_at timestamptz DEFAULT now(),
+     name text, full_name text, email text, phone text, company text, notes text,
+     timezone text, start_utc timestamptz, end_utc timestamptz, duration_min integer,
+     source text, date date, "time" text
+   )`,
+  `CREATE INDEX IF NOT EXISTS bookings_start_utc_idx ON bookings (start_utc)`,
+  `ALTER TABLE bookings
+     ADD COLUMN IF NOT EXISTS status text DEFAULT 'pending',
+     ADD COLUMN IF NOT EXISTS manage_token text UNIQUE,
+     ADD COLUMN IF NOT EXISTS ics_uid text,
+     ADD COLUMN IF NOT EXISTS ics_sequence integer DEFAULT 0,
+     ADD COLUMN IF NOT EXISTS updated_at timestamptz,
+     ADD COLUMN IF NOT EXISTS cancelled_at timestamptz`,
+  `ALTER TABLE bookings ADD COLUMN IF NOT EXISTS meeting_url text`,
+  `ALTER TABLE bookings
+     ADD COLUMN IF NOT EXISTS plan text,
+     ADD COLUMN IF NOT EXISTS tier text,
+     ADD COLUMN IF NOT EXISTS internal_notes text`,
+  `CREATE INDEX IF NOT EXISTS bookings_email_idx ON bookings (lower(email))`,
+  `ALTER TABLE bookings
+     ADD COLUMN IF NOT EXISTS host text,
+     ADD COLUMN IF NOT EXISTS confirmed_at timestamptz`,
+  `ALTER TABLE bookings ADD COLUMN IF NOT EXISTS reminders_sent jsonb DEFAULT '{}'::jsonb`,
+  `ALTER TABLE bookings ADD COLUMN IF NOT EXISTS locale text`,
+  // Rows from before UIDs were stored get a stable one so future updates line up
+  `UPDATE bookings SET ics_uid = 'booking-' || id || '@agentlyne.com' WHERE ics_uid IS NULL`,
+  `CREATE TABLE IF NOT EXISTS booking_holds (
+     id BIGSERIAL PRIMARY KEY,
+     token text UNIQUE NOT NULL,
+     created_at timestamptz DEFAULT now(),
+     expires_at timestamptz NOT NULL,
+     start_utc timestamptz NOT NULL, end_utc timestamptz NOT NULL,
+     email text, source text
+   )`,
+  `CREATE INDEX IF NOT EXISTS booking_holds_range_idx ON booking_holds (start_utc, end_utc)`,
+  `CREATE TABLE IF NOT EXISTS email_outbox (
+     id BIGSERIAL PRIMARY KEY,
+     created_at timestamptz DEFAULT now(),
+     updated_at timestamptz DEFAULT now(),
+     booking_id bigint REFERENCES bookings(id) ON DELETE SET NULL,
+     kind text, to_addr text,
+     message jsonb NOT NULL,
+     status text NOT NULL DEFAULT 'queued',
+     attempts integer NOT NULL DEFAULT 0,
+     next_attempt_at timestamptz DEFAULT now(),
+     last_error text, message_id text, sent_at timestamptz
+   )`,
+  `CREATE INDEX IF NOT EXISTS email_outbox_due_idx ON email_outbox (status, next_attempt_at)`,
+  `CREATE INDEX IF NOT EXISTS email_outbox_booking_idx ON email_outbox (booking_id)`,
+  `CREATE TABLE IF NOT EXISTS webhook_deliveries (
+     id BIGSERIAL PRIMARY KEY,
+     created_at timestamptz DEFAULT now(),
+     updated_at timestamptz DEFAULT now(),
+     event_id text NOT NULL, event text NOT NULL,
+     booking_id bigint REFERENCES bookings(id) ON DELETE SET NULL,
+     url text NOT NULL,
+     payload jsonb NOT NULL,
+     status text NOT NULL DEFAULT 'queued',
+     attempts integer NOT NULL DEFAULT 0,
+     next_attempt_at timestamptz DEFAULT now(),
+     response_status integer, last_error text, delivered_at timestamptz
+   )`,
+  `CREATE INDEX IF NOT EXISTS webhook_deliveries_due_idx ON webhook_deliveries (status, next_attempt_at)`,
+  `CREATE TABLE IF NOT EXISTS conversations (
+     id BIGSERIAL PRIMARY KEY,
+     session_id text UNIQUE NOT NULL,
+     created_at timestamptz DEFAULT now(),
+     updated_at timestamptz DEFAULT now(),
+     ended_at timestamptz,
+     source text, locale text,
+     booking_id bigint REFERENCES bookings(id) ON DELETE SET NULL,
+     status text NOT NULL DEFAULT 'open',
+     summary jsonb, summary_error text,
+     sales_pending boolean NOT NULL DEFAULT false
+   )`,
+  `CREATE INDEX IF NOT EXISTS conversations_status_idx ON conversations (status, updated_at)`,
+  `CREATE INDEX IF NOT EXISTS conversations_booking_idx ON conversations (booking_id)`,
+  `CREATE TABLE IF NOT EXISTS conversation_turns (
+     id BIGSERIAL PRIMARY KEY,
+     conversation_id bigint NOT NULL REFERENCES conversations(id) ON DELETE CASCADE,
+     created_at timestamptz DEFAULT now(),
+     role text NOT NULL, text text NOT NULL,
+     item_id text,
+     UNIQUE (conversation_id, item_id)
+   )`,
+  `CREATE TABLE IF NOT EXISTS leads (
+     id BIGSERIAL PRIMARY KEY,
+     created_at timestamptz DEFAULT now(),
+     updated_at timestamptz DEFAULT now(),
+     conversation_id bigint UNIQUE REFERENCES conversations(id) ON DELETE SET NULL,
+     booking_id bigint REFERENCES bookings(id) ON DELETE SET NULL,
+     full_name text, email text, phone text, company text,
+     answers jsonb NOT NULL DEFAULT '{}'::jsonb,
+     score integer NOT NULL DEFAULT 0,
+     status text NOT NULL DEFAULT 'new',
+     notified_at timestamptz
+   )`,
+  `CREATE INDEX IF NOT EXISTS leads_score_idx ON leads (score DESC)`,
+  // Shared abuse-limit state (RATE_LIMIT_STORE=postgres, see lib/limits.js)
+  `CREATE TABLE IF NOT EXISTS rate_limits (
+     key text PRIMARY KEY,
+     tokens double precision NOT NULL,
+     updated_at timestamptz NOT NULL DEFAULT now()
+   )`,
+  `CREATE TABLE IF NOT EXISTS usage_daily (
+     day date NOT NULL, metric text NOT NULL,
+     amount bigint NOT NULL DEFAULT 0,
+     PRIMARY KEY (day, metric)
+   )`,
+  // Multi-tenant scope (lib/tenants.js); rows from before tenants belong to the default one
+  `ALTER TABLE bookings ADD COLUMN IF NOT EXISTS tenant text NOT NULL DEFAULT 'default'`,
+  `ALTER TABLE booking_holds ADD COLUMN IF NOT EXISTS tenant text NOT NULL DEFAULT 'default'`,
+  `ALTER TABLE conversations ADD COLUMN IF NOT EXISTS tenant text NOT NULL DEFAULT 'default'`,
+  `ALTER TABLE leads ADD COLUMN IF NOT EXISTS tenant text NOT NULL DEFAULT 'default'`,
+  `CREATE INDEX IF NOT EXISTS bookings_tenant_start_idx ON bookings (tenant, start_utc)`,
+  // Hand-off tickets (lib/handoffs.js); staff replies are 'staff' conversation turns
+  `CREATE TABLE IF NOT EXISTS handoffs (
+     id BIGSERIAL PRIMARY KEY,
+     created_at timestamptz DEFAULT now(),
+     updated_at timestamptz DEFAULT now(),
+     tenant text NOT NULL DEFAULT 'default',
+     conversation_id bigint REFERENCES conversations(id) ON DELETE SET NULL,
+     reason text, urgency text NOT NULL DEFAULT 'normal',
+     status text NOT NULL DEFAULT 'open',
+     within_hours boolean NOT NULL DEFAULT false,
+     staff_name text, joined_at timestamptz, closed_at timestamptz
+   )`,
+  `CREATE INDEX IF NOT EXISTS handoffs_status_idx ON handoffs (status, created_at)`,
+  `CREATE UNIQUE INDEX IF NOT EXISTS handoffs_active_conversation_idx ON handoffs (conversation_id) WHERE status <> 'closed'`,
+  // Named voice agent profiles (lib/agentProfiles.js); config holds the fields that override the default
+  `CREATE TABLE IF NOT EXISTS agent_profiles (
+     tenant text NOT NULL DEFAULT 'default',
+     name text NOT NULL,
+     config jsonb NOT NULL DEFAULT '{}'::jsonb,
+     created_at timestamptz DEFAULT now(),
+     updated_at timestamptz DEFAULT now(),
+     PRIMARY KEY (tenant, name)
+   )`,
+  // Language the caller actually spoke (lib/language.js); set once, it replaces the browser's hint in locale
+  `ALTER TABLE conversations ADD COLUMN IF NOT EXISTS detected_locale text`,
+  // Funnel events from the SDK, phone bridge and booking form (lib/analytics.js); session_id is the client's
+  `CREATE TABLE IF NOT EXISTS analytics_events (
+     id BIGSERIAL PRIMARY KEY,
+     created_at timestamptz DEFAULT now(),
+     tenant text NOT NULL DEFAULT 'default',
+     type text NOT NULL,
+     session_id text NOT NULL,
+     conversation_id text,
+     source text, plan text, tier text,
+     duration_ms integer,
+     error text
+   )`,
+  `CREATE INDEX IF NOT EXISTS analytics_events_created_idx ON analytics_events (created_at, tenant)`,
+];
+
+export async function ensureSchema() {
+  if (!pool) return;
+  try {
+    for (const sql of SCHEMA) await pool.query(sql);
+    console.log('DB: schema ready');
+  } catch (err) {
+    console.error('DB ensure schema failed:', err?.message);
+  }
+}
+
+// Run fn(client) inside BEGIN/COMMIT; rolls back on throw
+export async function withTransaction(fn) {
+  const client = await pool.connect();
+  try {
+    await client.query('BEGIN');
+    const out = await fn(client);
+    await client.query('COMMIT');
+    return out;
+  } catch (err) {
+    try { await client.query('ROLLBACK'); } catch {}
+    throw err;
+  } finally {
+    client.release();
+  }
+}
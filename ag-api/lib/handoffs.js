@@ -0,0 +1,159 @@
+// lib/handoffs.js
+// Human hand-off from the voice agent. The request_human tool opens a ticket
+// on the caller's conversation; on-duty staff get an email (with the transcript
+// so far) and a handoff.requested webhook. During business hours a staff member
+// can join a browser conversation from public/handoffs.html: while the ticket
+// is 'live' the agent stops answering on its own and reads out what staff type.
+// Staff replies are stored as 'staff' conversation turns, so they show up in
+// the transcript and the SDK polls them from there.
+import { pool } from './db.js';
+import { findConversation, addTurns, turnsFor, MAX_TURN_CHARS } from './conversations.js';
+import { sendHandoffRequested } from './notify.js';
+import { emitEvent } from './webhooks.js';
+import { tenantOf } from './tenants.js';
+import { withinBusinessHours } from './slots.js';
+
+export const HANDOFF_STATUSES = ['open', 'live', 'closed'];
+export const HANDOFF_URGENCIES = ['normal', 'high'];
+// Channels a staff member can join; phone callers are offered a callback instead
+const LIVE_SOURCES = ['voice-agent', 'widget'];
+
+export const handoffVars = (h, conv) => ({
+  id: h.id, status: h.status, tenant: h.tenant, reason: h.reason, urgency: h.urgency,
+  withinHours: h.within_hours, staffName: h.staff_name,
+  source: conv?.source || h.source || null,
+  createdAt: h.created_at, joinedAt: h.joined_at, closedAt: h.closed_at,
+});
+
+async function activeFor(conversationId) {
+  const { rows } = await pool.query(
+    `SELECT * FROM handoffs WHERE conversation_id = $1 AND status <> 'closed' ORDER BY id DESC LIMIT 1`,
+    [conversationId]
+  );
+  return rows[0] || null;
+}
+
+/**
+ * Open a hand-off ticket on a conversation (or return the one already open).
+ * Resolves null when the conversation does not exist, else
+ * { handoff, conversation, created, live } where live says a staff member can join now.
+ */
+export async function requestHandoff(sessionId, { reason, urgency = 'normal' }) {
+  const conv = await findConversation(sessionId);
+  if (!conv) return null;
+  const tenant = tenantOf(conv);
+  const liveCapable = LIVE_SOURCES.includes(conv.source);
+
+  const existing = await activeFor(conv.id);
+  if (existing) return { handoff: existing, conversation: conv, created: false, live: liveCapable && existing.within_hours };
+
+  const withinHours = withinBusinessHours(Date.now(), 0, { week: tenant.week, bizTz: tenant.businessTz });
+  const { rows } = await pool.query(
+    `INSERT INTO handoffs (tenant, conversation_id, reason, urgency, within_hours)
+     VALUES ($1, $2, $3, $4, $5)
+     ON CONFLICT (conversation_id) WHERE status <> 'closed' DO NOTHING
+     RETURNING *`,
+    [conv.tenant, conv.id, reason || null, HANDOFF_URGENCIES.includes(urgency) ? urgency : 'normal', withinHours]
+  );
+  // Lost a race with a concurrent request for the same conversation
+  if (!rows[0]) return { handoff: await activeFor(conv.id), conversation: conv, created: false, live: liveCapable && withinHours };
+
+  const handoff = rows[0];
+  await addTurns(sessionId, [{ role: 'tool', text: `request_human ${JSON.stringify(reason || '')} -> ticket #${handoff.id}` }]).catch(() => {});
+  const turns = await turnsFor(conv.id);
+  sendHandoffRequested(handoff, { conversation: conv, turns, live: liveCapable && withinHours })
+    .catch(e => console.warn(`[HANDOFF] #${handoff.id} email failed:`, e?.message));
+  emitEvent('handoff.requested', { handoff: handoffVars(handoff, conv) });
+  return { handoff, conversation: conv, created: true, live: liveCapable && withinHours };
+}
+
+/**
+ * Caller-side view of the conversation's latest ticket, for the SDK's polling:
+ * { status, staffName, messages: [{ id, text, at }] } with staff turns after turn id `after`.
+ */
+export async function handoffForSession(sessionId, after = 0) {
+  const conv = await findConversation(sessionId);
+  if (!conv) return null;
+  const { rows: [h] } = await pool.query(
+    'SELECT * FROM handoffs WHERE conversation_id = $1 ORDER BY id DESC LIMIT 1', [conv.id]
+  );
+  if (!h) return { status: 'none', staffName: null, messages: [] };
+  const { rows } = await pool.query(
+    `SELECT id, text, created_at FROM conversation_turns
+      WHERE conversation_id = $1 AND role = 'staff' AND id > $2 ORDER BY id`,
+    [conv.id, after]
+  );
+  return { id: h.id, status: h.status, staffName: h.staff_name, messages: rows.map(r => ({ id: Number(r.id), text: r.text, at: r.created_at })) };
+}
+
+/* ---- Staff ---- */
+export async function listHandoffs({ status, tenant } = {}, { limit = 100 } = {}) {
+  const where = [], args = [];
+  if (status) { args.push(status); where.push(`h.status = $${args.length}`); }
+  else where.push(`h.status <> 'closed'`);
+  if (tenant) { args.push(tenant); where.push(`h.tenant = $${args.length}`); }
+  args.push(limit);
+  const { rows } = await pool.query(
+    `SELECT h.*, c.source, c.session_id, c.status AS conversation_status,
+            (SELECT count(*)::int FROM conversation_turns t WHERE t.conversation_id = h.conversation_id) AS turns
+       FROM handoffs h LEFT JOIN conversations c ON c.id = h.conversation_id
+      WHERE ${where.join(' AND ')}
+      ORDER BY (h.urgency = 'high') DESC, h.created_at
+      LIMIT $${args.length}`,
+    args
+  );
+  return rows;
+}
+
+// Ticket + conversation + turns after turn id `after` (the console polls with the last id it has)
+export async function findHandoff(id, { after = 0 } = {}) {
+  const { rows: [h] } = await pool.query(
+    `SELECT h.*, c.source, c.session_id, c.status AS conversation_status
+       FROM handoffs h LEFT JOIN conversations c ON c.id = h.conversation_id WHERE h.id = $1`,
+    [id]
+  );
+  if (!h) return null;
+  const { rows: turns } = await pool.query(
+    'SELECT id, role, text, created_at FROM conversation_turns WHERE conversation_id = $1 AND id > $2 ORDER BY id',
+    [h.conversation_id, after]
+  );
+  return { handoff: h, turns };
+}
+
+// Updated ticket joined with its conversation, shaped like findHandoff's
+const withConversation = (update) => `
+  WITH h AS (${update} RETURNING *)
+  SELECT h.*, c.source, c.session_id, c.status AS conversation_status
+    FROM h LEFT JOIN conversations c ON c.id = h.conversation_id`;
+
+// Resolves { ok, handoff } | { ok:false, error }
+export async function joinHandoff(id, staffName) {
+  const { rows } = await pool.query(withConversation(
+    `UPDATE handoffs SET status = 'live', staff_name = $2, joined_at = coalesce(joined_at, now()), updated_at = now()
+      WHERE id = $1 AND status <> 'closed'`),
+    [id, staffName]
+  );
+  if (!rows[0]) return { ok:false, error:'not_found_or_closed' };
+  return { ok:true, handoff: rows[0] };
+}
+
+export async function postStaffMessage(id, text) {
+  const { rows: [h] } = await pool.query(
+    'SELECT h.status, c.session_id FROM handoffs h JOIN conversations c ON c.id = h.conversation_id WHERE h.id = $1', [id]
+  );
+  if (!h) return { ok:false, error:'not_found' };
+  if (h.status !== 'live') return { ok:false, error:'not_joined' };
+  const r = await addTurns(h.session_id, [{ role: 'staff', text: String(text).trim().slice(0, MAX_TURN_CHARS) }]);
+  if (!r.ok) return r;
+  await pool.query('UPDATE handoffs SET updated_at = now() WHERE id = $1', [id]);
+  return { ok:true };
+}
+
+export async function closeHandoff(id) {
+  const { rows } = await pool.query(withConversation(
+    `UPDATE handoffs SET status = 'closed', closed_at = now(), updated_at = now()
+      WHERE id = $1 AND status <> 'closed'`),
+    [id]
+  );
+  return rows[0] || null;
+}
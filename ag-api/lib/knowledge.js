@@ -0,0 +1,166 @@
+// lib/knowledge.js
+// Local knowledge base behind the voice agent's search_knowledge tool.
+// Markdown (.md) and JSON (.json) documents in a tenant's knowledge directory
+// are split into chunks and indexed in memory with BM25; no outside service.
+// Every hit carries a source reference ("pricing.md#inbound-reception-pro") so
+// what the agent said can be traced back to a document.
+//
+// Markdown is chunked by heading (long sections split on paragraphs). JSON is
+// [{ id?, title, text, url? }] or { title?, entries: [...] }, one chunk per entry.
+import fs from 'fs/promises';
+import path from 'path';
+
+const K1 = 1.2;
+const B = 0.75;
+const CHUNK_CHARS = Number(process.env.KNOWLEDGE_CHUNK_CHARS || 900);
+export const MAX_RESULTS = 5;
+
+const STOPWORDS = new Set(`a about an and any are as at be but by can could do does for from get got
+  has have how i if in into is it its me my of on or our so than that the their them then there these
+  they this to us was we were what when where which who why will with would you your`.split(/\s+/));
+
+// Light stemming: plurals only, so "plans"/"plan" and "minutes"/"minute" meet
+const stem = (w) => (w.length > 4 && w.endsWith('ies') ? `${w.slice(0, -3)}y`
+  : w.length > 3 && w.endsWith('s') && !w.endsWith('ss') ? w.slice(0, -1) : w);
+
+export function tokenize(text) {
+  return String(text || '')
+    .normalize('NFKD').replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase()
+    .split(/[^a-z0-9]+/)
+    .filter(w => w && !STOPWORDS.has(w))
+    .map(stem);
+}
+
+const slug = (s) => String(s).toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '') || 'section';
+
+/* ---- Chunking ---- */
+// Split text over CHUNK_CHARS on blank lines, keeping paragraphs whole
+function splitLong(text) {
+  if (text.length <= CHUNK_CHARS) return [text];
+  const out = [];
+  let cur = '';
+  for (const para of text.split(/\n\s*\n/)) {
+    if (cur && cur.length + para.length > CHUNK_CHARS) { out.push(cur); cur = ''; }
+    cur = cur ? `${cur}\n\n${para}` : para;
+  }
+  if (cur) out.push(cur);
+  return out;
+}
+
+function markdownChunks(file, body) {
+  const chunks = [];
+  const trail = [];
+  let lines = [];
+  const flush = () => {
+    const text = lines.join('\n').trim();
+    if (!text) return;
+    const title = trail.filter(Boolean).join(' › ') || path.basename(file, '.md');
+    const anchor = slug(trail.slice(1).filter(Boolean).join(' ') || trail[0] || 'top');
+    splitLong(text).forEach((t, i, all) => chunks.push({
+      source: `${file}#${anchor}${all.length > 1 ? `-${i + 1}` : ''}`, title, text: t,
+    }));
+  };
+  for (const line of body.split(/\r?\n/)) {
+    const h = line.match(/^(#{1,6})\s+(.*?)\s*#*\s*$/);
+    if (!h) { lines.push(line); continue; }
+    flush();
+    trail.length = h[1].length - 1;
+    trail[h[1].length - 1] = h[2];
+    lines = [];
+  }
+  flush();
+  return chunks;
+}
+
+function jsonChunks(file, body) {
+  const doc = JSON.parse(body);
+  const entries = Array.isArray(doc) ? doc : doc?.entries;
+  if (!Array.isArray(entries)) throw new Error('expected an array or { entries: [] }');
+  return entries
+    .filter(e => e && String(e.text || '').trim())
+    .map((e, i) => ({
+      source: `${file}#${slug(e.id || e.title || i + 1)}`,
+      title: [doc.title, e.title].filter(Boolean).join(' › ') || file,
+      text: String(e.text).trim(),
+      url: e.url || undefined,
+    }));
+}
+
+/* ---- Index ---- */
+async function buildIndex(dir) {
+  let files = [];
+  try { files = (await fs.readdir(dir)).filter(f => /\.(md|json)$/i.test(f)).sort(); }
+  catch (e) { if (e.code !== 'ENOENT') throw e; }
+
+  const chunks = [];
+  for (const file of files) {
+    try {
+      const body = await fs.readFile(path.join(dir, file), 'utf8');
+      chunks.push(...(/\.json$/i.test(file) ? jsonChunks(file, body) : markdownChunks(file, body)));
+    } catch (e) { console.warn(`[KB] skipping ${file}:`, e?.message); }
+  }
+
+  const df = new Map();
+  let totalLen = 0;
+  for (const c of chunks) {
+    // Headings count toward the match: "pricing › pro" should find the Pro tier
+    const terms = tokenize(`${c.title}\n${c.text}`);
+    c.len = terms.length;
+    c.tf = new Map();
+    for (const t of terms) c.tf.set(t, (c.tf.get(t) || 0) + 1);
+    for (const t of c.tf.keys()) df.set(t, (df.get(t) || 0) + 1);
+    totalLen += c.len;
+  }
+  return { dir, files, chunks, df, avgLen: chunks.length ? totalLen / chunks.length : 0, builtAt: new Date() };
+}
+
+const indexes = new Map(); // dir -> Promise<index>
+
+function indexFor(dir) {
+  if (!indexes.has(dir)) {
+    const p = buildIndex(dir);
+    p.catch(() => indexes.delete(dir));
+    indexes.set(dir, p);
+  }
+  return indexes.get(dir);
+}
+
+// Drop cached indexes so edited documents are picked up on the next search
+export function reloadKnowledge() { indexes.clear(); }
+
+/**
+ * BM25 search over the tenant's knowledge directory.
+ * Resolves [{ source, title, text, url?, score }] best first; [] when the tenant has none.
+ */
+export async function searchKnowledge(tenant, query, { limit = MAX_RESULTS } = {}) {
+  if (!tenant?.knowledgeDir) return [];
+  const idx = await indexFor(tenant.knowledgeDir);
+  const terms = [...new Set(tokenize(query))];
+  if (!terms.length || !idx.chunks.length) return [];
+
+  const N = idx.chunks.length;
+  const scored = [];
+  for (const c of idx.chunks) {
+    let score = 0;
+    for (const t of terms) {
+      const f = c.tf.get(t);
+      if (!f) continue;
+      const n = idx.df.get(t);
+      const idf = Math.log(1 + (N - n + 0.5) / (n + 0.5));
+      score += idf * (f * (K1 + 1)) / (f + K1 * (1 - B + B * (c.len / idx.avgLen)));
+    }
+    if (score > 0) scored.push({ c, score });
+  }
+  return scored
+    .sort((a, b) => b.score - a.score)
+    .slice(0, Math.min(Math.max(1, limit), 10))
+    .map(({ c, score }) => ({ source: c.source, title: c.title, text: c.text, url: c.url, score: Math.round(score * 100) / 100 }));
+}
+
+// { files, chunks, builtAt } for the admin API
+export async function knowledgeStats(tenant) {
+  if (!tenant?.knowledgeDir) return { files: [], chunks: 0, builtAt: null };
+  const idx = await indexFor(tenant.knowledgeDir);
+  return { files: idx.files, chunks: idx.chunks.length, builtAt: idx.builtAt };
+}
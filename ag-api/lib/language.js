@@ -0,0 +1,48 @@
+// lib/language.js
+// Guess which of our locales (LOCALES in lib/templates.js) a caller speaks from
+// their first transcribed turns. Counts common function words per language,
+// which is enough to tell English, Spanish and French apart in a sentence or
+// two; anything shorter or ambiguous stays undecided, and the browser's hint
+// (or the booking form's locale) applies instead.
+import { LOCALES } from './templates.js';
+
+const STOPWORDS = {
+  en: `the and you your to of is it that for with this what how can i my me we are do have be on in
+       not but yes no please thanks thank hello hi want would like need about call book`,
+  es: `el la los las de que y en un una es por para con no sí si se lo le mi tu su yo quiero
+       como cómo qué cuál gracias hola buenos buenas días por favor necesito puedo tengo está llamada reservar`,
+  fr: `le la les de des du et en un une est pour avec pas oui non je tu vous il nous mon ma mes votre
+       que qui quoi comment bonjour merci salut voudrais veux besoin peux suis c'est j'ai appel réserver`,
+};
+const WORDS = Object.fromEntries(Object.entries(STOPWORDS).map(([loc, list]) => [loc, new Set(list.split(/\s+/))]));
+
+// Accented letters only one of the languages uses
+const LETTERS = { es: /[ñ¿¡]/g, fr: /[çèêëœàâîïûù]/g };
+
+// Minimum score, and how far ahead of the runner-up it must be, to decide
+const MIN_SCORE = 3;
+const MIN_LEAD = 2;
+
+/**
+ * 'es' | 'fr' | 'en' for a caller's text, or null when it is too short or too
+ * close to call. Only locales we have copy for are considered.
+ */
+export function detectLanguage(text) {
+  const s = String(text || '').toLowerCase();
+  const words = s.normalize('NFC').split(/[^\p{L}']+/u).filter(Boolean);
+  const scores = Object.fromEntries(LOCALES.map(loc => [loc, 0]));
+  for (const w of words) {
+    for (const loc of LOCALES) if (WORDS[loc]?.has(w)) scores[loc] += 1;
+  }
+  for (const [loc, re] of Object.entries(LETTERS)) {
+    if (loc in scores) scores[loc] += (s.match(re) || []).length;
+  }
+  const [[best, top], [, next] = [null, 0]] = Object.entries(scores).sort((a, b) => b[1] - a[1]);
+  return top >= MIN_SCORE && top - next >= MIN_LEAD ? best : null;
+}
+
+// navigator.language and similar hints: canonical BCP 47 tag ('es-MX'), or null when absent or malformed
+export function languageTag(v) {
+  if (!v || typeof v !== 'string' || v.length > 35) return null;
+  try { return Intl.getCanonicalLocales(v)[0] || null; } catch { return null; }
+}
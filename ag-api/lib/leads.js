@@ -0,0 +1,182 @@
+// lib/leads.js
+// Lead qualification captured by the voice agent. The fields the agent asks
+// about (and how each answer scores) come from LEAD_SCHEMA, a JSON array of
+//   { key, label, type: 'number'|'enum'|'text', options?, description?, score }
+// where score is [[min, points], ...] for numbers (highest matching min wins),
+// { option: points } for enums, or points for any non-empty text.
+// One lead per conversation; sales hears about it when the conversation ends
+// (see lib/conversations.js).
+import { pool } from './db.js';
+import { validate, checkEmail, toE164 } from './validate.js';
+
+const DEFAULT_FIELDS = [
+  { key: 'callVolume', label: 'Calls per week', type: 'number', description: 'Inbound calls the business gets per week',
+    score: [[1, 5], [50, 15], [200, 25]] },
+  { key: 'teamSize', label: 'Team size', type: 'number', description: 'People answering phones today',
+    score: [[1, 5], [5, 10], [20, 15]] },
+  { key: 'currentCrm', label: 'Current CRM', type: 'text', description: 'CRM or booking tool they use', score: 10 },
+  { key: 'hoursOfCoverage', label: 'Hours of coverage', type: 'enum', options: ['business_hours', 'extended', '24_7'],
+    description: 'When calls need answering', score: { business_hours: 5, extended: 10, '24_7': 15 } },
+  { key: 'budget', label: 'Monthly budget', type: 'enum', options: ['under_500', '500_2000', '2000_plus', 'unknown'],
+    score: { under_500: 5, '500_2000': 15, '2000_plus': 20 } },
+  { key: 'timeline', label: 'Timeline', type: 'enum', options: ['now', '1_3_months', 'later', 'exploring'],
+    score: { now: 15, '1_3_months': 10, later: 3 } },
+];
+
+const TYPES = ['number', 'enum', 'text'];
+
+function loadFields() {
+  const spec = (process.env.LEAD_SCHEMA || '').trim();
+  if (!spec) return DEFAULT_FIELDS;
+  try {
+    const fields = JSON.parse(spec);
+    const ok = Array.isArray(fields) && fields.length && fields.every(f =>
+      f && /^[a-zA-Z]\w*$/.test(f.key) && TYPES.includes(f.type) && (f.type !== 'enum' || Array.isArray(f.options)));
+    if (ok) return fields.map(f => ({ label: f.key, ...f }));
+  } catch {}
+  console.warn('Leads: could not parse LEAD_SCHEMA, using the default fields');
+  return DEFAULT_FIELDS;
+}
+
+export const LEAD_FIELDS = loadFields();
+export const LEAD_STATUSES = ['new', 'contacted', 'qualified', 'disqualified'];
+
+/* ---- Answers + score ---- */
+function cleanAnswer(field, v) {
+  if (v == null || v === '') return undefined;
+  if (field.type === 'number') {
+    const n = Number(String(v).replace(/[,\s]/g, ''));
+    return Number.isFinite(n) && n >= 0 ? Math.round(n) : undefined;
+  }
+  const s = String(v).trim().slice(0, 200);
+  if (field.type === 'enum') return field.options.includes(s) ? s : undefined;
+  return s || undefined;
+}
+
+function fieldPoints(field, v) {
+  if (v === undefined) return 0;
+  const sc = field.score;
+  if (field.type === 'number' && Array.isArray(sc)) {
+    return sc.filter(([min]) => v >= min).reduce((best, [, pts]) => Math.max(best, pts), 0);
+  }
+  if (field.type === 'enum' && sc && typeof sc === 'object') return Number(sc[v]) || 0;
+  return Number(sc) || 0;
+}
+
+// Score out of 100: points earned over points available in the schema
+export function scoreLead(answers) {
+  let got = 0, max = 0;
+  for (const f of LEAD_FIELDS) {
+    const best = f.type === 'number' && Array.isArray(f.score) ? Math.max(0, ...f.score.map(([, p]) => p))
+      : f.type === 'enum' && f.score && typeof f.score === 'object' ? Math.max(0, ...Object.values(f.score).map(Number))
+      : Number(f.score) || 0;
+    max += best;
+    got += fieldPoints(f, answers[f.key]);
+  }
+  return max ? Math.round((got / max) * 100) : 0;
+}
+
+const CONTACT_SCHEMA = {
+  fullName: { from: ['fullName', 'full_name', 'name'], max: 120 },
+  email:    { max: 254, check: checkEmail },
+  phone:    { max: 40, normalize: (v) => toE164(v) || v, check: (v) => (toE164(v) === v ? null : 'invalid_phone') },
+  company:  { max: 160 },
+};
+
+/**
+ * Validate contact fields and pick known answers from a request body.
+ * Unknown or malformed answers are dropped rather than rejected, so a partial
+ * save from the agent never fails on one bad value. Returns { ok, contact, answers, fields }.
+ */
+export function parseLeadInput(body) {
+  const c = validate(CONTACT_SCHEMA, body || {});
+  const src = { ...(body?.answers || {}), ...body };
+  const answers = {};
+  for (const f of LEAD_FIELDS) {
+    const v = cleanAnswer(f, src[f.key]);
+    if (v !== undefined) answers[f.key] = v;
+  }
+  return { ok: c.ok, contact: c.value, answers, fields: c.fields };
+}
+
+export const missingFields = (answers) => LEAD_FIELDS.filter(f => answers[f.key] === undefined).map(f => f.key);
+
+/* ---- Storage ---- */
+
+/**
+ * Create or update the lead for a conversation. Answers and contact details
+ * merge with what is already stored; blanks never erase earlier values.
+ * Resolves the lead row, or null when the conversation is unknown or closed.
+ */
+export async function upsertLead(conversationId, { contact, answers }) {
+  const { rows: [conv] } = await pool.query(
+    `SELECT id, booking_id, tenant FROM conversations WHERE session_id = $1 AND status = 'open'`,
+    [conversationId]
+  );
+  if (!conv) return null;
+  const { rows: [prev] } = await pool.query('SELECT answers FROM leads WHERE conversation_id = $1', [conv.id]);
+  const merged = { ...(prev?.answers || {}), ...answers };
+  const { rows } = await pool.query(
+    `INSERT INTO leads (conversation_id, booking_id, full_name, email, phone, company, answers, score, tenant)
+     VALUES ($1, $2, nullif($3, ''), nullif($4, ''), nullif($5, ''), nullif($6, ''), $7, $8, $9)
+     ON CONFLICT (conversation_id) DO UPDATE SET
+       full_name = coalesce(EXCLUDED.full_name, leads.full_name),
+       email = coalesce(EXCLUDED.email, leads.email),
+       phone = coalesce(EXCLUDED.phone, leads.phone),
+       company = coalesce(EXCLUDED.company, leads.company),
+       booking_id = coalesce(leads.booking_id, EXCLUDED.booking_id),
+       answers = EXCLUDED.answers, score = EXCLUDED.score, updated_at = now()
+     RETURNING *`,
+    [conv.id, conv.booking_id, contact.fullName, contact.email, contact.phone, contact.company,
+      JSON.stringify(merged), scoreLead(merged), conv.tenant]
+  );
+  return rows[0];
+}
+
+export async function leadForConversation(conversationId) {
+  const { rows } = await pool.query('SELECT * FROM leads WHERE conversation_id = $1', [conversationId]);
+  return rows[0] || null;
+}
+
+export async function markLeadNotified(id, bookingId = null) {
+  await pool.query(
+    `UPDATE leads SET notified_at = now(), booking_id = coalesce(booking_id, $2), updated_at = now() WHERE id = $1`,
+    [id, bookingId]
+  );
+}
+
+export async function listLeads({ status, minScore, q, tenant } = {}, { limit = 100 } = {}) {
+  const { rows } = await pool.query(
+    `SELECT * FROM leads
+      WHERE ($1::text IS NULL OR status = $1)
+        AND ($2::int IS NULL OR score >= $2)
+        AND ($3::text IS NULL OR full_name ILIKE $3 OR email ILIKE $3 OR company ILIKE $3)
+        AND ($4::text IS NULL OR tenant = $4)
+      ORDER BY id DESC
+      LIMIT ${Number(limit)}`,
+    [status || null, Number.isFinite(minScore) ? minScore : null, q ? `%${q}%` : null, tenant || null]
+  );
+  return rows;
+}
+
+export async function findLeadById(id) {
+  const { rows } = await pool.query('SELECT * FROM leads WHERE id = $1', [id]);
+  return rows[0] || null;
+}
+
+export async function updateLeadStatus(id, status) {
+  const { rows } = await pool.query(
+    'UPDATE leads SET status = $2, updated_at = now() WHERE id = $1 RETURNING *',
+    [id, status]
+  );
+  return rows[0] || null;
+}
+
+/* ---- Agent prompt ---- */
+export const describeLeadField = (f) => `${f.key} (${f.label}${f.type === 'enum' ? `; one of ${f.options.join(', ')}` : f.type === 'number' ? '; a number' : ''})`;
+
+export const leadInstructions = () => `
+Lead qualification: while talking, naturally learn what you can of ${LEAD_FIELDS.map(describeLeadField).join(', ')}.
+Ask at most one qualifying question per reply and never interrogate. Call save_lead whenever you learn a new detail
+or the caller's name, email, phone or company, even if they do not book.
+`.trim();
@@ -0,0 +1,151 @@
+// lib/limits.js
+// Abuse protection for the public API: token-bucket rate limits and daily
+// spend caps. State lives in memory by default; RATE_LIMIT_STORE=postgres
+// shares it across instances through the rate_limits / usage_daily tables.
+//
+// Limits are "<count>/<window>", e.g. "10/h", "30/10m", "5/1d"; "off" disables.
+import { pool } from './db.js';
+
+const STORE = (process.env.RATE_LIMIT_STORE || 'memory').trim().toLowerCase();
+const usePg = () => STORE === 'postgres' && !!pool;
+
+const UNIT_SEC = { s: 1, m: 60, h: 3600, d: 86400 };
+
+// "10/h" -> { capacity: 10, refillPerSec: 10 / 3600 } | null (off / unparseable)
+export function parseRate(spec) {
+  const m = String(spec || '').trim().toLowerCase().match(/^(\d+)\s*\/\s*(\d*)\s*([smhd])$/);
+  if (!m) return null;
+  const capacity = Number(m[1]);
+  const windowSec = (Number(m[2]) || 1) * UNIT_SEC[m[3]];
+  return capacity > 0 ? { capacity, refillPerSec: capacity / windowSec } : null;
+}
+
+/* ---- Token buckets ---- */
+const buckets = new Map(); // key -> { tokens, at }
+
+function takeMemory(key, { capacity, refillPerSec }, cost) {
+  const now = Date.now();
+  const b = buckets.get(key) || { tokens: capacity, at: now };
+  const tokens = Math.min(capacity, b.tokens + ((now - b.at) / 1000) * refillPerSec);
+  if (tokens < cost) {
+    buckets.set(key, { tokens, at: now });
+    return { ok: false, retryAfter: Math.ceil((cost - tokens) / refillPerSec) };
+  }
+  buckets.set(key, { tokens: tokens - cost, at: now });
+  return { ok: true };
+}
+
+// One statement: refill, check and spend, so concurrent instances cannot overdraw
+async function takePg(key, { capacity, refillPerSec }, cost) {
+  const { rows } = await pool.query(
+    `INSERT INTO rate_limits (key, tokens, updated_at) VALUES ($1, $2::float8 - $4, now())
+     ON CONFLICT (key) DO UPDATE SET
+       tokens = LEAST($2, rate_limits.tokens + extract(epoch FROM now() - rate_limits.updated_at) * $3) - $4,
+       updated_at = now()
+     WHERE LEAST($2, rate_limits.tokens + extract(epoch FROM now() - rate_limits.updated_at) * $3) >= $4
+     RETURNING tokens`,
+    [key, capacity, refillPerSec, cost]
+  );
+  if (rows[0]) return { ok: true };
+  const cur = await pool.query(
+    `SELECT LEAST($2, tokens + extract(epoch FROM now() - updated_at) * $3) AS tokens FROM rate_limits WHERE key = $1`,
+    [key, capacity, refillPerSec]
+  );
+  return { ok: false, retryAfter: Math.ceil((cost - Number(cur.rows[0]?.tokens || 0)) / refillPerSec) };
+}
+
+/**
+ * A named limiter from an env spec. limiter.take(key, cost?) resolves
+ * { ok:true } | { ok:false, retryAfter } (seconds). A store error lets the
+ * request through: an outage in the limiter must not take bookings down.
+ */
+export function createLimiter(name, spec) {
+  const rate = parseRate(spec);
+  return {
+    name, rate,
+    async take(key, cost = 1) {
+      if (!rate || !key) return { ok: true };
+      const k = `${name}:${String(key).toLowerCase()}`;
+      try { return usePg() ? await takePg(k, rate, cost) : takeMemory(k, rate, cost); }
+      catch (e) { console.warn(`[LIMIT] ${name} store error:`, e?.message); return { ok: true }; }
+    },
+  };
+}
+
+/* ---- Daily spend caps ---- */
+const usage = new Map(); // "<day>:<metric>" -> amount
+const today = () => new Date().toISOString().slice(0, 10);
+
+/**
+ * Reserve amount of a daily metric (UTC day) under cap. Resolves
+ * { ok:true, used } | { ok:false, used }; cap <= 0 means unlimited.
+ */
+export async function reserveDaily(metric, amount, cap) {
+  if (!(cap > 0)) return { ok: true, used: 0 };
+  const day = today();
+  try {
+    if (usePg()) {
+      const { rows } = await pool.query(
+        `INSERT INTO usage_daily (day, metric, amount) SELECT $1::date, $2::text, $3::bigint WHERE $3::bigint <= $4::bigint
+         ON CONFLICT (day, metric) DO UPDATE SET amount = usage_daily.amount + EXCLUDED.amount
+         WHERE usage_daily.amount + EXCLUDED.amount <= $4::bigint
+         RETURNING amount`,
+        [day, metric, amount, cap]
+      );
+      return rows[0] ? { ok: true, used: Number(rows[0].amount) } : { ok: false, used: cap };
+    }
+    const k = `${day}:${metric}`;
+    const used = (usage.get(k) || 0) + amount;
+    if (used > cap) return { ok: false, used: used - amount };
+    usage.set(k, used);
+    return { ok: true, used };
+  } catch (e) {
+    console.warn(`[LIMIT] daily ${metric} store error:`, e?.message);
+    return { ok: true, used: 0 };
+  }
+}
+
+// Give back a reservation that was not spent (upstream call failed)
+export async function releaseDaily(metric, amount) {
+  const day = today();
+  try {
+    if (usePg()) {
+      await pool.query(
+        `UPDATE usage_daily SET amount = GREATEST(0, amount - $3) WHERE day = $1::date AND metric = $2`,
+        [day, metric, amount]
+      );
+    } else {
+      const k = `${day}:${metric}`;
+      usage.set(k, Math.max(0, (usage.get(k) || 0) - amount));
+    }
+  } catch {}
+}
+
+// Forget idle memory buckets and old counters
+setInterval(() => {
+  const cutoff = Date.now() - 86400000;
+  for (const [k, b] of buckets) if (b.at < cutoff) buckets.delete(k);
+  const day = today();
+  for (const k of usage.keys()) if (!k.startsWith(day)) usage.delete(k);
+  if (usePg()) {
+    pool.query(`DELETE FROM rate_limits WHERE updated_at < now() - interval '1 day'`).catch(() => {});
+  }
+}, 3600000).unref();
+
+/* ---- Express glue ---- */
+// Seconds until the daily caps reset (UTC midnight)
+export const secondsToMidnightUtc = () => Math.ceil((Date.parse(`${today()}T00:00:00Z`) + 86400000 - Date.now()) / 1000);
+
+export function tooMany(res, retryAfter, error = 'rate_limited') {
+  res.setHeader('Retry-After', String(retryAfter));
+  return res.status(429).json({ ok:false, error, retryAfter });
+}
+
+// Per-IP middleware for a limiter; the phone bridge's own calls (req.internal) pass
+export const limitByIp = (limiter) => async (req, res, next) => {
+  if (req.internal) return next();
+  const r = await limiter.take(req.ip);
+  if (r.ok) return next();
+  console.warn(`[LIMIT] ${limiter.name} ${req.ip} blocked for ${r.retryAfter}s`);
+  tooMany(res, r.retryAfter);
+};
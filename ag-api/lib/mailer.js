@@ -0,0 +1,33 @@
+// lib/mailer.js
+// SMTP transport (nodemailer) + sender identity shared by every outgoing email
+import nodemailer from 'nodemailer';
+
+const smtpPort = Number(process.env.SMTP_PORT || 587);
+const smtpSecureEnv = String(process.env.SMTP_SECURE || '').toLowerCase();
+const smtpSecure = smtpSecureEnv ? ['1','true','yes','on'].includes(smtpSecureEnv) : smtpPort === 465;
+
+export const BRAND = process.env.BRAND_NAME || 'Agentlyne';
+export const FROM_ADDR = process.env.SMTP_FROM || process.env.FROM_EMAIL || 'no-reply@agentlyne.com';
+export const FROM_EMAIL = `${BRAND} <${FROM_ADDR}>`;
+export const SALES_EMAIL = process.env.BOOKINGS_INBOX || process.env.SALES_EMAIL || `sales@agentlyne.com`;
+export const ARCHIVE_BCC = (process.env.BCC_ARCHIVE || 'chalfontwebs@gmail.com').trim();
+export const MAILGUN_TAG = (process.env.MAILGUN_TAG || 'booking').trim();
+
+export const transporter = process.env.SMTP_HOST ? nodemailer.createTransport({
+  host: process.env.SMTP_HOST,
+  port: smtpPort,
+  secure: smtpSecure,
+  auth: (process.env.SMTP_USER || process.env.SMTP_PASS) ? { user: process.env.SMTP_USER, pass: process.env.SMTP_PASS } : undefined,
+  tls: { minVersion: 'TLSv1.2' },
+  pool: true,
+  logger: !!process.env.SMTP_DEBUG,
+  debug: !!process.env.SMTP_DEBUG
+}) : null;
+
+if (transporter) {
+  transporter.verify()
+    .then(() => console.log('SMTP: ready (host=%s, port=%d)', process.env.SMTP_HOST, smtpPort))
+    .catch(e => console.warn('SMTP verify failed:', e?.message));
+} else {
+  console.warn('SMTP: disabled (missing SMTP_HOST)');
+}
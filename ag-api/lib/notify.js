@@ -0,0 +1,260 @@
+// lib/notify.js
+// Calendar invites, self-service links and lifecycle emails for a booking row.
+// Copy and markup live in lib/templates.js; this module picks the template,
+// fills in the booking and queues the result in the outbox (lib/outbox.js).
+// Brand, sales inbox and links follow the row's tenant (lib/tenants.js).
+import { buildIcs, newUid, eventStatusFor } from './calendar.js';
+import { localParts, prettyWhen } from './time.js';
+import { transporter, FROM_ADDR, ARCHIVE_BCC, MAILGUN_TAG } from './mailer.js';
+import { pool } from './db.js';
+import { queueEmail } from './outbox.js';
+import { render, strings, LOCALES, DEFAULT_LOCALE } from './templates.js';
+import { LEAD_FIELDS, leadForConversation } from './leads.js';
+import { tenantOf, DEFAULT_TENANT_KEY } from './tenants.js';
+
+/* ---- Booking links ---- */
+export const PUBLIC_URL = (process.env.PUBLIC_URL || 'https://agentlyne.com').replace(/\/+$/, '');
+
+export const newIcsUid = () => newUid(FROM_ADDR.split('@')[1] || 'agentlyne.com');
+
+// Pages on the shared host find their tenant from ?agent= (see /config.js)
+const agentParam = (tenant) => (tenant && tenant !== DEFAULT_TENANT_KEY ? `agent=${encodeURIComponent(tenant)}` : '');
+
+export function manageLinks(token, tenant) {
+  const agent = agentParam(tenant);
+  const base = `${PUBLIC_URL}/manage?token=${encodeURIComponent(token)}${agent ? `&${agent}` : ''}`;
+  return { manage: base, reschedule: `${base}&action=reschedule`, cancel: `${base}&action=cancel` };
+}
+
+// Statuses after which the booking no longer happens (no links, CANCEL invites)
+const CLOSED = ['cancelled', 'declined'];
+
+const localeOf = (row) => (LOCALES.includes(row.locale) ? row.locale : DEFAULT_LOCALE);
+
+/* ---- Calendar invites ---- */
+const ICS_ORGANIZER = (process.env.ICS_ORGANIZER || FROM_ADDR).trim();
+const ICS_ALARMS_MIN = String(process.env.ICS_ALARMS_MIN || '1440,15')
+  .split(',').map(Number).filter(n => n > 0);
+
+// ICS for a booking row (or the same shape before it is persisted), in the prospect's locale
+export function bookingIcs(row, { method = 'REQUEST' } = {}) {
+  const status = row.status || 'pending';
+  const fullName = row.full_name || row.name || '';
+  const s = strings(localeOf(row)).ics;
+  const brand = tenantOf(row).name;
+  const summary = `${s.summary(brand)}${status === 'pending' ? s.pending : ''}`;
+  return buildIcs({
+    method,
+    uid: row.ics_uid,
+    sequence: row.ics_sequence || 0,
+    start: row.start_utc,
+    end: row.end_utc,
+    summary,
+    description: [
+      `${s.with}: ${fullName}${row.company ? ` (${row.company})` : ''}`,
+      `${s.phone}: ${row.phone || '—'}`,
+      row.meeting_url ? `${s.join}: ${row.meeting_url}` : '',
+      row.manage_token && !CLOSED.includes(status) ? `${s.manage}: ${manageLinks(row.manage_token, row.tenant).manage}` : '',
+    ].filter(Boolean).join('\n'),
+    location: row.meeting_url || '',
+    url: row.meeting_url || '',
+    status: eventStatusFor(status),
+    organizer: { email: ICS_ORGANIZER, name: brand },
+    attendees: [{ email: row.email, name: fullName }],
+    alarms: ICS_ALARMS_MIN,
+  });
+}
+
+/* ---- Template variables ---- */
+const REPLY_TO = process.env.SUPPORT_EMAIL || FROM_ADDR;
+const LOGO_URL = (process.env.EMAIL_LOGO_URL ?? `${PUBLIC_URL}/apple-touch-icon.png`).trim();
+
+const brandVars = (tenant) => ({ name: tenant.name, support: tenant.supportEmail, logo: tenant.logoUrl || LOGO_URL });
+
+function bookingVars(row, locale = localeOf(row)) {
+  const tz = row.timezone || 'UTC';
+  const status = row.status || 'pending';
+  const startISO = row.start_utc ? new Date(row.start_utc).toISOString() : null;
+  const endISO = row.end_utc ? new Date(row.end_utc).toISOString() : null;
+  const local = startISO ? localParts(Date.parse(startISO), tz) : { date: row.date, time: row.time };
+  const agent = agentParam(row.tenant);
+  return {
+    brand: brandVars(tenantOf(row)),
+    fullName: row.full_name || row.name || '', email: row.email, phone: row.phone, company: row.company,
+    notes: row.notes, plan: row.plan, tier: row.tier, source: row.source, prospectLocale: localeOf(row),
+    duration: row.duration_min, date: local.date, time: local.time,
+    when: (startISO && endISO && prettyWhen(startISO, endISO, tz, strings(locale).intl)) || `${local.date} ${local.time} (${tz})`,
+    join: status === 'confirmed' ? row.meeting_url || '' : '',
+    // Self-service links only work once the booking is persisted
+    links: row.id && row.manage_token && !CLOSED.includes(status) ? manageLinks(row.manage_token, row.tenant) : null,
+    bookUrl: `${PUBLIC_URL}/book.html${agent ? `?${agent}` : ''}`,
+  };
+}
+
+// Queue a rendered template; kind is the template name, kept for the delivery log.
+// Mail goes out from the shared address under the tenant's name.
+function deliver(to, msg, { row, tenant = tenantOf(row), kind, replyTo, attachments } = {}) {
+  return queueEmail({
+    from: `${tenant.name} <${FROM_ADDR}>`,
+    to,
+    replyTo: replyTo || tenant.replyTo || REPLY_TO,
+    subject: msg.subject,
+    text: msg.text,
+    html: msg.html,
+    attachments,
+    bcc: ARCHIVE_BCC || undefined,
+    headers: { 'X-Mailgun-Tag': MAILGUN_TAG }
+  }, { bookingId: row?.id || null, kind });
+}
+
+// With a database the outbox holds mail until SMTP is configured; without one we need SMTP now
+const canSend = () => !!(pool || transporter);
+
+const icsAttachment = (row, method) => ({
+  filename: method === 'CANCEL' ? 'cancel.ics' : 'invite.ics',
+  content: bookingIcs(row, { method }),
+  contentType: `text/calendar; charset=utf-8; method=${method}`
+});
+
+// Voice transcript turns [{ role, text }] as plain text
+const SPEAKERS = { user: 'Caller', assistant: 'Agent', tool: 'Lookup', staff: 'Staff' };
+export const transcriptText = (turns) =>
+  turns.map(t => `${SPEAKERS[t.role] || 'Agent'}: ${t.text}`).join('\n');
+
+/* ---- Lifecycle emails ---- */
+
+// Acknowledgement + invite to the prospect and, unless { notifySales:false }
+// (voice bookings wait for the conversation summary), the new-booking note to sales
+export async function sendBookingReceived(row, { logTag = '[BOOK]', notifySales = true } = {}) {
+  const status = { sales:false, user:false };
+  if (!canSend()) { console.warn(`${logTag} transporter missing, email not sent`); return status; }
+
+  try {
+    await deliver(row.email, render('booking_received', localeOf(row), bookingVars(row)), {
+      row, kind: 'booking_received',
+      attachments: row.start_utc ? [icsAttachment(row, 'REQUEST')] : []
+    });
+    status.user = true;
+  } catch (e) { console.warn(`${logTag} queueEmail(user) failed:`, e?.message); }
+
+  if (notifySales) status.sales = await sendSalesNewBooking(row, { logTag });
+  return status;
+}
+
+// Lead row -> { score, answers: [[label, value]] } in schema order
+function leadVars(lead) {
+  const answers = lead.answers || {};
+  return {
+    score: lead.score,
+    answers: LEAD_FIELDS.filter(f => answers[f.key] !== undefined).map(f => [f.label, String(answers[f.key])]),
+  };
+}
+
+// Conversation summary with its qualification as [[label, value]], labelled like the lead fields
+const summaryVars = (summary) => summary && {
+  ...summary,
+  qualification: LEAD_FIELDS.filter(f => summary.qualification?.[f.key]).map(f => [f.label, summary.qualification[f.key]]),
+};
+
+const transcriptAttachment = (turns) => (turns.length ? [{
+  filename: 'transcript.txt', content: transcriptText(turns), contentType: 'text/plain; charset=utf-8'
+}] : undefined);
+
+/**
+ * New-booking note to sales. conversation: { summary, turns } from a voice
+ * session adds the AI summary and attaches the transcript; lead adds the
+ * qualification answers and score.
+ */
+export async function sendSalesNewBooking(row, { conversation = null, lead = null, logTag = '[BOOK]' } = {}) {
+  if (!canSend()) return false;
+  try {
+    const turns = conversation?.turns || [];
+    await deliver(tenantOf(row).salesEmail, render('sales_new_booking', DEFAULT_LOCALE, {
+      ...bookingVars(row, DEFAULT_LOCALE),
+      lead: lead && leadVars(lead),
+      conversation: conversation && { summary: summaryVars(conversation.summary), turns: turns.length }
+    }), {
+      row, kind: 'sales_new_booking', replyTo: row.email, attachments: transcriptAttachment(turns)
+    });
+    return true;
+  } catch (e) {
+    console.warn(`${logTag} queueEmail(sales) failed:`, e?.message);
+    return false;
+  }
+}
+
+// Qualified caller who did not book: lead details, summary and transcript to sales
+export async function sendSalesNewLead(lead, { conversation = null } = {}) {
+  const turns = conversation?.turns || [];
+  const tenant = tenantOf(lead);
+  await deliver(tenant.salesEmail, render('sales_new_lead', DEFAULT_LOCALE, {
+    brand: brandVars(tenant),
+    fullName: lead.full_name, email: lead.email, phone: lead.phone, company: lead.company,
+    lead: leadVars(lead),
+    conversation: conversation && { summary: summaryVars(conversation.summary), turns: turns.length }
+  }), {
+    tenant, kind: 'sales_new_lead', replyTo: lead.email, attachments: transcriptAttachment(turns)
+  });
+  return true;
+}
+
+const HANDOFF_RECENT_TURNS = 8;
+
+/**
+ * Hand-off request to the tenant's on-duty staff (handoffEmail) with the last
+ * few turns inline and the transcript so far attached. live: staff can still
+ * join the conversation from the console.
+ */
+export async function sendHandoffRequested(handoff, { conversation, turns = [], live = false }) {
+  if (!canSend()) return false;
+  const tenant = tenantOf(handoff);
+  const lead = await leadForConversation(conversation.id).catch(() => null);
+  const spoken = turns.filter(t => t.role !== 'tool');
+  await deliver(tenant.handoffEmail, render('staff_handoff', DEFAULT_LOCALE, {
+    brand: brandVars(tenant),
+    id: handoff.id, reason: handoff.reason, urgency: handoff.urgency, source: conversation.source, live,
+    fullName: lead?.full_name, email: lead?.email, phone: lead?.phone,
+    recent: spoken.slice(-HANDOFF_RECENT_TURNS).map(t => [SPEAKERS[t.role] || 'Agent', t.text]),
+    turns: turns.length,
+    consoleUrl: `${PUBLIC_URL}/handoffs.html?id=${handoff.id}`,
+  }), {
+    tenant, kind: 'staff_handoff', replyTo: lead?.email || undefined, attachments: transcriptAttachment(turns)
+  });
+  return true;
+}
+
+/**
+ * Updated invite (same UID, bumped SEQUENCE) or cancellation to the prospect.
+ * kind: rescheduled | cancelled | confirmed | declined. Sales gets a note unless
+ * { notifySales:false } (staff-initiated changes).
+ */
+export async function sendBookingChange(row, kind, { notifySales = true, message = '' } = {}) {
+  const status = { sales:false, user:false };
+  if (!canSend()) { console.warn(`[BOOK ${kind}] transporter missing, email not sent`); return status; }
+
+  try {
+    const method = CLOSED.includes(kind) ? 'CANCEL' : 'REQUEST';
+    await deliver(row.email, render(`booking_${kind}`, localeOf(row), { ...bookingVars(row), message }), {
+      row, kind: `booking_${kind}`, attachments: [icsAttachment(row, method)]
+    });
+    status.user = true;
+  } catch (e) { console.warn(`[BOOK ${kind}] queueEmail(user) failed:`, e?.message); }
+
+  if (!notifySales) return status;
+  try {
+    await deliver(tenantOf(row).salesEmail, render('sales_booking_change', DEFAULT_LOCALE, { ...bookingVars(row, DEFAULT_LOCALE), kind }), {
+      row, kind: 'sales_booking_change', replyTo: row.email
+    });
+    status.sales = true;
+  } catch (e) { console.warn(`[BOOK ${kind}] queueEmail(sales) failed:`, e?.message); }
+
+  return status;
+}
+
+// Reminder ahead of the call; resolves once it is queued (or sent, without a DB)
+export async function sendReminder(row, offsetMin) {
+  await deliver(row.email, render('booking_reminder', localeOf(row), { ...bookingVars(row), offsetMin }), {
+    row, kind: 'booking_reminder'
+  });
+  return true;
+}
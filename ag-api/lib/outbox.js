@@ -0,0 +1,148 @@
+// lib/outbox.js
+// Durable outbound email: messages are written to email_outbox and a background
+// worker hands them to the SMTP transporter, retrying with exponential backoff.
+// Without a database, queueEmail() falls back to sending inline.
+import { pool } from './db.js';
+import { transporter } from './mailer.js';
+
+const POLL_SEC = Number(process.env.OUTBOX_POLL_SEC || 5);
+const MAX_ATTEMPTS = Number(process.env.OUTBOX_MAX_ATTEMPTS || 8);
+const BACKOFF_BASE_SEC = Number(process.env.OUTBOX_BACKOFF_SEC || 30);
+const BACKOFF_MAX_SEC = 6 * 3600;
+// A row left in 'sending' this long (process died mid-send) is picked up again
+const STALE_SENDING_SEC = 600;
+const BATCH = 20;
+
+export const OUTBOX_STATUSES = ['queued', 'sending', 'sent', 'failed'];
+
+const backoffSec = (attempts) => Math.min(BACKOFF_BASE_SEC * 2 ** Math.max(0, attempts - 1), BACKOFF_MAX_SEC);
+
+let wake = null; // set by startOutbox(); runs a pass soon after new mail is queued
+
+/**
+ * Queue a nodemailer message. meta: { bookingId?, kind? }.
+ * Resolves { id, status:'queued' } | { status:'sent', messageId } (no DB).
+ */
+export async function queueEmail(message, { bookingId = null, kind = null } = {}) {
+  if (!pool) {
+    if (!transporter) throw new Error('smtp_disabled');
+    const info = await transporter.sendMail(message);
+    return { status: 'sent', messageId: info.messageId };
+  }
+  const { rows } = await pool.query(
+    `INSERT INTO email_outbox (booking_id, kind, to_addr, message)
+     VALUES ($1, $2, $3, $4)
+     RETURNING id`,
+    [bookingId, kind, String(message.to || ''), JSON.stringify(message)]
+  );
+  wake?.();
+  return { id: rows[0].id, status: 'queued' };
+}
+
+// Lock a batch of due rows for this worker; SKIP LOCKED keeps instances apart
+async function claimBatch() {
+  const { rows } = await pool.query(
+    `UPDATE email_outbox o
+        SET status = 'sending', attempts = o.attempts + 1, updated_at = now()
+      WHERE o.id IN (
+        SELECT id FROM email_outbox
+         WHERE (status = 'queued' AND next_attempt_at <= now())
+            OR (status = 'sending' AND updated_at < now() - make_interval(secs => $1))
+         ORDER BY next_attempt_at
+         LIMIT ${BATCH}
+         FOR UPDATE SKIP LOCKED)
+      RETURNING o.*`,
+    [STALE_SENDING_SEC]
+  );
+  return rows;
+}
+
+async function deliver(row) {
+  try {
+    const info = await transporter.sendMail(row.message);
+    await pool.query(
+      `UPDATE email_outbox
+          SET status = 'sent', message_id = $2, sent_at = now(), last_error = NULL, updated_at = now()
+        WHERE id = $1`,
+      [row.id, info.messageId || null]
+    );
+    console.log(`[OUTBOX] #${row.id} ${row.kind || 'email'} -> ${row.to_addr} sent`);
+  } catch (e) {
+    const failed = row.attempts >= MAX_ATTEMPTS;
+    await pool.query(
+      `UPDATE email_outbox
+          SET status = $2, last_error = $3, updated_at = now(),
+              next_attempt_at = now() + make_interval(secs => $4)
+        WHERE id = $1`,
+      [row.id, failed ? 'failed' : 'queued', String(e?.message || e).slice(0, 1000), backoffSec(row.attempts)]
+    );
+    console.warn(`[OUTBOX] #${row.id} attempt ${row.attempts}/${MAX_ATTEMPTS} failed:`, e?.message);
+  }
+}
+
+export async function runOutbox() {
+  let n = 0;
+  for (;;) {
+    const batch = await claimBatch();
+    for (const row of batch) { await deliver(row); n++; }
+    if (batch.length < BATCH) return n;
+  }
+}
+
+export function startOutbox() {
+  if (!pool) { console.warn('Outbox: disabled (no DATABASE_URL), sending inline'); return; }
+  if (!transporter) { console.warn('Outbox: paused (missing SMTP_HOST), messages stay queued'); return; }
+  let running = false, again = false;
+  const tick = async () => {
+    if (running) { again = true; return; }
+    running = true;
+    try {
+      do { again = false; await runOutbox(); } while (again);
+    } catch (e) { console.warn('[OUTBOX] tick failed:', e?.message); }
+    finally { running = false; }
+  };
+  wake = () => setImmediate(tick);
+  setInterval(tick, POLL_SEC * 1000).unref();
+  tick();
+  console.log('Outbox: polling every %ds, up to %d attempts', POLL_SEC, MAX_ATTEMPTS);
+}
+
+/* ---- Status / admin ---- */
+export async function emailsForBooking(bookingId) {
+  const { rows } = await pool.query(
+    `SELECT id, kind, to_addr, status, attempts, last_error, message_id, created_at, sent_at, next_attempt_at
+       FROM email_outbox WHERE booking_id = $1 ORDER BY id`,
+    [bookingId]
+  );
+  return rows;
+}
+
+export async function listEmails({ status, bookingId } = {}, { limit = 100 } = {}) {
+  const { rows } = await pool.query(
+    `SELECT id, booking_id, kind, to_addr, status, attempts, last_error, message_id, created_at, sent_at, next_attempt_at
+       FROM email_outbox
+      WHERE ($1::text IS NULL OR status = $1) AND ($2::bigint IS NULL OR booking_id = $2)
+      ORDER BY id DESC
+      LIMIT ${Number(limit)}`,
+    [status || null, bookingId || null]
+  );
+  return rows;
+}
+
+/**
+ * Put a failed (or still waiting) message back in the queue now.
+ * Resolves { ok:true, email } | { ok:false, error:'not_found' | 'already_sent' | 'in_flight' }.
+ */
+export async function resendEmail(id) {
+  const { rows } = await pool.query(
+    `UPDATE email_outbox
+        SET status = 'queued', next_attempt_at = now(), updated_at = now()
+      WHERE id = $1 AND status IN ('failed', 'queued')
+      RETURNING id, booking_id, kind, to_addr, status, attempts, last_error, message_id, created_at, sent_at, next_attempt_at`,
+    [id]
+  );
+  if (rows[0]) { wake?.(); return { ok:true, email: rows[0] }; }
+  const cur = await pool.query('SELECT status FROM email_outbox WHERE id = $1', [id]);
+  if (!cur.rows[0]) return { ok:false, error:'not_found' };
+  return { ok:false, error: cur.rows[0].status === 'sent' ? 'already_sent' : 'in_flight' };
+}
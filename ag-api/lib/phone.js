@@ -0,0 +1,359 @@
+// lib/phone.js
+// Telephony bridge: answers real phone calls with the voice agent.
+// A carrier streams each call over a WebSocket at /api/phone/stream using the
+// Twilio Media Streams protocol (JSON frames, base64 µ-law 8 kHz audio). Each
+// call gets its own OpenAI realtime WebSocket session built from the same agent
+// profile (lib/agentProfiles.js) as the browser agent, plus phone etiquette;
+// audio is transcoded both ways (lib/audio.js). When the caller talks over the
+// agent, playback is cleared on the carrier and the model's reply is truncated
+// to what was actually heard.
+//
+// Tools run against our own HTTP API exactly like the browser SDK does, so
+// bookings go through /api/book (source 'phone'), transcripts through
+// /api/conversations, leads through /api/leads and funnel events through /api/events.
+//
+// Setup (Twilio): point the number's voice webhook at TwiML like
+//   <Response><Connect><Stream url="wss://api.example.com/api/phone/stream">
+//     <Parameter name="token" value="$PHONE_STREAM_TOKEN"/>
+//     <Parameter name="agent" value="acme-dental"/>   (optional tenant key)
+//     <Parameter name="profile" value="sales-es"/>     (optional agent profile, default 'default')
+//     <Parameter name="from" value="{{From}}"/>         (optional caller id)
+//   </Stream></Connect></Response>
+// Locally: node scripts/fake-carrier.js caller.wav
+import crypto from 'crypto';
+import { WebSocket, WebSocketServer } from 'ws';
+import { WEB_INTRO } from './agentTools.js';
+import { DEFAULT_PROFILE_NAME, PROFILE_NAME_RE, getProfile, sessionBody } from './agentProfiles.js';
+import { DEFAULT_TENANT, TENANT_LIST } from './tenants.js';
+import { reserveDaily, releaseDaily } from './limits.js';
+import { carrierToModel, modelToCarrier } from './audio.js';
+import { toE164 } from './validate.js';
+
+export const PHONE_PATH = '/api/phone/stream';
+const STREAM_TOKEN = (process.env.PHONE_STREAM_TOKEN || '').trim();
+const MAX_CALLS = Number(process.env.PHONE_MAX_CALLS || 10);
+// Phone audio needs a model voice: this one stands in for profiles that leave it to the browser
+const VOICE = process.env.PHONE_VOICE || 'verse';
+const realtimeUrl = (model) => process.env.OPENAI_REALTIME_URL || `wss://api.openai.com/v1/realtime?model=${encodeURIComponent(model)}`;
+// Caller audio kept while the model connection opens (~2 s of 20 ms frames)
+const MAX_PENDING_FRAMES = 100;
+
+let activeCalls = 0;
+
+/* ---- Internal API calls ---- */
+// The bridge calls our API on the caller's behalf from 127.0.0.1; those requests
+// skip the per-IP limits and proof-of-work (every call would share one IP).
+// The key never leaves this process.
+const INTERNAL_HEADER = 'x-agentlyne-internal';
+const INTERNAL_KEY = crypto.randomBytes(24).toString('base64url');
+
+export function isInternalRequest(req) {
+  const v = Buffer.from(String(req.get(INTERNAL_HEADER) || ''));
+  const k = Buffer.from(INTERNAL_KEY);
+  return v.length === k.length && crypto.timingSafeEqual(v, k);
+}
+
+function apiClient(base, tenant) {
+  return async function api(method, path, body) {
+    const r = await fetch(base + path, {
+      method,
+      headers: {
+        ...(body ? { 'Content-Type': 'application/json' } : {}),
+        'X-Agent-Key': tenant.key,
+        'X-Forwarded-Proto': 'https',
+        [INTERNAL_HEADER]: INTERNAL_KEY,
+      },
+      body: body ? JSON.stringify(body) : undefined,
+    });
+    const j = await r.json().catch(() => ({}));
+    return { status: r.status, ...j };
+  };
+}
+
+/* ---- Funnel events (lib/analytics.js), the same ones the browser SDK reports ---- */
+function track(call, type, extra = {}) {
+  call.api('POST', '/api/events', {
+    type, sessionId: call.eventsId, conversationId: call.sessionId || undefined, source: 'phone', ...extra,
+  }).catch(() => {});
+}
+
+/* ---- Tools (same contract as public/sdk/openai-realtime.v1.js) ---- */
+const slotList = (slots) => (slots || []).slice(0, 8).map(s => ({ date: s.date, time: s.time, label: s.label }));
+const fieldMessages = (fields) => Object.fromEntries(Object.entries(fields).map(([k, f]) => [k, f.message || f.code]));
+
+function phoneTools(call) {
+  const { api, tenant } = call;
+  // book_call against /api/book; the tool wraps it with funnel events
+  async function bookCall(args) {
+    const timeZone = args.timeZone || tenant.businessTz;
+    const j = await api('POST', '/api/book', {
+      fullName: args.fullName, email: args.email, phone: args.phone || call.from || '', company: args.company || '',
+      date: args.date, time: args.time, timeZone, notes: args.notes || '',
+      source: 'phone', conversationId: call.sessionId || undefined,
+    });
+    if (j.status === 409) return { ok: false, error: 'slot_taken', alternatives: slotList(j.alternatives) };
+    if (j.fields) return { ok: false, error: 'invalid_fields', fields: fieldMessages(j.fields) };
+    if (!j.ok) return { ok: false, error: j.error || 'booking_failed' };
+    if (j.manageToken) call.booked = j.manageToken;
+    return { ok: true, status: 'booked', date: args.date, time: args.time, timeZone, emailSent: !!j.email?.user, confirmation: j.message };
+  }
+
+  return {
+    async check_availability({ date, timeZone = tenant.businessTz }) {
+      const j = await api('GET', `/api/slots?${new URLSearchParams({ date, tz: timeZone })}`);
+      if (!j.ok) return { ok: false, error: j.error || 'unavailable' };
+      return { ok: true, date, timeZone, slots: slotList(j.slots) };
+    },
+
+    async book_call(args) {
+      track(call, 'booking_attempted');
+      const r = await bookCall(args).catch(e => { track(call, 'booking_failed', { error: 'network_error' }); throw e; });
+      track(call, r.ok ? 'booking_succeeded' : 'booking_failed', r.ok ? {} : { error: r.error });
+      return r;
+    },
+
+    async reschedule_call({ date, time, timeZone = tenant.businessTz }) {
+      if (!call.booked) return { ok: false, error: 'no_booking_in_conversation' };
+      const j = await api('PATCH', `/api/bookings/${encodeURIComponent(call.booked)}`, { date, time, timeZone });
+      if (j.status === 409 && j.alternatives) return { ok: false, error: 'slot_taken', alternatives: slotList(j.alternatives) };
+      if (j.fields) return { ok: false, error: 'invalid_fields', fields: fieldMessages(j.fields) };
+      if (!j.ok) return { ok: false, error: j.error || 'reschedule_failed' };
+      return { ok: true, status: 'rescheduled', date: j.booking?.date, time: j.booking?.time, timeZone: j.booking?.timeZone };
+    },
+
+    async search_knowledge({ query }) {
+      const q = new URLSearchParams({ q: query || '' });
+      if (call.sessionId) q.set('conversationId', call.sessionId);
+      const j = await api('GET', `/api/knowledge/search?${q}`);
+      if (!j.ok) return { ok: false, error: j.error || 'search_failed' };
+      if (!j.results.length) return { ok: true, found: false };
+      return { ok: true, found: true, results: j.results.map(r => ({ source: r.source, title: r.title, text: r.text })) };
+    },
+
+    // Nobody can join a phone call from the console (live comes back false); staff call back
+    async request_human({ reason, urgency }) {
+      if (!call.sessionId) return { ok: false, error: 'not_recorded' };
+      const j = await api('POST', '/api/handoffs', { conversationId: call.sessionId, reason, urgency });
+      if (!j.ok) return { ok: false, error: j.error || 'handoff_failed' };
+      return { ok: true, ticket: j.ticket, live: j.live, withinHours: j.withinHours, businessHours: j.businessHours };
+    },
+
+    async save_lead(args) {
+      if (!call.sessionId) return { ok: false, error: 'not_recorded' };
+      const j = await api('POST', '/api/leads', { phone: call.from || undefined, ...args, conversationId: call.sessionId });
+      if (j.fields) return { ok: false, error: 'invalid_fields', fields: fieldMessages(j.fields) };
+      if (!j.ok) return { ok: false, error: j.error || 'save_failed' };
+      return { ok: true, saved: true, stillUnknown: j.missing };
+    },
+  };
+}
+
+const phoneIntro = (tenant, from) => [
+  `You are answering a phone call for ${tenant.name}. Keep replies short and natural for speech; never read out URLs, lists or formatting.`,
+  'The caller cannot see a website: instead of pointing to forms or links, offer to book a call or have someone follow up.',
+  `Assume the caller is in ${tenant.businessTz} unless they say otherwise.`,
+  'Ask the caller to spell their email address and read it back before booking.',
+  from && `Caller ID: ${from}. Confirm it is a good number to reach them rather than asking for it.`,
+].filter(Boolean).join('\n');
+
+/* ---- One call ---- */
+function handleCall(carrier, { localBase, dailySessions }) {
+  let call = null;       // set on the carrier's start event
+  let model = null;      // OpenAI realtime WebSocket
+  let pending = [];      // caller audio received before the model was ready
+  let playing = null;    // { itemId, startedAt, sentMs } of the reply being played
+  let responding = false;
+  let closed = false;
+  const handledCallIds = new Set();
+
+  const toCarrier = (msg) => { if (carrier.readyState === WebSocket.OPEN) carrier.send(JSON.stringify(msg)); };
+  const toModel = (msg) => { if (model?.readyState === WebSocket.OPEN) model.send(JSON.stringify(msg)); };
+  const log = (...args) => console.log(`[PHONE ${call?.callSid || '-'}]`, ...args);
+
+  function hangUp(reason) {
+    if (closed) return;
+    closed = true;
+    if (call) {
+      activeCalls--;
+      log('ended:', reason);
+      track(call, 'session_ended', { durationMs: Date.now() - call.startedAt });
+      closeConversation();
+    }
+    try { model?.close(); } catch {}
+    try { carrier.close(); } catch {}
+  }
+
+  /* Transcript via /api/conversations, one request at a time so turns stay in order */
+  function recordTurn(role, text, itemId) {
+    if (!call?.sessionId || !text || !text.trim()) return;
+    const path = `/api/conversations/${encodeURIComponent(call.sessionId)}/turns`;
+    call.chain = call.chain.then(() => call.api('POST', path, { turns: [{ role, text: text.trim(), itemId }] })).catch(() => {});
+  }
+  function closeConversation() {
+    if (!call.sessionId) return;
+    const path = `/api/conversations/${encodeURIComponent(call.sessionId)}/end`;
+    call.chain.then(() => call.api('POST', path)).catch(() => {});
+  }
+
+  async function runTool(msg) {
+    if (!msg.call_id || handledCallIds.has(msg.call_id)) return;
+    handledCallIds.add(msg.call_id);
+    const fn = call.tools[msg.name];
+    let output;
+    try {
+      output = fn ? await fn(JSON.parse(msg.arguments || '{}')) : { ok: false, error: 'unknown_tool' };
+    } catch (e) {
+      console.warn(`[PHONE ${call.callSid}] tool ${msg.name} failed:`, e?.message);
+      output = { ok: false, error: e instanceof SyntaxError ? 'bad_arguments' : 'network_error' };
+    }
+    log(`tool ${msg.name} ->`, output.ok ? (output.status || 'ok') : output.error);
+    toModel({ type: 'conversation.item.create', item: { type: 'function_call_output', call_id: msg.call_id, output: JSON.stringify(output) } });
+    toModel({ type: 'response.create' });
+  }
+
+  // Caller started talking: stop playback and cut the reply at what they heard
+  function bargeIn() {
+    if (playing) {
+      const heard = Math.min(Date.now() - playing.startedAt, playing.sentMs);
+      toCarrier({ event: 'clear', streamSid: call.streamSid });
+      toModel({ type: 'conversation.item.truncate', item_id: playing.itemId, content_index: 0, audio_end_ms: Math.max(0, Math.round(heard)) });
+      log(`barge-in after ${Math.round(heard)}ms of ${Math.round(playing.sentMs)}ms`);
+      playing = null;
+    }
+    if (responding) toModel({ type: 'response.cancel' });
+  }
+
+  function onModelEvent(raw) {
+    let msg;
+    try { msg = JSON.parse(raw); } catch { return; }
+    switch (msg.type) {
+      case 'response.created': responding = true; break;
+      case 'response.done':
+        responding = false;
+        if (!call.responded) { call.responded = true; track(call, 'first_response', { durationMs: Date.now() - call.startedAt }); }
+        break;
+      case 'response.audio.delta': {
+        const audio = modelToCarrier(msg.delta);
+        if (!audio.length) break;
+        if (playing?.itemId !== msg.item_id) playing = { itemId: msg.item_id, startedAt: Date.now(), sentMs: 0 };
+        playing.sentMs += audio.length / 8; // 8 bytes per ms at 8 kHz
+        toCarrier({ event: 'media', streamSid: call.streamSid, media: { payload: audio.toString('base64') } });
+        break;
+      }
+      case 'response.audio_transcript.done': recordTurn('assistant', msg.transcript, msg.item_id); break;
+      case 'conversation.item.input_audio_transcription.completed': recordTurn('user', msg.transcript, msg.item_id); break;
+      case 'input_audio_buffer.speech_started': bargeIn(); break;
+      case 'response.function_call_arguments.done': runTool(msg); break;
+      case 'error': console.warn(`[PHONE ${call.callSid}] model error:`, msg.error?.message || msg.error); break;
+    }
+  }
+
+  // The profile's session (instructions, tools, temperature, turn detection, language),
+  // with the phone rules in place of the built-in website persona
+  function phoneSession() {
+    const { profile, tenant, from } = call;
+    const persona = profile.persona === WEB_INTRO ? '' : profile.persona;
+    const body = sessionBody(tenant, { ...profile, persona: [persona, phoneIntro(tenant, from)].filter(Boolean).join('\n') });
+    delete body.model; // chosen by the connection URL
+    return { ...body, voice: body.voice || VOICE, input_audio_format: 'pcm16', output_audio_format: 'pcm16' };
+  }
+
+  function connectModel() {
+    model = new WebSocket(realtimeUrl(call.profile.model), {
+      headers: { Authorization: `Bearer ${process.env.OPENAI_API_KEY}`, 'OpenAI-Beta': 'realtime=v1' },
+    });
+    model.on('open', () => {
+      toModel({ type: 'session.update', session: phoneSession() });
+      const greeting = call.profile.greeting;
+      toModel({
+        type: 'response.create',
+        response: {
+          instructions: greeting
+            ? `Greet the caller with exactly this, then wait for them: ${JSON.stringify(greeting)}`
+            : `Greet the caller on behalf of ${call.tenant.name} and ask how you can help.`,
+        },
+      });
+      for (const audio of pending) toModel({ type: 'input_audio_buffer.append', audio });
+      pending = [];
+      log('model connected');
+    });
+    model.on('message', (data) => onModelEvent(data.toString()));
+    model.on('error', (e) => console.warn(`[PHONE ${call.callSid}] model socket error:`, e?.message));
+    model.on('close', () => hangUp('model disconnected'));
+  }
+
+  async function onStart(start) {
+    const params = start.customParameters || {};
+    const token = Buffer.from(String(params.token || ''));
+    const expected = Buffer.from(STREAM_TOKEN);
+    if (token.length !== expected.length || !crypto.timingSafeEqual(token, expected)) {
+      console.warn('[PHONE] stream refused: bad token');
+      return hangUp('bad token');
+    }
+    const key = String(params.agent || '').trim().toLowerCase();
+    const tenant = key ? TENANT_LIST.find(t => t.key === key) : DEFAULT_TENANT;
+    if (!tenant) { console.warn(`[PHONE] stream refused: unknown agent ${key}`); return hangUp('unknown agent'); }
+    const profileName = String(params.profile || '').trim().toLowerCase() || DEFAULT_PROFILE_NAME;
+    const profile = PROFILE_NAME_RE.test(profileName) ? await getProfile(tenant, profileName) : null;
+    if (!profile) { console.warn(`[PHONE] stream refused: unknown profile ${profileName}`); return hangUp('unknown profile'); }
+    if (!process.env.OPENAI_API_KEY) { console.error('[PHONE] stream refused: missing OPENAI_API_KEY'); return hangUp('no api key'); }
+    if (activeCalls >= MAX_CALLS) { console.warn(`[PHONE] stream refused: ${activeCalls} calls in progress`); return hangUp('busy'); }
+    if (!(await reserveDaily('realtime_sessions', 1, dailySessions)).ok) {
+      console.warn('[LIMIT] daily realtime session cap reached (phone)');
+      return hangUp('daily cap');
+    }
+    if (closed) return releaseDaily('realtime_sessions', 1);
+
+    activeCalls++;
+    // Withheld or malformed caller ids ('anonymous') are left out rather than failing bookings
+    const from = toE164(params.from) || null;
+    call = {
+      tenant, profile, from, streamSid: start.streamSid, callSid: start.callSid || start.streamSid, sessionId: null, booked: null,
+      chain: Promise.resolve(), eventsId: crypto.randomUUID(), startedAt: Date.now(), responded: false,
+    };
+    call.api = apiClient(localBase(), tenant);
+    call.tools = phoneTools(call);
+    log(`start tenant=${tenant.key} profile=${profile.name} from=${from || '-'}`);
+
+    // Best effort: a missing DB only means no transcript
+    const conv = await call.api('POST', '/api/conversations', { source: 'phone' }).catch(() => ({}));
+    call.sessionId = conv.ok ? conv.sessionId : null;
+    track(call, 'session_started');
+    if (!closed) connectModel();
+  }
+
+  carrier.on('message', (data) => {
+    let msg;
+    try { msg = JSON.parse(data.toString()); } catch { return; }
+    switch (msg.event) {
+      case 'start':
+        if (!call) onStart(msg.start || {}).catch(e => { console.error('[PHONE] start failed:', e); hangUp('start failed'); });
+        break;
+      case 'media': {
+        if (!call || (msg.media?.track && msg.media.track !== 'inbound')) break;
+        const audio = carrierToModel(msg.media.payload || '');
+        if (model?.readyState === WebSocket.OPEN) toModel({ type: 'input_audio_buffer.append', audio });
+        else if (pending.length < MAX_PENDING_FRAMES) pending.push(audio);
+        break;
+      }
+      case 'stop': hangUp('carrier stop'); break;
+    }
+  });
+  carrier.on('close', () => hangUp('carrier disconnected'));
+  carrier.on('error', (e) => console.warn('[PHONE] carrier socket error:', e?.message));
+}
+
+/**
+ * Accept carrier streams on PHONE_PATH of an http.Server.
+ * Disabled unless PHONE_STREAM_TOKEN is set.
+ */
+export function attachPhoneBridge(server, { dailySessions = 0 } = {}) {
+  if (!STREAM_TOKEN) { console.log('Phone: disabled (no PHONE_STREAM_TOKEN)'); return; }
+  const wss = new WebSocketServer({ noServer: true, maxPayload: 64 * 1024 });
+  const localBase = () => `http://127.0.0.1:${server.address().port}`;
+  server.on('upgrade', (req, socket, head) => {
+    if (new URL(req.url, 'http://localhost').pathname !== PHONE_PATH) return socket.destroy();
+    wss.handleUpgrade(req, socket, head, (ws) => handleCall(ws, { localBase, dailySessions }));
+  });
+  console.log(`Phone: bridge on ${PHONE_PATH} (max ${MAX_CALLS} calls)`);
+}
@@ -0,0 +1,51 @@
+// lib/pow.js
+// Optional proof-of-work for the booking form (BOOK_POW_BITS, 0 = off).
+// GET /api/pow hands out a signed, short-lived challenge; the browser finds a
+// nonce so that sha256("<challenge>:<nonce>") starts with BOOK_POW_BITS zero
+// bits (public/pow.js) and sends { challenge, nonce } along with the booking.
+// Used challenges are remembered in memory only, so with several instances a
+// solution can be replayed once per instance until it expires.
+import crypto from 'crypto';
+
+export const POW_BITS = Math.min(Math.max(Number(process.env.BOOK_POW_BITS || 0), 0), 24);
+const TTL_SEC = 600;
+const SECRET = (process.env.BOOKING_TOKEN_SECRET || '').trim() || crypto.randomBytes(32).toString('hex');
+
+const used = new Map(); // challenge -> expiry ms
+
+const sign = (s) => crypto.createHmac('sha256', `pow:${SECRET}`).update(s).digest('base64url').slice(0, 22);
+
+export function issueChallenge() {
+  const body = `${Math.floor(Date.now() / 1000) + TTL_SEC}.${crypto.randomBytes(12).toString('base64url')}`;
+  return { challenge: `${body}.${sign(body)}`, bits: POW_BITS };
+}
+
+function leadingZeroBits(buf) {
+  let n = 0;
+  for (const byte of buf) {
+    if (byte === 0) { n += 8; continue; }
+    return n + Math.clz32(byte) - 24;
+  }
+  return n;
+}
+
+/** True when pow = { challenge, nonce } solves a live, unused challenge (or PoW is off). */
+export function verifyPow(pow) {
+  if (!POW_BITS) return true;
+  const challenge = String(pow?.challenge || ''), nonce = String(pow?.nonce ?? '');
+  const i = challenge.lastIndexOf('.');
+  if (i < 0 || !nonce || nonce.length > 32) return false;
+  const body = challenge.slice(0, i);
+  const sig = Buffer.from(challenge.slice(i + 1)), want = Buffer.from(sign(body));
+  if (sig.length !== want.length || !crypto.timingSafeEqual(sig, want)) return false;
+  const exp = Number(body.split('.')[0]) * 1000;
+  if (!(exp > Date.now()) || used.has(challenge)) return false;
+  if (leadingZeroBits(crypto.createHash('sha256').update(`${challenge}:${nonce}`).digest()) < POW_BITS) return false;
+  used.set(challenge, exp);
+  return true;
+}
+
+setInterval(() => {
+  const now = Date.now();
+  for (const [c, exp] of used) if (exp <= now) used.delete(c);
+}, 60000).unref();
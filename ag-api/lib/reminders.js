@@ -0,0 +1,85 @@
+// lib/reminders.js
+// Reminder emails at fixed offsets before start_utc. Sends are recorded in
+// bookings.reminders_sent ({ "<offsetMin>": "<sent ISO>" | "skipped" }); a reminder is claimed
+// with a conditional UPDATE before sending, so restarts and parallel instances
+// never double-send. Rescheduling clears the map (see rescheduleBooking).
+import { pool } from './db.js';
+import { transporter } from './mailer.js';
+import { sendReminder } from './notify.js';
+
+// Minutes before the call, e.g. "1440,60" = 24h and 1h; "off" disables
+export const REMINDER_OFFSETS_MIN = String(process.env.REMINDER_OFFSETS_MIN ?? '1440,60')
+  .split(',').map(Number).filter(n => n > 0).sort((a, b) => a - b);
+const POLL_SEC = Number(process.env.REMINDER_POLL_SEC || 60);
+
+// Live bookings whose reminder time has passed, not yet sent for this offset.
+// Bookings made inside the window (e.g. 3h ahead for a 24h reminder) are skipped.
+async function dueFor(offsetMin) {
+  const { rows } = await pool.query(
+    `SELECT id FROM bookings
+      WHERE coalesce(status, 'pending') IN ('pending', 'confirmed')
+        AND start_utc > now()
+        AND start_utc - make_interval(mins => $1) <= now()
+        AND coalesce(created_at, now()) <= start_utc - make_interval(mins => $1)
+        AND NOT (coalesce(reminders_sent, '{}'::jsonb) ? $2)
+      ORDER BY start_utc
+      LIMIT 50`,
+    [offsetMin, String(offsetMin)]
+  );
+  return rows.map(r => r.id);
+}
+
+// Claims offsetMin and marks larger offsets still unsent as "skipped", so a call
+// that is already inside several windows (e.g. after downtime) gets one reminder
+async function claim(id, offsetMin) {
+  const skipped = Object.fromEntries(REMINDER_OFFSETS_MIN.filter(m => m > offsetMin).map(m => [m, 'skipped']));
+  const { rows } = await pool.query(
+    `UPDATE bookings
+        SET reminders_sent = $3::jsonb || coalesce(reminders_sent, '{}'::jsonb) || jsonb_build_object($2::text, now())
+      WHERE id = $1 AND NOT (coalesce(reminders_sent, '{}'::jsonb) ? $2::text)
+        AND coalesce(status, 'pending') IN ('pending', 'confirmed') AND start_utc > now()
+      RETURNING *`,
+    [id, String(offsetMin), JSON.stringify(skipped)]
+  );
+  return rows[0] || null;
+}
+
+// Give the reminder back so the next tick retries
+const unclaim = (id, offsetMin) =>
+  pool.query(`UPDATE bookings SET reminders_sent = reminders_sent - $2::text WHERE id = $1`, [id, String(offsetMin)]);
+
+// Nearest offset first, so its claim skips the larger ones for the same booking
+export async function runReminders() {
+  let sent = 0;
+  for (const offsetMin of REMINDER_OFFSETS_MIN) {
+    for (const id of await dueFor(offsetMin)) {
+      const row = await claim(id, offsetMin);
+      if (!row) continue; // another instance got it, or it was cancelled meanwhile
+      try {
+        await sendReminder(row, offsetMin);
+        sent++;
+        console.log(`[REMIND] booking #${id} (${offsetMin}m) -> ${row.email}`);
+      } catch (e) {
+        console.warn(`[REMIND] booking #${id} (${offsetMin}m) failed:`, e?.message);
+        await unclaim(id, offsetMin).catch(() => {});
+      }
+    }
+  }
+  return sent;
+}
+
+export function startReminders() {
+  if (!pool || !transporter) { console.warn('Reminders: disabled (needs DATABASE_URL and SMTP_HOST)'); return; }
+  if (!REMINDER_OFFSETS_MIN.length) { console.warn('Reminders: disabled (no REMINDER_OFFSETS_MIN)'); return; }
+  let running = false;
+  const tick = async () => {
+    if (running) return;
+    running = true;
+    try { await runReminders(); }
+    catch (e) { console.warn('[REMIND] tick failed:', e?.message); }
+    finally { running = false; }
+  };
+  setInterval(tick, POLL_SEC * 1000).unref();
+  tick();
+  console.log('Reminders: every %ds at %s min before calls', POLL_SEC, REMINDER_OFFSETS_MIN.join(', '));
+}
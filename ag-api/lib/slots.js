@@ -0,0 +1,127 @@
+// lib/slots.js
+// Availability engine: business hours -> candidate slots -> minus busy ranges
+import { zonedToUtcISO, localParts, addDays, weekdayOf, p2 } from './time.js';
+
+const DAY_KEYS = ['sun','mon','tue','wed','thu','fri','sat'];
+const DEFAULT_HOURS = 'Mon–Fri 9am–5pm';
+
+// Scheduling config (shared by /api/slots, bookings and the realtime agent)
+export const BUSINESS_HOURS = process.env.BUSINESS_HOURS || DEFAULT_HOURS;
+export const BUSINESS_TZ = process.env.BUSINESS_TZ || 'America/New_York';
+export const SLOT_MIN = Number(process.env.SLOT_INTERVAL_MIN || 60);
+export const WINDOW_DAYS = Number(process.env.WINDOW_DAYS || 30);
+export const MIN_LEAD_MIN = Number(process.env.MIN_LEAD_MIN || 120);
+
+function parseDay(s) {
+  return DAY_KEYS.indexOf(String(s).trim().toLowerCase().slice(0, 3));
+}
+
+function expandDays(spec) {
+  const s = spec.trim().toLowerCase();
+  if (/^(daily|every ?day|7 days)$/.test(s)) return [0,1,2,3,4,5,6];
+  if (/^weekdays?$/.test(s)) return [1,2,3,4,5];
+  if (/^weekends?$/.test(s)) return [0,6];
+  const out = new Set();
+  for (const part of s.split(/\s*,\s*/)) {
+    const [a, b] = part.split(/\s*(?:-|–|—|to)\s*/);
+    const from = parseDay(a);
+    if (from < 0) continue;
+    const to = b ? parseDay(b) : from;
+    if (to < 0) continue;
+    for (let d = from; ; d = (d + 1) % 7) { out.add(d); if (d === to) break; }
+  }
+  return [...out];
+}
+
+// "9", "9am", "9:30 pm", "17:00" -> minutes after midnight
+function parseClock(s) {
+  const m = String(s).trim().toLowerCase().match(/^(\d{1,2})(?::(\d{2}))?\s*(am|pm|a|p)?$/);
+  if (!m) return null;
+  let h = Number(m[1]);
+  const min = m[2] ? Number(m[2]) : 0;
+  if (m[3]) {
+    if (h < 1 || h > 12) return null;
+    if (m[3].startsWith('p') && h !== 12) h += 12;
+    if (m[3].startsWith('a') && h === 12) h = 0;
+  }
+  if (h > 24 || min > 59 || (h === 24 && min)) return null;
+  return h * 60 + min;
+}
+
+/**
+ * Parse a BUSINESS_HOURS string into per-weekday open intervals.
+ * Segments are separated by ";" or newlines, e.g. "Mon–Fri 9am–5pm; Sat 10:00-14:00".
+ * Returns an array indexed by weekday (0 = Sunday) of [{ start, end }] in minutes.
+ */
+export function parseBusinessHours(spec) {
+  const week = Array.from({ length: 7 }, () => []);
+  const CLOCK = '\\d{1,2}(?::\\d{2})?\\s*(?:am|pm|a|p)?';
+  const re = new RegExp(`^(.+?)\\s+(${CLOCK})\\s*(?:-|–|—|to)\\s*(${CLOCK})$`, 'i');
+  let found = false;
+  for (const seg of String(spec || '').split(/[;\n|]+/)) {
+    const m = seg.trim().match(re);
+    if (!m) continue;
+    const start = parseClock(m[2]), end = parseClock(m[3]);
+    if (start == null || end == null || end <= start) continue;
+    for (const d of expandDays(m[1])) { week[d].push({ start, end }); found = true; }
+  }
+  if (!found && spec !== DEFAULT_HOURS) {
+    console.warn('slots: could not parse BUSINESS_HOURS %j, using %j', spec, DEFAULT_HOURS);
+    return parseBusinessHours(DEFAULT_HOURS);
+  }
+  week.forEach(list => list.sort((a, b) => a.start - b.start));
+  return week;
+}
+
+export const overlaps = (aStart, aEnd, bStart, bEnd) => aStart < bEnd && aEnd > bStart;
+
+/**
+ * Generate open slots between fromMs and toMs (UTC epoch ms).
+ * busy: [{ start, end }] epoch ms ranges that block a slot when they overlap it.
+ * Returns [{ start, end }] as UTC ISO strings, ascending.
+ */
+export function generateSlots({
+  week, bizTz, intervalMin = 60, durationMin = intervalMin,
+  fromMs, toMs, nowMs = Date.now(), leadMin = 0, windowDays = 30, busy = []
+}) {
+  const earliest = Math.max(fromMs, nowMs + leadMin * 60000);
+  const latest = Math.min(toMs, nowMs + windowDays * 86400000);
+  if (latest <= earliest) return [];
+
+  const step = Math.max(5, intervalMin);
+  const out = [];
+  // Walk business-zone calendar days that could touch the requested range
+  const lastDay = addDays(localParts(latest, bizTz).date, 1);
+  for (let day = addDays(localParts(earliest, bizTz).date, -1); day <= lastDay; day = addDays(day, 1)) {
+    for (const { start, end } of week[weekdayOf(day)] || []) {
+      for (let t = start; t + durationMin <= end; t += step) {
+        const s = Date.parse(zonedToUtcISO(day, `${p2(Math.floor(t / 60))}:${p2(t % 60)}`, bizTz));
+        const e = s + durationMin * 60000;
+        if (s < earliest || s >= latest) continue;
+        if (busy.some(b => overlaps(s, e, b.start, b.end))) continue;
+        out.push({ start: new Date(s).toISOString(), end: new Date(e).toISOString() });
+      }
+    }
+  }
+  return out.sort((a, b) => a.start.localeCompare(b.start));
+}
+
+// Render a UTC slot in the caller's zone
+export function renderSlot(slot, tz) {
+  const s = Date.parse(slot.start);
+  const { date, time } = localParts(s, tz);
+  const label = new Intl.DateTimeFormat('en-US', {
+    weekday:'short', month:'short', day:'numeric', hour:'numeric', minute:'2-digit', timeZone: tz
+  }).format(new Date(s));
+  return { ...slot, date, time, label };
+}
+
+export const BUSINESS_WEEK = parseBusinessHours(BUSINESS_HOURS);
+
+// True when [startMs, startMs + durationMin) sits inside one open interval of the business day
+export function withinBusinessHours(startMs, durationMin, { week = BUSINESS_WEEK, bizTz = BUSINESS_TZ } = {}) {
+  const { date, time } = localParts(startMs, bizTz);
+  const [h, m] = time.split(':').map(Number);
+  const start = h * 60 + m, end = start + durationMin;
+  return (week[weekdayOf(date)] || []).some(iv => start >= iv.start && end <= iv.end);
+}
@@ -0,0 +1,419 @@
+// lib/templates.js
+// Named transactional email templates with HTML + text variants.
+// Interpolations in html`` are escaped unless wrapped in raw(); copy lives in
+// STRINGS per locale. render(name, locale, vars) -> { subject, html, text }.
+// STRINGS also holds the few fixed sentences the voice agent and booking
+// forms say (strings(locale).agent), so they follow the same locales.
+import { escapeHtml } from './util.js';
+
+/* ---- Escaping ---- */
+class SafeHtml {
+  constructor(value) { this.value = value; }
+  toString() { return this.value; }
+}
+export const raw = (s) => new SafeHtml(String(s ?? ''));
+
+function htmlValue(v) {
+  if (v == null || v === false) return '';
+  if (Array.isArray(v)) return v.map(htmlValue).join('');
+  return v instanceof SafeHtml ? v.value : escapeHtml(v);
+}
+
+export function html(strings, ...values) {
+  let out = strings[0];
+  values.forEach((v, i) => { out += htmlValue(v) + strings[i + 1]; });
+  return raw(out);
+}
+
+/* ---- Locales ---- */
+export const LOCALES = ['en', 'es', 'fr'];
+export const DEFAULT_LOCALE = 'en';
+
+// "es-MX,es;q=0.9,en;q=0.8" | "es" | "" -> supported base language
+export function resolveLocale(input) {
+  const tags = String(input || '').split(',')
+    .map(part => {
+      const [tag, q] = part.trim().split(';q=');
+      return { lang: tag.toLowerCase().split('-')[0], q: q == null ? 1 : Number(q) };
+    })
+    .filter(t => t.lang && t.q > 0)
+    .sort((a, b) => b.q - a.q);
+  return tags.find(t => LOCALES.includes(t.lang))?.lang || DEFAULT_LOCALE;
+}
+
+const units = (one, many) => (n) => `${n} ${n === 1 ? one : many}`;
+
+const STRINGS = {
+  en: {
+    intl: 'en-US',
+    minutes: units('minute', 'minutes'), hours: units('hour', 'hours'), days: units('day', 'days'),
+    team: (b) => `— Team ${b}`,
+    questions: 'Questions? Write to',
+    joinCall: 'Join the call', join: 'Join',
+    reschedule: 'Reschedule', cancel: 'Cancel', or: 'or',
+    changePrompt: 'Need to change it?', anotherChange: 'Need another change?', cantMake: 'Can’t make it?',
+    replyToChange: 'If you need to change anything, just reply to this email.',
+    bookNew: 'Book a new time',
+    received: {
+      subject: () => 'Thanks for booking — we’ll confirm call details soon',
+      lead: (b) => `Thanks for booking a call with ${b}! We’ll reply shortly with the call information (Zoom/Google Meet) and next steps.`,
+      label: 'Requested time', note: 'We’ve attached a calendar invite.',
+    },
+    confirmed: {
+      subject: (b) => `Confirmed: your call with ${b}`,
+      lead: (b) => `Your call with ${b} is confirmed. We’ve attached an updated calendar invite with the meeting link.`,
+      label: 'Confirmed time',
+    },
+    declined: {
+      subject: () => 'We couldn’t confirm your call',
+      lead: () => 'Sorry, we can’t make the time you requested. We’ve attached a calendar update to remove it.',
+      label: 'Requested time', rebook: 'Another time may work:',
+    },
+    rescheduled: {
+      subject: () => 'Your call has been rescheduled',
+      lead: (b) => `Your call with ${b} has been moved. We’ve attached an updated calendar invite.`,
+      label: 'New time',
+    },
+    cancelled: {
+      subject: () => 'Your call has been cancelled',
+      lead: (b) => `Your call with ${b} has been cancelled. We’ve attached a calendar update to remove it.`,
+      label: 'Cancelled time', rebook: 'Changed your mind?',
+    },
+    reminder: {
+      subject: (b, inTime) => `Reminder: your ${b} call in ${inTime}`,
+      lead: (b, inTime) => `Just a reminder: your call with ${b} starts in about ${inTime}.`,
+      label: 'Scheduled time',
+    },
+    ics: {
+      summary: (b) => `${b} — Intro Call`, pending: ' (pending confirmation)',
+      with: 'With', phone: 'Phone', join: 'Join', manage: 'Reschedule or cancel',
+    },
+    agent: {
+      greeting: (b) => `Hi! I'm the ${b} voice agent. Ask me anything or book a call, and I'll handle it.`,
+      booked: (when) => `You're booked for ${when}. Check your email for the invite.`,
+    },
+  },
+  es: {
+    intl: 'es-ES',
+    minutes: units('minuto', 'minutos'), hours: units('hora', 'horas'), days: units('día', 'días'),
+    team: (b) => `— El equipo de ${b}`,
+    questions: '¿Preguntas? Escríbenos a',
+    joinCall: 'Unirse a la llamada', join: 'Enlace',
+    reschedule: 'Reprogramar', cancel: 'Cancelar', or: 'o',
+    changePrompt: '¿Necesitas cambiarla?', anotherChange: '¿Necesitas otro cambio?', cantMake: '¿No puedes asistir?',
+    replyToChange: 'Si necesitas cambiar algo, simplemente responde a este correo.',
+    bookNew: 'Reserva un nuevo horario',
+    received: {
+      subject: () => 'Gracias por reservar — pronto confirmaremos los detalles',
+      lead: (b) => `¡Gracias por reservar una llamada con ${b}! En breve te enviaremos la información de la llamada (Zoom/Google Meet) y los próximos pasos.`,
+      label: 'Horario solicitado', note: 'Adjuntamos una invitación de calendario.',
+    },
+    confirmed: {
+      subject: (b) => `Confirmada: tu llamada con ${b}`,
+      lead: (b) => `Tu llamada con ${b} está confirmada. Adjuntamos una invitación de calendario actualizada con el enlace de la reunión.`,
+      label: 'Horario confirmado',
+    },
+    declined: {
+      subject: () => 'No pudimos confirmar tu llamada',
+      lead: () => 'Lo sentimos, no podemos atenderte en el horario que solicitaste. Adjuntamos una actualización de calendario para eliminarla.',
+      label: 'Horario solicitado', rebook: 'Quizás otro horario te funcione:',
+    },
+    rescheduled: {
+      subject: () => 'Tu llamada ha sido reprogramada',
+      lead: (b) => `Tu llamada con ${b} se ha movido. Adjuntamos una invitación de calendario actualizada.`,
+      label: 'Nuevo horario',
+    },
+    cancelled: {
+      subject: () => 'Tu llamada ha sido cancelada',
+      lead: (b) => `Tu llamada con ${b} ha sido cancelada. Adjuntamos una actualización de calendario para eliminarla.`,
+      label: 'Horario cancelado', rebook: '¿Cambiaste de opinión?',
+    },
+    reminder: {
+      subject: (b, inTime) => `Recordatorio: tu llamada con ${b} en ${inTime}`,
+      lead: (b, inTime) => `Te recordamos que tu llamada con ${b} comienza en aproximadamente ${inTime}.`,
+      label: 'Horario programado',
+    },
+    ics: {
+      summary: (b) => `${b} — Llamada de introducción`, pending: ' (pendiente de confirmación)',
+      with: 'Con', phone: 'Teléfono', join: 'Enlace', manage: 'Reprogramar o cancelar',
+    },
+    agent: {
+      greeting: (b) => `¡Hola! Soy el agente de voz de ${b}. Pregúntame lo que quieras o reserva una llamada, y yo me encargo.`,
+      booked: (when) => `Tu llamada está reservada: ${when}. Revisa tu correo para ver la invitación.`,
+    },
+  },
+  fr: {
+    intl: 'fr-FR',
+    minutes: units('minute', 'minutes'), hours: units('heure', 'heures'), days: units('jour', 'jours'),
+    team: (b) => `— L’équipe ${b}`,
+    questions: 'Des questions ? Écrivez à',
+    joinCall: 'Rejoindre l’appel', join: 'Lien',
+    reschedule: 'Reprogrammer', cancel: 'Annuler', or: 'ou',
+    changePrompt: 'Besoin de la modifier ?', anotherChange: 'Besoin d’un autre changement ?', cantMake: 'Vous ne pouvez pas venir ?',
+    replyToChange: 'Pour toute modification, répondez simplement à cet e-mail.',
+    bookNew: 'Réserver un autre créneau',
+    received: {
+      subject: () => 'Merci pour votre réservation — nous confirmons les détails très vite',
+      lead: (b) => `Merci d’avoir réservé un appel avec ${b} ! Nous vous envoyons rapidement les informations de l’appel (Zoom/Google Meet) et les prochaines étapes.`,
+      label: 'Créneau demandé', note: 'Vous trouverez une invitation de calendrier en pièce jointe.',
+    },
+    confirmed: {
+      subject: (b) => `Confirmé : votre appel avec ${b}`,
+      lead: (b) => `Votre appel avec ${b} est confirmé. Vous trouverez en pièce jointe une invitation de calendrier mise à jour avec le lien de la réunion.`,
+      label: 'Créneau confirmé',
+    },
+    declined: {
+      subject: () => 'Nous n’avons pas pu confirmer votre appel',
+      lead: () => 'Désolés, le créneau demandé ne nous est pas possible. Vous trouverez en pièce jointe une mise à jour de calendrier pour le retirer.',
+      label: 'Créneau demandé', rebook: 'Un autre créneau vous conviendra peut-être :',
+    },
+    rescheduled: {
+      subject: () => 'Votre appel a été reprogrammé',
+      lead: (b) => `Votre appel avec ${b} a été déplacé. Vous trouverez en pièce jointe une invitation de calendrier mise à jour.`,
+      label: 'Nouveau créneau',
+    },
+    cancelled: {
+      subject: () => 'Votre appel a été annulé',
+      lead: (b) => `Votre appel avec ${b} a été annulé. Vous trouverez en pièce jointe une mise à jour de calendrier pour le retirer.`,
+      label: 'Créneau annulé', rebook: 'Vous avez changé d’avis ?',
+    },
+    reminder: {
+      subject: (b, inTime) => `Rappel : votre appel avec ${b} dans ${inTime}`,
+      lead: (b, inTime) => `Petit rappel : votre appel avec ${b} commence dans environ ${inTime}.`,
+      label: 'Créneau prévu',
+    },
+    ics: {
+      summary: (b) => `${b} — Appel de présentation`, pending: ' (en attente de confirmation)',
+      with: 'Avec', phone: 'Téléphone', join: 'Lien', manage: 'Reprogrammer ou annuler',
+    },
+    agent: {
+      greeting: (b) => `Bonjour ! Ici l’agent vocal ${b}. Posez-moi vos questions ou réservez un appel, je m’occupe du reste.`,
+      booked: (when) => `Votre appel est réservé : ${when}. Consultez vos e-mails pour l’invitation.`,
+    },
+  },
+};
+
+export const strings = (locale) => STRINGS[locale] || STRINGS[DEFAULT_LOCALE];
+
+// "24 hours", "1 hora", "30 minutes"
+export function leadTime(min, locale) {
+  const s = strings(locale);
+  if (min % 1440 === 0 && min >= 2880) return s.days(min / 1440);
+  return min % 60 === 0 ? s.hours(min / 60) : s.minutes(min);
+}
+
+/* ---- Layout ---- */
+const FONT = 'Inter,system-ui,-apple-system,Segoe UI,Roboto,Arial,sans-serif';
+
+function layout(brand, s, body, { signOff = true } = {}) {
+  return html`
+    <div style="font-family:${FONT};color:#0f172a">
+      ${brand.logo ? html`<img src="${brand.logo}" alt="" width="40" height="40" style="display:block;border-radius:10px;margin:0 0 10px 0">` : ''}
+      <h2 style="margin:0 0 8px 0">${brand.name}</h2>
+      ${body}
+      ${signOff ? html`<p style="margin:18px 0 0 0">${s.team(brand.name)}</p>` : ''}
+      ${signOff && brand.support ? html`<p style="margin:6px 0 0 0;color:#64748b;font-size:12px">${s.questions} <a href="mailto:${brand.support}">${brand.support}</a></p>` : ''}
+    </div>
+  `.toString().trim();
+}
+
+const textFooter = (brand, s) => `${s.team(brand.name)}${brand.support ? `\n${s.questions} ${brand.support}` : ''}`;
+
+/**
+ * Prospect-facing notice: lead, optional staff message, time box (+ join link),
+ * then either self-service links, a rebook link or a "just reply" line.
+ * v: { brand, when, join, links, bookUrl, message }
+ */
+function notice(key, { attached = false, closed = false, leadArgs = () => [] } = {}) {
+  return (v, s) => {
+    const c = s[key];
+    const b = v.brand.name;
+    const lead = c.lead(b, ...leadArgs(v, s));
+    const prompt = key === 'reminder' ? s.cantMake : key === 'rescheduled' ? s.anotherChange : s.changePrompt;
+
+    let footHtml = '', footText = '';
+    if (closed) {
+      footHtml = html`${c.rebook} <a href="${v.bookUrl}">${s.bookNew}</a>.`;
+      footText = `${c.rebook} ${s.bookNew}: ${v.bookUrl}`;
+    } else if (v.links) {
+      footHtml = html`${prompt} <a href="${v.links.reschedule}">${s.reschedule}</a> ${s.or} <a href="${v.links.cancel}">${s.cancel.toLowerCase()}</a>.`;
+      footText = `${prompt}\n${s.reschedule}: ${v.links.reschedule}\n${s.cancel}: ${v.links.cancel}`;
+    } else if (key === 'received') {
+      footHtml = html`${s.replyToChange}`;
+      footText = s.replyToChange;
+    }
+    if (attached && c.note) {
+      footHtml = html`${c.note} ${footHtml}`;
+      footText = `${c.note} ${footText}`;
+    }
+
+    const body = html`
+      <p style="margin:0 0 10px 0">${lead}</p>
+      ${v.message ? html`<p style="margin:0 0 10px 0;white-space:pre-line">${v.message}</p>` : ''}
+      <div style="margin:16px 0;padding:12px 14px;border:1px solid #e2e8f0;border-radius:12px;background:#f8fafc">
+        <div style="font-weight:700">${c.label}</div>
+        <div${raw(closed ? ' style="text-decoration:line-through"' : '')}>${v.when}</div>
+        ${v.join ? html`<div style="margin-top:8px"><a href="${v.join}" style="font-weight:700">${s.joinCall}</a></div>` : ''}
+      </div>
+      ${footHtml ? html`<p style="margin:8px 0">${footHtml}</p>` : ''}
+    `;
+
+    return {
+      subject: c.subject(b, ...leadArgs(v, s)),
+      html: layout(v.brand, s, body),
+      text: [
+        lead,
+        v.message ? `\n${v.message}` : '',
+        `\n${c.label}: ${v.when}`,
+        v.join ? `${s.join}: ${v.join}` : '',
+        footText ? `\n${footText}` : '',
+        `\n${textFooter(v.brand, s)}`,
+      ].filter(Boolean).join('\n'),
+    };
+  };
+}
+
+/* ---- Staff notifications (always in the default locale) ---- */
+function staffTable(rows) {
+  return html`
+    <table style="border-collapse:collapse;font-size:14px">
+      ${rows.map(([k, val]) => html`<tr><td style="padding:2px 12px 2px 0;color:#64748b">${k}</td><td style="padding:2px 0">${val || '-'}</td></tr>`)}
+    </table>
+  `;
+}
+const staffText = (rows) => rows.map(([k, val]) => `${`${k}: `.padEnd(9)}${val || '-'}`).join('\n');
+
+// Voice conversation block for staff: { summary: { summary, intent, qualification: [[label, value]], nextSteps } | null, turns }
+function conversationSection(c) {
+  const sum = c.summary;
+  const qual = sum?.qualification || [];
+  const note = c.turns ? 'Full transcript attached.' : 'No transcript was recorded.';
+  if (!sum) {
+    return {
+      html: html`<p style="margin:12px 0 4px 0;font-weight:700">Voice conversation</p><p style="margin:0">No summary available. ${note}</p>`,
+      text: `\nVoice conversation:\nNo summary available. ${note}\n`,
+    };
+  }
+  return {
+    html: html`
+      <p style="margin:12px 0 4px 0;font-weight:700">Voice conversation</p>
+      <p style="margin:0 0 8px 0">${sum.summary}</p>
+      ${staffTable([['Intent', sum.intent], ...qual])}
+      ${sum.nextSteps.length ? html`<p style="margin:8px 0 4px 0;font-weight:700">Next steps</p><ul style="margin:0;padding-left:18px">${sum.nextSteps.map(x => html`<li>${x}</li>`)}</ul>` : ''}
+      <p style="margin:8px 0 0 0;color:#64748b;font-size:12px">${note}</p>
+    `,
+    text: [
+      '\nVoice conversation:', sum.summary, '', staffText([['Intent', sum.intent], ...qual]),
+      sum.nextSteps.length ? `\nNext steps:\n${sum.nextSteps.map(x => `- ${x}`).join('\n')}` : '',
+      `\n${note}\n`,
+    ].join('\n'),
+  };
+}
+
+// Qualification block for staff: { score, answers: [[label, value]] }
+function leadSection(lead) {
+  const rows = [['Score', `${lead.score}/100`], ...lead.answers];
+  return {
+    html: html`<p style="margin:12px 0 4px 0;font-weight:700">Qualification</p>${staffTable(rows)}`,
+    text: `\nQualification:\n${staffText(rows)}\n`,
+  };
+}
+
+function salesNewLead(v) {
+  const who = v.fullName || v.email || v.phone || 'Unknown caller';
+  const rows = [['Name', v.fullName], ['Email', v.email], ['Phone', v.phone], ['Company', v.company]];
+  const lead = leadSection(v.lead);
+  const convo = v.conversation ? conversationSection(v.conversation) : null;
+  return {
+    subject: `New lead (no booking) — ${who} — score ${v.lead.score}`,
+    html: layout(v.brand, strings(DEFAULT_LOCALE), html`
+      <p style="margin:0 0 10px 0;font-weight:700">New lead from the voice agent</p>
+      ${staffTable(rows)}
+      ${lead.html}
+      ${convo?.html}
+    `, { signOff: false }),
+    text: `New lead from the voice agent\n\n${staffText(rows)}\n${lead.text}${convo?.text || ''}`,
+  };
+}
+
+function salesNewBooking(v) {
+  const rows = [
+    ['Name', v.fullName], ['Email', v.email], ['Phone', v.phone], ['Company', v.company],
+    ['Plan', [v.plan, v.tier].filter(Boolean).join(' ')], ['When', v.when], ['Length', `${v.duration} minutes`],
+    ['Source', v.source], ['Locale', v.prospectLocale],
+  ];
+  const lead = v.lead ? leadSection(v.lead) : null;
+  const convo = v.conversation ? conversationSection(v.conversation) : null;
+  return {
+    subject: `New booking — ${v.fullName} — ${v.date} ${v.time}`,
+    html: layout(v.brand, strings(DEFAULT_LOCALE), html`
+      <p style="margin:0 0 10px 0;font-weight:700">New booking request</p>
+      ${staffTable(rows)}
+      <p style="margin:12px 0 4px 0;font-weight:700">Notes</p>
+      <p style="margin:0;white-space:pre-wrap">${v.notes || '-'}</p>
+      ${lead?.html}
+      ${convo?.html}
+    `, { signOff: false }),
+    text: `New booking request\n\n${staffText(rows)}\n\nNotes:\n${v.notes || '-'}\n${lead?.text || ''}${convo?.text || ''}`,
+  };
+}
+
+function salesBookingChange(v) {
+  const rows = [['Name', v.fullName], ['Email', v.email], ['Company', v.company], ['When', v.when]];
+  return {
+    subject: `Booking ${v.kind} — ${v.fullName} — ${v.date} ${v.time}`,
+    html: layout(v.brand, strings(DEFAULT_LOCALE), html`
+      <p style="margin:0 0 10px 0;font-weight:700">Booking ${v.kind} by the prospect</p>
+      ${staffTable(rows)}
+    `, { signOff: false }),
+    text: `Booking ${v.kind} by the prospect\n\n${staffText(rows)}\n`,
+  };
+}
+
+function staffHandoff(v) {
+  const who = v.fullName || v.email || v.phone || 'A caller';
+  const rows = [
+    ['Reason', v.reason], ['Urgency', v.urgency], ['Channel', v.source],
+    ['Name', v.fullName], ['Email', v.email], ['Phone', v.phone],
+  ];
+  const action = v.live
+    ? 'They are still in the conversation: join from the hand-off console to take over.'
+    : 'Nobody can join this conversation live; please follow up with the caller.';
+  const recent = v.recent.map(([speaker, text]) => `${speaker}: ${text}`);
+  return {
+    subject: `${v.urgency === 'high' ? 'URGENT: ' : ''}${who} asked for a person — ${v.reason || 'hand-off'}`,
+    html: layout(v.brand, strings(DEFAULT_LOCALE), html`
+      <p style="margin:0 0 10px 0;font-weight:700">Hand-off request #${v.id}</p>
+      <p style="margin:0 0 10px 0">${action}</p>
+      ${staffTable(rows)}
+      <p style="margin:12px 0"><a href="${v.consoleUrl}" style="color:#0d9488;font-weight:700">Open the hand-off console</a></p>
+      ${recent.length ? html`<p style="margin:12px 0 4px 0;font-weight:700">Last turns</p><p style="margin:0;white-space:pre-wrap;font-size:13px">${recent.join('\n')}</p>` : ''}
+      <p style="margin:8px 0 0 0;color:#64748b;font-size:12px">${v.turns ? 'Full transcript so far attached.' : 'No transcript was recorded.'}</p>
+    `, { signOff: false }),
+    text: [
+      `Hand-off request #${v.id}`, '', action, '', staffText(rows), '', `Console: ${v.consoleUrl}`,
+      recent.length ? `\nLast turns:\n${recent.join('\n')}` : '',
+    ].join('\n'),
+  };
+}
+
+/* ---- Registry ---- */
+const TEMPLATES = {
+  booking_received: notice('received', { attached: true }),
+  booking_confirmed: notice('confirmed'),
+  booking_declined: notice('declined', { closed: true }),
+  booking_rescheduled: notice('rescheduled'),
+  booking_cancelled: notice('cancelled', { closed: true }),
+  booking_reminder: notice('reminder', { leadArgs: (v) => [leadTime(v.offsetMin, v.locale)] }),
+  sales_new_booking: salesNewBooking,
+  sales_new_lead: salesNewLead,
+  sales_booking_change: salesBookingChange,
+  staff_handoff: staffHandoff,
+};
+
+export function render(name, locale, vars) {
+  const tpl = TEMPLATES[name];
+  if (!tpl) throw new Error(`unknown email template: ${name}`);
+  const loc = LOCALES.includes(locale) ? locale : DEFAULT_LOCALE;
+  return tpl({ ...vars, locale: loc }, strings(loc));
+}
@@ -0,0 +1,186 @@
+// lib/tenants.js
+// Multi-tenant agent configuration: one deployment serving many client
+// businesses. Tenants come from TENANTS (JSON) or TENANTS_FILE (path to a JSON
+// file), an array of
+//   { key, hosts?, origins?, name, profile?, knowledge?, knowledgeDir?, businessHours?,
+//     businessTz?, voiceId?, salesEmail?, handoffEmail?, supportEmail?, calendlyUrl?, logoUrl? }
+// Hours, time zone, voice and sales inbox fall back to the default tenant,
+// which is built from the usual env (BRAND_NAME, BUSINESS_HOURS, SALES_EMAIL…)
+// and answers every request that does not name another tenant. handoffEmail
+// (on-duty staff, see lib/handoffs.js) falls back to the tenant's sales inbox.
+// knowledgeDir (documents for search_knowledge, see lib/knowledge.js) is never
+// inherited.
+//
+// A request picks its tenant with ?agent=<key> or an X-Agent-Key header,
+// otherwise by hostname. Bookings, holds, conversations and leads carry the
+// tenant key, so availability never crosses businesses.
+//
+// origins lists the sites embedding the tenant's widget.js
+// ("https://acme-dental.com"); they may call the API cross-origin.
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { BUSINESS_HOURS, BUSINESS_TZ, BUSINESS_WEEK, parseBusinessHours } from './slots.js';
+import { BRAND, SALES_EMAIL } from './mailer.js';
+import { isValidTimeZone } from './time.js';
+
+export const DEFAULT_TENANT_KEY = 'default';
+
+const DEFAULT_PROFILE = `
+You represent **Agentlyne**.
+
+What Agentlyne does (authoritative canon):
+- Agentlyne builds voice AI agents for businesses.
+- Core capabilities: 24/7 inbound call answering/reception, live appointment booking, lead qualification, FAQ/KB answers, smart routing/hand-off, and outbound follow-up campaigns.
+- Goal: answer every call, book more appointments, never lose a lead.
+
+Tone & style:
+- Friendly, concise, human. 1–2 sentences unless clarification is needed.
+- Avoid meta talk and filler like "As an AI…".
+
+Hard guardrails:
+- Do **not** claim that Agentlyne is a real estate company or any other vertical. If asked, clearly state Agentlyne is a **voice AI** company.
+- For factual questions (pricing, plans, features, policies), call search_knowledge and answer from what it returns. If it finds nothing (e.g., office address), say you’re not sure and offer to find out or point to the pricing page.
+- If the user asks “What do you do?”, answer with: “We build voice AI that answers calls, qualifies leads, and books appointments—plus outbound follow-ups.”
+
+When scheduling:
+- You can propose times and collect details per the booking protocol.
+`.trim();
+
+// Tenants without their own profile get the same tone rules under their name
+const genericProfile = (name) => `
+You represent **${name}**.
+
+Tone & style:
+- Friendly, concise, human. 1–2 sentences unless clarification is needed.
+- Avoid meta talk and filler like "As an AI…".
+
+Hard guardrails:
+- Only state facts about ${name} that appear in these instructions, the knowledge notes or search_knowledge results.
+- If you don’t know a detail, say you’re not sure and offer to have someone follow up.
+`.trim();
+
+const list = (v) => (Array.isArray(v) ? v : [v]).map(s => String(s || '').trim()).filter(Boolean);
+const addrList = (v) => (Array.isArray(v) ? v.join(', ') : String(v || '')).trim();
+
+export const DEFAULT_TENANT = Object.freeze({
+  key: DEFAULT_TENANT_KEY,
+  hosts: [],
+  origins: [],
+  name: BRAND,
+  profile: (process.env.BRAND_PROFILE || '').trim() || DEFAULT_PROFILE,
+  knowledge: (process.env.AGENT_KNOWLEDGE || '').trim(),
+  knowledgeDir: path.resolve(process.env.KNOWLEDGE_DIR || fileURLToPath(new URL('../knowledge', import.meta.url))),
+  businessHours: BUSINESS_HOURS,
+  businessTz: BUSINESS_TZ,
+  week: BUSINESS_WEEK,
+  voiceId: process.env.ELEVENLABS_VOICE || '21m00Tcm4TlvDq8ikWAM', // Rachel
+  salesEmail: SALES_EMAIL,
+  handoffEmail: addrList(process.env.HANDOFF_EMAIL) || SALES_EMAIL,
+  supportEmail: (process.env.SUPPORT_EMAIL || 'info@agentlyne.com').trim(),
+  replyTo: null,
+  calendlyUrl: process.env.CALENDLY_URL || '',
+  logoUrl: null,
+});
+
+function readSpec() {
+  const file = (process.env.TENANTS_FILE || '').trim();
+  if (file) return fs.readFileSync(file, 'utf8');
+  return (process.env.TENANTS || '').trim();
+}
+
+// One config entry -> tenant, or a reason it was skipped
+function buildTenant(t) {
+  if (!t || !/^[a-z0-9][a-z0-9-]{0,39}$/.test(t.key) || t.key === DEFAULT_TENANT_KEY) return { error: 'invalid key' };
+  if (!String(t.name || '').trim()) return { error: 'missing name' };
+  const businessTz = t.businessTz || DEFAULT_TENANT.businessTz;
+  if (!isValidTimeZone(businessTz)) return { error: `invalid businessTz ${businessTz}` };
+  const businessHours = t.businessHours || DEFAULT_TENANT.businessHours;
+  const name = String(t.name).trim();
+  const supportEmail = String(t.supportEmail || '').trim();
+  const salesEmail = addrList(t.salesEmail) || DEFAULT_TENANT.salesEmail;
+  return {
+    tenant: Object.freeze({
+      key: t.key,
+      hosts: list(t.hosts).map(h => h.toLowerCase()),
+      origins: list(t.origins).map(o => o.replace(/\/+$/, '').toLowerCase()),
+      name,
+      profile: String(t.profile || '').trim() || genericProfile(name),
+      knowledge: String(t.knowledge || '').trim(),
+      knowledgeDir: t.knowledgeDir ? path.resolve(String(t.knowledgeDir)) : null,
+      businessHours, businessTz,
+      week: parseBusinessHours(businessHours),
+      voiceId: t.voiceId || DEFAULT_TENANT.voiceId,
+      salesEmail,
+      handoffEmail: addrList(t.handoffEmail) || salesEmail,
+      supportEmail: supportEmail || DEFAULT_TENANT.supportEmail,
+      replyTo: supportEmail || null,
+      calendlyUrl: t.calendlyUrl || '',
+      logoUrl: t.logoUrl || null,
+    }),
+  };
+}
+
+function loadTenants() {
+  const out = new Map([[DEFAULT_TENANT_KEY, DEFAULT_TENANT]]);
+  let list;
+  try {
+    const spec = readSpec();
+    if (!spec) return out;
+    list = JSON.parse(spec);
+    if (!Array.isArray(list)) throw new Error('expected an array');
+  } catch (e) {
+    console.warn('Tenants: could not read TENANTS/TENANTS_FILE (%s), serving the default tenant only', e?.message);
+    return out;
+  }
+  for (const entry of list) {
+    const { tenant, error } = buildTenant(entry);
+    if (error) { console.warn('Tenants: skipping %j: %s', entry?.key, error); continue; }
+    if (out.has(tenant.key)) { console.warn('Tenants: duplicate key %j', tenant.key); continue; }
+    out.set(tenant.key, tenant);
+  }
+  console.log('Tenants: %d configured (%s)', out.size, [...out.keys()].join(', '));
+  return out;
+}
+
+const TENANTS = loadTenants();
+const BY_HOST = new Map();
+for (const t of TENANTS.values()) {
+  for (const h of t.hosts) {
+    if (BY_HOST.has(h)) console.warn('Tenants: host %s claimed by both %s and %s', h, BY_HOST.get(h).key, t.key);
+    else BY_HOST.set(h, t);
+  }
+}
+
+export const TENANT_LIST = [...TENANTS.values()];
+export const TENANT_ORIGINS = new Set(TENANT_LIST.flatMap(t => t.origins));
+
+// Tenant for a stored row (booking, conversation, lead); unknown keys fall back to the default
+export const tenantOf = (rowOrKey) => {
+  const key = typeof rowOrKey === 'string' ? rowOrKey : rowOrKey?.tenant;
+  return TENANTS.get(key) || DEFAULT_TENANT;
+};
+
+// ?agent= on the page that loaded a script (config.js is requested without one)
+function refererAgent(req) {
+  try { return new URL(req.headers.referer).searchParams.get('agent'); } catch { return null; }
+}
+
+/**
+ * The tenant a request is for: explicit key (?agent= or X-Agent-Key), then the
+ * hostname, then the default. Resolves null when the explicit key is unknown,
+ * so a typo never books into someone else's calendar.
+ * { referer:true } also reads ?agent= from the Referer page.
+ */
+export function resolveTenant(req, { referer = false } = {}) {
+  const explicit = String(req.query?.agent || req.get?.('x-agent-key') || (referer && refererAgent(req)) || '').trim().toLowerCase();
+  if (explicit) return TENANTS.get(explicit) || null;
+  return BY_HOST.get(String(req.hostname || '').toLowerCase()) || DEFAULT_TENANT;
+}
+
+// Express middleware: sets req.tenant or answers 404 unknown_agent
+export function withTenant(req, res, next) {
+  req.tenant = resolveTenant(req);
+  if (req.tenant) return next();
+  res.status(404).json({ ok:false, error:'unknown_agent' });
+}
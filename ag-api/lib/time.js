@@ -0,0 +1,77 @@
+// lib/time.js
+// Time-zone helpers built on Intl (no external tz database needed)
+
+export const p2 = v => v.toString().padStart(2,'0');
+
+export function isValidTimeZone(tz) {
+  if (!tz) return false;
+  try { new Intl.DateTimeFormat('en-US', { timeZone: tz }); return true; } catch { return false; }
+}
+
+export function tzOffsetMinutesAt(tz, epochMs) {
+  try {
+    const parts = new Intl.DateTimeFormat('en-US', {
+      timeZone: tz, timeZoneName: 'shortOffset', year:'numeric', month:'2-digit', day:'2-digit',
+      hour:'2-digit', minute:'2-digit', second:'2-digit', hour12:false
+    }).formatToParts(new Date(epochMs));
+    const name = parts.find(p => p.type === 'timeZoneName')?.value || 'GMT';
+    const m = name.match(/GMT([+-]\d{1,2})(?::(\d{2}))?/);
+    if (!m) return 0;
+    const sign = m[1].startsWith('-') ? -1 : 1;
+    const h = Math.abs(parseInt(m[1], 10));
+    const mm = m[2] ? parseInt(m[2], 10) : 0;
+    return sign * (h * 60 + mm);
+  } catch { return 0; }
+}
+
+export function zonedToUtcISO(dateStr, timeStr, tz) {
+  if (!dateStr || !timeStr || !tz) return null;
+  try {
+    const [y,m,d] = dateStr.split('-').map(Number);
+    const [H,M]   = timeStr.split(':').map(Number);
+    const naiveUTC = Date.UTC(y, (m??1)-1, d??1, H??0, M??0, 0, 0);
+    // Second pass picks up the right offset when the first guess lands across a DST switch
+    const off1 = tzOffsetMinutesAt(tz, naiveUTC);
+    const off2 = tzOffsetMinutesAt(tz, naiveUTC - off1 * 60 * 1000);
+    return new Date(naiveUTC - off2 * 60 * 1000).toISOString();
+  } catch { return null; }
+}
+
+// Wall-clock parts of an instant in a zone: { date:'YYYY-MM-DD', time:'HH:mm', weekday:0-6 }
+export function localParts(epochMs, tz) {
+  const parts = new Intl.DateTimeFormat('en-US', {
+    timeZone: tz, year:'numeric', month:'2-digit', day:'2-digit', hour:'2-digit', minute:'2-digit', hour12:false
+  }).formatToParts(new Date(epochMs));
+  const get = t => parts.find(p => p.type === t)?.value || '00';
+  const date = `${get('year')}-${get('month')}-${get('day')}`;
+  const time = `${get('hour') === '24' ? '00' : get('hour')}:${get('minute')}`;
+  return { date, time, weekday: weekdayOf(date) };
+}
+
+export function isIsoDate(s) {
+  if (!/^\d{4}-\d{2}-\d{2}$/.test(String(s || ''))) return false;
+  const [y,m,d] = s.split('-').map(Number);
+  const dt = new Date(Date.UTC(y, m-1, d));
+  return dt.getUTCFullYear() === y && dt.getUTCMonth() === m-1 && dt.getUTCDate() === d;
+}
+
+export function addDays(dateStr, n) {
+  const [y,m,d] = dateStr.split('-').map(Number);
+  const dt = new Date(Date.UTC(y, m-1, d + n));
+  return `${dt.getUTCFullYear()}-${p2(dt.getUTCMonth()+1)}-${p2(dt.getUTCDate())}`;
+}
+
+export function weekdayOf(dateStr) {
+  const [y,m,d] = dateStr.split('-').map(Number);
+  return new Date(Date.UTC(y, m-1, d)).getUTCDay();
+}
+
+export function prettyWhen(startISO, endISO, tz, locale = 'en-US') {
+  try {
+    const s = new Date(startISO), e = new Date(endISO);
+    const d  = new Intl.DateTimeFormat(locale, { weekday:'short', month:'short', day:'numeric', timeZone: tz }).format(s);
+    const t1 = new Intl.DateTimeFormat(locale, { hour:'numeric', minute:'2-digit', timeZone: tz }).format(s);
+    const t2 = new Intl.DateTimeFormat(locale, { hour:'numeric', minute:'2-digit', timeZone: tz }).format(e);
+    return `${d} • ${t1}–${t2} (${tz})`;
+  } catch { return ''; }
+}
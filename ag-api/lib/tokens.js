@@ -0,0 +1,26 @@
+// lib/tokens.js
+// Signed, unguessable tokens for self-service booking links: "<nonce>.<hmac>"
+import crypto from 'crypto';
+
+let SECRET = (process.env.BOOKING_TOKEN_SECRET || '').trim();
+if (!SECRET) {
+  // Links still work until the next restart; set the env var in production
+  SECRET = crypto.randomBytes(32).toString('hex');
+  console.warn('Tokens: BOOKING_TOKEN_SECRET not set, using an ephemeral secret');
+}
+
+const sign = (nonce) => crypto.createHmac('sha256', SECRET).update(nonce).digest('base64url').slice(0, 32);
+
+export function createManageToken() {
+  const nonce = crypto.randomBytes(18).toString('base64url');
+  return `${nonce}.${sign(nonce)}`;
+}
+
+// Cheap check before touching the DB; rejects anything we did not mint
+export function verifyManageToken(token) {
+  const [nonce, sig, extra] = String(token || '').split('.');
+  if (!nonce || !sig || extra !== undefined) return false;
+  const want = Buffer.from(sign(nonce));
+  const got = Buffer.from(sig);
+  return got.length === want.length && crypto.timingSafeEqual(got, want);
+}
@@ -0,0 +1,236 @@
+// lib/tts.js
+// Text-to-speech behind /api/tts, independent of any one vendor. Adapters:
+//   elevenlabs  ELEVENLABS_API_KEY; voice = ElevenLabs voice id (tenant.voiceId)   -> mp3
+//   openai      OPENAI_API_KEY; voice = alloy, verse, ... (OPENAI_TTS_VOICE)        -> mp3
+//   local       piper or espeak-ng/espeak on PATH (or LOCAL_TTS_BIN), no network -> wav
+//               voice = espeak voice name, or a .onnx model path for piper (LOCAL_TTS_VOICE);
+//               espeak defaults to the requested language, the cloud voices are multilingual.
+//               Requests may only pick voices the server allows: names from LOCAL_TTS_VOICES
+//               ('en-gb=en-gb,nl=/models/nl.onnx'; espeak defaults to en, es and fr), or
+//               for piper a model file name in LOCAL_TTS_MODELS_DIR ('en_US-amy' -> <dir>/en_US-amy.onnx)
+// Providers are tried in order (TTS_PROVIDERS, or per request) and the next one
+// takes over when one is not configured, errors, or sends no audio within
+// TTS_PROVIDER_TIMEOUT_MS. Only the paid providers count against the daily
+// character cap. Clips are cached per provider + voice (lib/ttsCache.js).
+import fs from 'fs';
+import path from 'path';
+import { spawn } from 'child_process';
+import { Readable, PassThrough, pipeline } from 'stream';
+import { reserveDaily, releaseDaily } from './limits.js';
+import { ttsKey, cachedTts } from './ttsCache.js';
+
+export const TTS_PROVIDERS = ['elevenlabs', 'openai', 'local'];
+export const TTS_MAX_CHARS = Number(process.env.TTS_MAX_CHARS || 800);
+export const TTS_DAILY_CHARS = Number(process.env.TTS_DAILY_CHAR_CAP ?? 100000);
+export const TTS_DEFAULT_ORDER = parseProviders(process.env.TTS_PROVIDERS) || TTS_PROVIDERS;
+const TIMEOUT_MS = Number(process.env.TTS_PROVIDER_TIMEOUT_MS || 6000);
+
+const ELEVENLABS_API_URL = process.env.ELEVENLABS_API_URL || 'https://api.elevenlabs.io';
+const ELEVENLABS_MODEL = process.env.ELEVENLABS_TTS_MODEL_ID || 'eleven_multilingual_v2';
+const ELEVENLABS_VOICE_SETTINGS = { stability: 0.4, similarity_boost: 0.8, style: 0.3, use_speaker_boost: true };
+const OPENAI_API_URL = process.env.OPENAI_API_URL || 'https://api.openai.com';
+const OPENAI_TTS_MODEL = process.env.OPENAI_TTS_MODEL || 'gpt-4o-mini-tts';
+
+const CONTENT_TYPES = { mp3: 'audio/mpeg', wav: 'audio/wav' };
+
+/* ---- Request parsing ---- */
+// ['openai', 'local'] or 'openai,local' -> known names in order; null when absent, false when invalid
+export function parseProviders(v) {
+  if (v == null || v === '') return null;
+  const list = (Array.isArray(v) ? v : String(v).split(',')).map(s => String(s).trim().toLowerCase()).filter(Boolean);
+  if (!list.length || list.some(p => !TTS_PROVIDERS.includes(p))) return false;
+  return [...new Set(list)];
+}
+
+// { openai: 'verse' } or 'openai:verse,local:en-gb' -> { openai: 'verse', local: 'en-gb' }
+export function parseVoices(v) {
+  if (!v) return {};
+  const pairs = typeof v === 'object' ? Object.entries(v) : String(v).split(',').map(s => s.split(':'));
+  return Object.fromEntries(pairs
+    .map(([k, val]) => [String(k).trim().toLowerCase(), String(val ?? '').trim()])
+    .filter(([k, val]) => TTS_PROVIDERS.includes(k) && val));
+}
+
+/* ---- Local engine ---- */
+function onPath(bin) {
+  if (bin.includes(path.sep)) return fs.existsSync(bin) ? bin : null;
+  for (const dir of (process.env.PATH || '').split(path.delimiter)) {
+    const file = path.join(dir, bin);
+    try { fs.accessSync(file, fs.constants.X_OK); return file; } catch {}
+  }
+  return null;
+}
+const LOCAL_BIN = process.env.LOCAL_TTS_BIN
+  ? onPath(process.env.LOCAL_TTS_BIN)
+  : ['piper', 'espeak-ng', 'espeak'].map(onPath).find(Boolean) || null;
+const LOCAL_IS_PIPER = !!LOCAL_BIN && path.basename(LOCAL_BIN).startsWith('piper');
+// 'es-MX' -> 'es'; espeak has a voice per base language, and 'en' alone is British
+const espeakVoice = (lang) => {
+  const base = String(lang || 'en').split('-')[0].toLowerCase();
+  return base === 'en' ? 'en-us' : base;
+};
+
+// The voices a request may name, so callers never pass a path or flag to the engine
+const LOCAL_VOICES = process.env.LOCAL_TTS_VOICES
+  ? Object.fromEntries(process.env.LOCAL_TTS_VOICES.split(',')
+      .map(s => s.split('=').map(x => x.trim()))
+      .filter(([k, v]) => k && v)
+      .map(([k, v]) => [k.toLowerCase(), v]))
+  : LOCAL_IS_PIPER ? {} : { en: 'en-us', 'en-us': 'en-us', 'en-gb': 'en-gb', es: 'es', fr: 'fr' };
+const LOCAL_MODELS_DIR = process.env.LOCAL_TTS_MODELS_DIR || null;
+
+// Engine voice for a voice name from a request or profile, or null when it is not allowed
+export function localVoice(name) {
+  const v = String(name || '').trim();
+  if (Object.hasOwn(LOCAL_VOICES, v.toLowerCase())) return LOCAL_VOICES[v.toLowerCase()];
+  if (LOCAL_IS_PIPER && LOCAL_MODELS_DIR && /^\w[\w.-]*$/.test(v)) {
+    const file = path.join(LOCAL_MODELS_DIR, `${v}.onnx`);
+    if (fs.existsSync(file)) return file;
+  }
+  return null;
+}
+
+/* ---- Adapters ---- */
+// Each resolves a web/node stream of audio, or throws (the next provider is tried)
+const ADAPTERS = {
+  elevenlabs: {
+    format: 'mp3', paid: true,
+    available: () => !!process.env.ELEVENLABS_API_KEY,
+    defaultVoice: (tenant) => tenant.voiceId,
+    model: ELEVENLABS_MODEL,
+    async synthesize({ text, voice, signal }) {
+      const r = await fetch(`${ELEVENLABS_API_URL}/v1/text-to-speech/${encodeURIComponent(voice)}/stream`, {
+        method: 'POST', signal,
+        headers: { 'xi-api-key': process.env.ELEVENLABS_API_KEY, 'Content-Type': 'application/json', 'Accept': 'audio/mpeg' },
+        body: JSON.stringify({ text, model_id: ELEVENLABS_MODEL, voice_settings: ELEVENLABS_VOICE_SETTINGS, optimize_streaming_latency: 1 }),
+      });
+      if (!r.ok) throw new Error(`elevenlabs ${r.status}: ${(await r.text().catch(() => '')).slice(0, 200)}`);
+      return r.body;
+    },
+  },
+
+  openai: {
+    format: 'mp3', paid: true,
+    available: () => !!process.env.OPENAI_API_KEY,
+    defaultVoice: () => process.env.OPENAI_TTS_VOICE || 'alloy',
+    model: OPENAI_TTS_MODEL,
+    async synthesize({ text, voice, signal }) {
+      const r = await fetch(`${OPENAI_API_URL}/v1/audio/speech`, {
+        method: 'POST', signal,
+        headers: { Authorization: `Bearer ${process.env.OPENAI_API_KEY}`, 'Content-Type': 'application/json' },
+        body: JSON.stringify({ model: OPENAI_TTS_MODEL, voice, input: text, response_format: 'mp3' }),
+      });
+      if (!r.ok) throw new Error(`openai ${r.status}: ${(await r.text().catch(() => '')).slice(0, 200)}`);
+      return r.body;
+    },
+  },
+
+  local: {
+    format: 'wav', paid: false,
+    available: () => !!LOCAL_BIN,
+    defaultVoice: (tenant, lang) => process.env.LOCAL_TTS_VOICE || (LOCAL_IS_PIPER ? '' : espeakVoice(lang)),
+    allowVoice: localVoice,
+    model: LOCAL_BIN ? path.basename(LOCAL_BIN) : null,
+    async synthesize({ text, voice, signal }) {
+      const args = LOCAL_IS_PIPER
+        ? ['--output_file', '-', ...(voice ? ['--model', voice] : [])]
+        : ['--stdout', '--stdin', ...(voice ? ['-v', voice] : [])];
+      const child = spawn(LOCAL_BIN, args, { stdio: ['pipe', 'pipe', 'ignore'], signal });
+      child.on('error', (e) => child.stdout.destroy(e));
+      child.on('exit', (code) => { if (code) child.stdout.destroy(new Error(`${path.basename(LOCAL_BIN)} exited with ${code}`)); });
+      child.stdin.on('error', () => {});
+      child.stdin.end(text);
+      return child.stdout;
+    },
+  },
+};
+
+// Wait for the first chunk so a provider that stalls or fails before any audio can be skipped
+function firstChunk(body, signal) {
+  const stream = typeof body?.pipe === 'function' ? body : Readable.fromWeb(body);
+  return new Promise((resolve, reject) => {
+    const cleanup = () => {
+      stream.off('readable', onReadable); stream.off('error', onError); stream.off('end', onEnd);
+      signal.removeEventListener('abort', onAbort);
+    };
+    const onReadable = () => {
+      const chunk = stream.read();
+      if (chunk == null) return;
+      cleanup();
+      stream.unshift(chunk);
+      resolve(stream);
+    };
+    const onError = (e) => { cleanup(); reject(e); };
+    const onEnd = () => { cleanup(); reject(new Error('no audio')); };
+    const onAbort = () => { cleanup(); stream.destroy(); reject(new Error('timed out')); };
+    stream.on('readable', onReadable);
+    stream.on('error', onError);
+    stream.on('end', onEnd);
+    signal.addEventListener('abort', onAbort, { once: true });
+  });
+}
+
+// After the first chunk, a provider that goes quiet for TIMEOUT_MS is cut off: the
+// returned stream errors, so neither the response nor the cache writer waits forever
+function idleGuard(stream, ctl) {
+  const out = new PassThrough();
+  let timer;
+  const arm = () => {
+    clearTimeout(timer);
+    timer = setTimeout(() => { ctl.abort(); out.destroy(new Error(`no audio for ${TIMEOUT_MS}ms`)); }, TIMEOUT_MS);
+  };
+  pipeline(stream, out, () => clearTimeout(timer));
+  stream.on('data', arm);
+  arm();
+  return out;
+}
+
+/**
+ * Speak `text` with the first provider that works. lang: BCP 47 tag of the text, if known.
+ * Resolves { provider, voice, key, format, contentType } plus either
+ * { cached: { file, size } } or { stream } (a Readable, already producing audio),
+ * or { error, attempts } when every provider failed or was skipped.
+ */
+export async function synthesize({ text, tenant, providers, voices = {}, lang }) {
+  const attempts = [];
+  let capped = false;
+  for (const name of providers || TTS_DEFAULT_ORDER) {
+    const a = ADAPTERS[name];
+    if (!a.available()) { attempts.push(`${name}: not configured`); continue; }
+    const voice = voices[name] ? (a.allowVoice ? a.allowVoice(voices[name]) : voices[name]) : a.defaultVoice(tenant, lang);
+    if (voice == null) { attempts.push(`${name}: voice not allowed`); continue; }
+    const key = ttsKey({
+      text, voiceId: voice, modelId: `${name}:${a.model}`, format: a.format,
+      ...(name === 'elevenlabs' ? { voiceSettings: ELEVENLABS_VOICE_SETTINGS } : {}),
+    });
+    const base = { provider: name, voice, key, format: a.format, contentType: CONTENT_TYPES[a.format] };
+
+    const hit = await cachedTts(key);
+    if (hit) return { ...base, cached: hit };
+
+    const chars = text.length;
+    if (a.paid && !(await reserveDaily('tts_chars', chars, TTS_DAILY_CHARS)).ok) {
+      attempts.push(`${name}: daily cap reached`);
+      capped = true;
+      continue;
+    }
+    const ctl = new AbortController();
+    const timer = setTimeout(() => ctl.abort(), TIMEOUT_MS);
+    try {
+      const stream = await firstChunk(await a.synthesize({ text, voice, signal: ctl.signal }), ctl.signal);
+      clearTimeout(timer);
+      return { ...base, stream: idleGuard(stream, ctl) };
+    } catch (e) {
+      clearTimeout(timer);
+      if (a.paid) releaseDaily('tts_chars', chars);
+      const why = ctl.signal.aborted ? `no audio within ${TIMEOUT_MS}ms` : e?.message || String(e);
+      console.warn(`[TTS] ${name} failed, trying the next provider: ${why}`);
+      attempts.push(`${name}: ${why}`);
+    }
+  }
+  return { error: capped ? 'daily_cap_reached' : 'tts_unavailable', attempts };
+}
+
+export function ttsProviderStatus() {
+  return Object.fromEntries(TTS_PROVIDERS.map(p => [p, ADAPTERS[p].available()]));
+}
@@ -0,0 +1,140 @@
+// lib/ttsCache.js
+// Disk cache for synthesized speech, so the same sentence in the same voice
+// (the greeting, "Let me check that for you", ...) is paid for once. Entries are
+// content-addressed: the key hashes everything that changes the audio (text,
+// provider, voice, model, voice settings), and doubles as the response's ETag.
+// Total size is bounded by TTS_CACHE_MAX_MB; the least recently played files go
+// first. Recency is the file mtime (touched on every hit), so it survives restarts.
+import fs from 'fs';
+import fsp from 'fs/promises';
+import path from 'path';
+import crypto from 'crypto';
+import { fileURLToPath } from 'url';
+
+export const TTS_CACHE_DIR = path.resolve(process.env.TTS_CACHE_DIR || fileURLToPath(new URL('../.cache/tts', import.meta.url)));
+const MAX_BYTES = Number(process.env.TTS_CACHE_MAX_MB ?? 200) * 1024 * 1024;
+export const TTS_CACHE_ENABLED = MAX_BYTES > 0;
+
+// key -> { size, format }, in least-recently-used-first order (Map keeps insertion order)
+const entries = new Map();
+let totalBytes = 0;
+let loading = null;
+// Set when the directory can't be created or read: speech still works, just uncached
+let broken = false;
+
+export const ttsKey = ({ text, voiceId, modelId, voiceSettings, format = 'mp3' }) =>
+  crypto.createHash('sha256')
+    .update(JSON.stringify([String(text), voiceId, modelId, voiceSettings || null, format]))
+    .digest('hex');
+
+// format is the file extension: mp3, or wav from the local engine (lib/tts.js)
+const fileFor = (key, format) => path.join(TTS_CACHE_DIR, `${key}.${format}`);
+
+// Index what is already on disk, oldest first; leftovers of interrupted writes are dropped.
+// Resolves false (once logged) when the cache directory is unusable.
+function load() {
+  loading ||= (async () => {
+    await fsp.mkdir(TTS_CACHE_DIR, { recursive: true });
+    const found = [];
+    for (const name of await fsp.readdir(TTS_CACHE_DIR)) {
+      const file = path.join(TTS_CACHE_DIR, name);
+      if (name.endsWith('.part')) { await fsp.rm(file, { force: true }); continue; }
+      const m = /^([0-9a-f]{64})\.(mp3|wav)$/.exec(name);
+      if (!m) continue;
+      const st = await fsp.stat(file).catch(() => null);
+      if (st?.isFile()) found.push({ key: m[1], format: m[2], size: st.size, at: st.mtimeMs });
+    }
+    found.sort((a, b) => a.at - b.at);
+    for (const f of found) { entries.set(f.key, { size: f.size, format: f.format }); totalBytes += f.size; }
+    await evict();
+    return true;
+  })().catch((e) => {
+    console.warn(`[TTS] cache disabled, ${TTS_CACHE_DIR} is unusable:`, e?.message);
+    broken = true;
+    entries.clear();
+    totalBytes = 0;
+    loading = Promise.resolve(false);
+    return false;
+  });
+  return loading;
+}
+
+async function evict() {
+  for (const [key, { size, format }] of entries) {
+    if (totalBytes <= MAX_BYTES) break;
+    entries.delete(key);
+    totalBytes -= size;
+    await fsp.rm(fileFor(key, format), { force: true });
+  }
+}
+
+/** { file, size, format } for a cached clip (marked as just used), or null. */
+export async function cachedTts(key) {
+  if (!TTS_CACHE_ENABLED || !(await load())) return null;
+  const entry = entries.get(key);
+  if (!entry) return null;
+  const file = fileFor(key, entry.format);
+  entries.delete(key);
+  if (!fs.existsSync(file)) {
+    totalBytes -= entry.size;
+    return null;
+  }
+  entries.set(key, entry);
+  const now = new Date();
+  fsp.utimes(file, now, now).catch(() => {});
+  return { file, ...entry };
+}
+
+/**
+ * Writable for a clip being synthesized. Feed it the audio as it streams in,
+ * then commit() once the upstream response finished cleanly; abort() throws it away.
+ */
+export function ttsCacheWriter(key, format = 'mp3') {
+  if (!TTS_CACHE_ENABLED || broken) return null;
+  const part = path.join(TTS_CACHE_DIR, `${key}.${crypto.randomBytes(4).toString('hex')}.part`);
+  let out = null;
+  let chunks = [];
+  const ready = load().then((ok) => {
+    if (!ok) { chunks = null; return false; }
+    out = fs.createWriteStream(part);
+    out.on('error', (e) => console.warn('[TTS] cache write failed:', e?.message));
+    for (const c of chunks.splice(0)) out.write(c);
+    return true;
+  }).catch(() => { chunks = null; return false; });
+  const closed = () => new Promise(resolve => { if (!out) return resolve(); out.end(resolve); });
+
+  return {
+    // writes before the directory is ready are buffered, and dropped if it never is
+    write(chunk) {
+      if (out) out.write(chunk);
+      else chunks?.push(chunk);
+    },
+    async commit() {
+      try {
+        if (!(await ready)) return;
+        await closed();
+        const { size } = await fsp.stat(part);
+        if (!size) return fsp.rm(part, { force: true });
+        await fsp.rename(part, fileFor(key, format));
+        if (entries.has(key)) totalBytes -= entries.get(key).size;
+        entries.delete(key);
+        entries.set(key, { size, format });
+        totalBytes += size;
+        await evict();
+      } catch (e) {
+        console.warn('[TTS] cache write failed:', e?.message);
+        await fsp.rm(part, { force: true }).catch(() => {});
+      }
+    },
+    async abort() {
+      if (!(await ready)) return;
+      await closed();
+      await fsp.rm(part, { force: true }).catch(() => {});
+    },
+  };
+}
+
+export async function ttsCacheStats() {
+  if (!TTS_CACHE_ENABLED || !(await load())) return { enabled: false };
+  return { enabled: true, dir: TTS_CACHE_DIR, clips: entries.size, bytes: totalBytes, maxBytes: MAX_BYTES };
+}
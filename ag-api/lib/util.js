@@ -0,0 +1,10 @@
+// lib/util.js
+// Small request-parsing helpers shared by the API routes
+
+export const clean = (s) => String(s ?? '').replace(/[\r\n]+/g, ' ').trim();
+
+// First non-blank value among obj[keys...], as a string
+export function pick(obj, keys, def = '') { for (const k of keys) { if (obj && obj[k] != null && String(obj[k]).trim() !== '') return String(obj[k]); } return def; }
+
+const HTML_ESCAPES = { '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' };
+export const escapeHtml = (s) => String(s ?? '').replace(/[&<>"']/g, c => HTML_ESCAPES[c]);
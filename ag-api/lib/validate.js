@@ -0,0 +1,156 @@
+// lib/validate.js
+// Declarative request validation. A schema maps each output field to a rule;
+// validate() returns the normalized values plus a field-level error map that
+// clients can render next to inputs (book.html) or read back (voice agent):
+//   { ok:false, error:'invalid_fields', message, fields: { email: { code, message } } }
+import { clean, pick } from './util.js';
+import { isIsoDate, isValidTimeZone, localParts, zonedToUtcISO } from './time.js';
+import { SLOT_MIN, WINDOW_DAYS, MIN_LEAD_MIN, withinBusinessHours } from './slots.js';
+
+export const MESSAGES = {
+  required: 'This field is required.',
+  too_long: 'This is too long.',
+  invalid_email: 'Enter a valid email address.',
+  invalid_phone: 'Enter a valid phone number, including the country code.',
+  invalid_date: 'Enter a real calendar date (YYYY-MM-DD).',
+  invalid_time: 'Enter a valid time (HH:mm, 24-hour).',
+  invalid_tz: 'Unknown time zone.',
+  invalid_duration: 'Duration must be between 15 and 240 minutes.',
+  in_past: 'That time has already passed.',
+  too_soon: `Please pick a time at least ${MIN_LEAD_MIN} minutes from now.`,
+  too_far: `Please pick a date within the next ${WINDOW_DAYS} days.`,
+  outside_business_hours: 'That time is outside our business hours.',
+  invalid_option: 'That is not one of the allowed values.',
+  out_of_range: 'That number is out of range.',
+  invalid_language: 'Use a language tag such as en, es or fr-CA.',
+};
+
+/* ---- Field checks (return an error code or null) ---- */
+const EMAIL_RE = /^[^\s@<>(),;:"]+@[^\s@<>(),;:"]+\.[a-z]{2,}$/i;
+export const checkEmail = (v) => (EMAIL_RE.test(v) && !v.includes('..') ? null : 'invalid_email');
+const checkDate = (v) => (isIsoDate(v) ? null : 'invalid_date');
+const checkTz = (v) => (isValidTimeZone(v) ? null : 'invalid_tz');
+
+// "9:05" -> "09:05"; anything else that is not a 24h clock time is left for checkTime to reject
+const normalizeTime = (v) => (/^\d:\d{2}$/.test(v) ? `0${v}` : v);
+const checkTime = (v) => {
+  const m = v.match(/^(\d{2}):(\d{2})$/);
+  return m && Number(m[1]) < 24 && Number(m[2]) < 60 ? null : 'invalid_time';
+};
+
+// Local part as typed, domain lower-cased
+const normalizeEmail = (v) => {
+  const i = v.lastIndexOf('@');
+  return i < 0 ? v : v.slice(0, i) + v.slice(i).toLowerCase();
+};
+
+/* ---- Phone numbers ---- */
+const PHONE_CC = String(process.env.PHONE_DEFAULT_COUNTRY_CODE || '1').replace(/\D/g, '') || '1';
+
+/**
+ * Normalize a phone number to E.164 (+<country code><number>, 8–15 digits).
+ * National numbers get PHONE_DEFAULT_COUNTRY_CODE; a leading trunk 0 is dropped.
+ * Returns null when the input cannot be a phone number.
+ */
+export function toE164(raw, defaultCc = PHONE_CC) {
+  let s = String(raw || '').trim().replace(/\s*(?:ext\.?|x|#)\s*\d+$/i, '');
+  if (!/^[+\d\s().\-/]+$/.test(s)) return null;
+  s = s.replace(/[^\d+]/g, '');
+  if (s.startsWith('00')) s = `+${s.slice(2)}`;
+  let digits;
+  if (s.startsWith('+')) digits = s.slice(1);
+  else if (defaultCc === '1' && /^1\d{10}$/.test(s)) digits = s;
+  else digits = defaultCc + s.replace(/^0/, '');
+  if (digits.includes('+') || !/^[1-9]\d{7,14}$/.test(digits)) return null;
+  if (digits.startsWith('1') && !/^1[2-9]\d{2}[2-9]\d{6}$/.test(digits)) return null; // NANP shape
+  return `+${digits}`;
+}
+
+/**
+ * Run a schema over a request body. Rule options:
+ *   from: body keys to read (first non-blank wins), default [field]
+ *   required, max (chars), multiline (keep line breaks), default
+ *   normalize(v) -> v, check(v) -> error code | null
+ * Missing optional fields come back as ''. Returns { ok, value, fields }.
+ */
+export function validate(schema, body) {
+  const value = {}, fields = {};
+  for (const [name, rule] of Object.entries(schema)) {
+    const raw = pick(body, rule.from || [name], rule.default ?? '');
+    let v = rule.multiline ? String(raw).replace(/\r\n?/g, '\n').trim() : clean(raw);
+    if (!v) {
+      if (rule.required) fields[name] = 'required';
+      value[name] = v;
+      continue;
+    }
+    if (rule.max && v.length > rule.max) { fields[name] = 'too_long'; continue; }
+    if (rule.normalize) v = rule.normalize(v);
+    const code = rule.check?.(v);
+    if (code) { fields[name] = code; continue; }
+    value[name] = v;
+  }
+  return { ok: !Object.keys(fields).length, value, fields };
+}
+
+// Field map -> { code, message } pairs for the response body
+export function fieldErrors(fields) {
+  return Object.fromEntries(Object.entries(fields).map(([k, code]) => [k, { code, message: MESSAGES[code] || code }]));
+}
+
+export function invalidFieldsBody(fields) {
+  return { ok:false, error:'invalid_fields', message: 'Please check the highlighted fields.', fields: fieldErrors(fields) };
+}
+
+/* ---- Booking payload (/api/book) ---- */
+const BOOKING_SCHEMA = {
+  fullName: { from: ['fullName', 'full_name', 'name'], required: true, max: 120 },
+  email:    { from: ['email', 'mail'], required: true, max: 254, normalize: normalizeEmail, check: checkEmail },
+  phone:    { from: ['phone', 'tel', 'telephone'], max: 40, normalize: (v) => toE164(v) || v, check: (v) => (v.startsWith('+') && toE164(v) === v ? null : 'invalid_phone') },
+  company:  { from: ['company', 'org'], max: 160 },
+  date:     { required: true, check: checkDate },
+  time:     { required: true, normalize: normalizeTime, check: checkTime },
+  timeZone: { from: ['timeZone', 'timezone', 'tz'], default: 'UTC', max: 64, check: checkTz },
+  duration: { default: String(SLOT_MIN), check: (v) => (/^\d+$/.test(v) && +v >= 15 && +v <= 240 ? null : 'invalid_duration') },
+  notes:    { from: ['notes', 'message'], max: 2000, multiline: true },
+  plan:     { max: 40 },
+  tier:     { max: 40 },
+  source:   { default: 'pricing', max: 40 },
+};
+
+/**
+ * Field errors for a call starting at start (ms) for duration minutes: in the
+ * past, inside the lead time, beyond the booking window or outside business
+ * hours. {} when the slot is fine. Shared by new bookings and reschedules.
+ */
+export function slotTimeFields(start, duration, { now = Date.now(), timeZone = 'UTC', week, bizTz } = {}) {
+  if (localParts(start, timeZone).date < localParts(now, timeZone).date) return { date: 'in_past' };
+  if (start <= now) return { time: 'in_past' };
+  if (start < now + MIN_LEAD_MIN * 60000) return { time: 'too_soon' };
+  if (start > now + WINDOW_DAYS * 86400000) return { date: 'too_far' };
+  if (!withinBusinessHours(start, duration, { week, bizTz })) return { time: 'outside_business_hours' };
+  return {};
+}
+
+/**
+ * Validate and normalize a booking request. On success value also carries
+ * startISO/endISO; the slot must be in the future, inside the booking window
+ * and within business hours ({ week, bizTz } of the tenant, default from env).
+ */
+export function validateBooking(body, { now = Date.now(), week, bizTz } = {}) {
+  const r = validate(BOOKING_SCHEMA, body || {});
+  const v = r.value;
+  if (v.duration) v.duration = Number(v.duration);
+  if (r.fields.date || r.fields.time || r.fields.timeZone || r.fields.duration || !v.date || !v.time) return r;
+
+  const startISO = zonedToUtcISO(v.date, v.time, v.timeZone);
+  const start = Date.parse(startISO);
+  const local = localParts(start, v.timeZone);
+  // Times skipped by a DST change (e.g. 02:30 on spring-forward day) do not round-trip
+  if (local.date !== v.date || local.time !== v.time) r.fields.time = 'invalid_time';
+  else Object.assign(r.fields, slotTimeFields(start, v.duration, { now, timeZone: v.timeZone, week, bizTz }));
+
+  r.ok = !Object.keys(r.fields).length;
+  v.startISO = startISO;
+  v.endISO = new Date(start + v.duration * 60000).toISOString();
+  return r;
+}
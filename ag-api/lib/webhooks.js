@@ -0,0 +1,217 @@
+// lib/webhooks.js
+// Outgoing webhooks for booking lifecycle and hand-off events. Each event is fanned out to
+// the matching endpoints as rows in webhook_deliveries; a background worker
+// POSTs them with an HMAC-SHA256 signature and retries with backoff.
+//
+// WEBHOOK_URLS: comma/newline separated "<url> [event|event...]"; no events = all.
+//   e.g. "https://crm.example.com/hooks/agentlyne, https://ops.example.com/in booking.created|booking.cancelled"
+// WEBHOOK_SECRET: signing key. Receivers check
+//   X-Agentlyne-Signature: t=<unix seconds>,v1=<hex hmac_sha256(secret, "<t>.<raw body>")>
+import crypto from 'crypto';
+import { pool } from './db.js';
+
+export const WEBHOOK_EVENTS = [
+  'booking.created', 'booking.confirmed', 'booking.declined', 'booking.rescheduled', 'booking.cancelled',
+  'handoff.requested',
+];
+
+const SECRET = (process.env.WEBHOOK_SECRET || '').trim();
+const POLL_SEC = Number(process.env.WEBHOOK_POLL_SEC || 5);
+const MAX_ATTEMPTS = Number(process.env.WEBHOOK_MAX_ATTEMPTS || 8);
+const BACKOFF_BASE_SEC = Number(process.env.WEBHOOK_BACKOFF_SEC || 30);
+const BACKOFF_MAX_SEC = 6 * 3600;
+const TIMEOUT_MS = 10000;
+const STALE_SENDING_SEC = 300;
+const BATCH = 20;
+
+export const DELIVERY_STATUSES = ['queued', 'sending', 'delivered', 'failed'];
+
+const ENDPOINTS = String(process.env.WEBHOOK_URLS || '')
+  .split(/[,\n]/).map(s => s.trim()).filter(Boolean)
+  .map(entry => {
+    const [url, events = ''] = entry.split(/\s+/);
+    return { url, events: events ? events.split('|').filter(Boolean) : null };
+  })
+  .filter(e => /^https?:\/\//.test(e.url));
+
+if (ENDPOINTS.length && !SECRET) console.warn('Webhooks: WEBHOOK_SECRET not set, deliveries are unsigned');
+
+const backoffSec = (attempts) => Math.min(BACKOFF_BASE_SEC * 2 ** Math.max(0, attempts - 1), BACKOFF_MAX_SEC);
+
+/* ---- Signatures ---- */
+export function signPayload(body, secret = SECRET, t = Math.floor(Date.now() / 1000)) {
+  const v1 = crypto.createHmac('sha256', secret).update(`${t}.${body}`).digest('hex');
+  return `t=${t},v1=${v1}`;
+}
+
+// For receivers: true when header matches body and is younger than toleranceSec
+export function verifySignature(body, header, secret, { toleranceSec = 300, now = Date.now() } = {}) {
+  const parts = Object.fromEntries(String(header || '').split(',').map(p => p.trim().split('=')));
+  const t = Number(parts.t);
+  if (!t || !parts.v1 || Math.abs(now / 1000 - t) > toleranceSec) return false;
+  const expected = signPayload(body, secret, t).split('v1=')[1];
+  const a = Buffer.from(parts.v1), b = Buffer.from(expected);
+  return a.length === b.length && crypto.timingSafeEqual(a, b);
+}
+
+/* ---- Events ---- */
+function webhookBooking(r) {
+  return {
+    id: r.id, status: r.status || 'pending', tenant: r.tenant || null,
+    fullName: r.full_name || r.name, email: r.email, phone: r.phone || null, company: r.company || null,
+    plan: r.plan || null, tier: r.tier || null, source: r.source || null, locale: r.locale || null,
+    start: r.start_utc ? new Date(r.start_utc).toISOString() : null,
+    end: r.end_utc ? new Date(r.end_utc).toISOString() : null,
+    duration: r.duration_min, timeZone: r.timezone, notes: r.notes || null,
+    meetingUrl: r.meeting_url || null,
+    createdAt: r.created_at || null, updatedAt: r.updated_at || null,
+  };
+}
+
+let wake = null;
+
+/**
+ * Fan an event out to every endpoint subscribed to it. Never throws; a broken
+ * webhook setup must not fail the request that triggered it.
+ */
+export async function emitEvent(event, data, { bookingId = null } = {}) {
+  const targets = ENDPOINTS.filter(e => !e.events || e.events.includes(event));
+  if (!targets.length) return;
+  const payload = { id: crypto.randomUUID(), type: event, createdAt: new Date().toISOString(), data };
+  try {
+    if (!pool) { // no delivery log without a DB: one best-effort attempt each
+      for (const t of targets) post(t.url, payload, 0).catch(e => console.warn(`[WEBHOOK] ${event} -> ${t.url} failed:`, e?.message));
+      return;
+    }
+    for (const t of targets) {
+      await pool.query(
+        `INSERT INTO webhook_deliveries (event_id, event, booking_id, url, payload) VALUES ($1, $2, $3, $4, $5)`,
+        [payload.id, event, bookingId, t.url, JSON.stringify(payload)]
+      );
+    }
+    wake?.();
+  } catch (e) { console.warn(`[WEBHOOK] ${event} enqueue failed:`, e?.message); }
+}
+
+export const emitBookingEvent = (event, row) => emitEvent(event, { booking: webhookBooking(row) }, { bookingId: row.id || null });
+
+async function post(url, payload, deliveryId) {
+  const body = JSON.stringify(payload);
+  const headers = {
+    'Content-Type': 'application/json',
+    'User-Agent': 'Agentlyne-Webhooks/1',
+    'X-Agentlyne-Event': payload.type,
+    'X-Agentlyne-Delivery': String(deliveryId),
+  };
+  if (SECRET) headers['X-Agentlyne-Signature'] = signPayload(body);
+  const r = await fetch(url, { method: 'POST', headers, body, signal: AbortSignal.timeout(TIMEOUT_MS) });
+  await r.arrayBuffer().catch(() => {});
+  if (!r.ok) throw Object.assign(new Error(`HTTP ${r.status}`), { status: r.status });
+  return r.status;
+}
+
+/* ---- Worker ---- */
+async function claimBatch() {
+  const { rows } = await pool.query(
+    `UPDATE webhook_deliveries d
+        SET status = 'sending', attempts = d.attempts + 1, updated_at = now()
+      WHERE d.id IN (
+        SELECT id FROM webhook_deliveries
+         WHERE (status = 'queued' AND next_attempt_at <= now())
+            OR (status = 'sending' AND updated_at < now() - make_interval(secs => $1))
+         ORDER BY next_attempt_at
+         LIMIT ${BATCH}
+         FOR UPDATE SKIP LOCKED)
+      RETURNING d.*`,
+    [STALE_SENDING_SEC]
+  );
+  return rows;
+}
+
+async function deliver(row) {
+  try {
+    const status = await post(row.url, row.payload, row.id);
+    await pool.query(
+      `UPDATE webhook_deliveries
+          SET status = 'delivered', response_status = $2, last_error = NULL, delivered_at = now(), updated_at = now()
+        WHERE id = $1`,
+      [row.id, status]
+    );
+    console.log(`[WEBHOOK] #${row.id} ${row.event} -> ${row.url} ${status}`);
+  } catch (e) {
+    const failed = row.attempts >= MAX_ATTEMPTS;
+    await pool.query(
+      `UPDATE webhook_deliveries
+          SET status = $2, response_status = $3, last_error = $4, updated_at = now(),
+              next_attempt_at = now() + make_interval(secs => $5)
+        WHERE id = $1`,
+      [row.id, failed ? 'failed' : 'queued', e?.status || null, String(e?.message || e).slice(0, 1000), backoffSec(row.attempts)]
+    );
+    console.warn(`[WEBHOOK] #${row.id} attempt ${row.attempts}/${MAX_ATTEMPTS} -> ${row.url} failed:`, e?.message);
+  }
+}
+
+export async function runWebhooks() {
+  let n = 0;
+  for (;;) {
+    const batch = await claimBatch();
+    for (const row of batch) { await deliver(row); n++; }
+    if (batch.length < BATCH) return n;
+  }
+}
+
+export function startWebhooks() {
+  if (!ENDPOINTS.length) { console.log('Webhooks: none configured'); return; }
+  if (!pool) { console.warn('Webhooks: no DATABASE_URL, single attempt without retries'); return; }
+  let running = false, again = false;
+  const tick = async () => {
+    if (running) { again = true; return; }
+    running = true;
+    try {
+      do { again = false; await runWebhooks(); } while (again);
+    } catch (e) { console.warn('[WEBHOOK] tick failed:', e?.message); }
+    finally { running = false; }
+  };
+  wake = () => setImmediate(tick);
+  setInterval(tick, POLL_SEC * 1000).unref();
+  tick();
+  console.log('Webhooks: %d endpoint(s), up to %d attempts', ENDPOINTS.length, MAX_ATTEMPTS);
+}
+
+/* ---- Delivery log / admin ---- */
+export async function listDeliveries({ status, event, bookingId } = {}, { limit = 100 } = {}) {
+  const { rows } = await pool.query(
+    `SELECT id, event_id, event, booking_id, url, status, attempts, response_status, last_error,
+            created_at, delivered_at, next_attempt_at
+       FROM webhook_deliveries
+      WHERE ($1::text IS NULL OR status = $1) AND ($2::text IS NULL OR event = $2)
+        AND ($3::bigint IS NULL OR booking_id = $3)
+      ORDER BY id DESC
+      LIMIT ${Number(limit)}`,
+    [status || null, event || null, bookingId || null]
+  );
+  return rows;
+}
+
+export async function findDelivery(id) {
+  const { rows } = await pool.query('SELECT * FROM webhook_deliveries WHERE id = $1', [id]);
+  return rows[0] || null;
+}
+
+/**
+ * Replay a delivery (any final state) with the original payload and event id, so
+ * receivers can de-duplicate. A delivery that already used up its attempts gets a
+ * single extra one. Resolves the row, null if unknown, or
+ * { inFlight:true } while an attempt is running.
+ */
+export async function replayDelivery(id) {
+  const { rows } = await pool.query(
+    `UPDATE webhook_deliveries
+        SET status = 'queued', next_attempt_at = now(), updated_at = now()
+      WHERE id = $1 AND status <> 'sending'
+      RETURNING *`,
+    [id]
+  );
+  if (rows[0]) { wake?.(); return rows[0]; }
+  return (await findDelivery(id)) ? { inFlight: true } : null;
+}
@@ -1,116 +1,116 @@
 // /public/agent-booking.js
-// Booking signal handler + ElevenLabs TTS helper (with a tiny queue)
+// Assistant text hook + TTS helper (streamed playback, cancellable queue) on /api/tts,
+// which picks ElevenLabs, OpenAI or a local engine on the server (lib/tts.js).
+// Bookings go through the realtime session's function tools (see sdk/openai-realtime.v1.js).
 (function () {
-  const tzLocal = Intl.DateTimeFormat().resolvedOptions().timeZone || 'UTC';
+  // API base + tenant key from /config.js, or configure() when embedded (public/widget.js);
+  // the server picks the voice from the tenant
+  const settings = {};
+  const cfg = () => settings.config || window.APP_CONFIG || {};
+  const apiBase = () => settings.apiBase ?? cfg().API_BASE ?? '';
+  const agentHeaders = () => (cfg().AGENT_KEY ? { 'X-Agent-Key': cfg().AGENT_KEY } : {});
 
-  /* ---------------------------- BOOKING SIGNAL ---------------------------- */
-  function parseSignal(text) {
-    const tag = '<<BOOK>>';
-    const i = text.indexOf(tag);
-    if (i === -1) return null;
-    const j = text.indexOf('{', i);
-    if (j === -1) return null;
-    const k = text.lastIndexOf('}');
-    if (k === -1 || k < j) return null;
-    try { return JSON.parse(text.slice(j, k + 1)); } catch { return null; }
+  async function onAssistantText(text) {
+    // speak whatever the assistant said
+    if (text && text.trim()) TTSQueue.enqueue(text.trim());
   }
 
-  async function postBooking(payload) {
-    const r = await fetch('/api/book', {
-      method: 'POST',
-      headers: { 'Content-Type': 'application/json' },
-      body: JSON.stringify(payload)
-    });
-    const data = await r.json().catch(() => ({}));
-    if (!r.ok || !data?.ok) throw new Error(data?.error || `HTTP ${r.status}`);
-    return data;
+  /* --------------------------------- TTS --------------------------------- */
+  // POST: the server only spends provider characters on requests from allowed origins.
+  // opts: voiceId (ElevenLabs voice), providers (['openai', 'local']), voices ({ openai: 'verse' }),
+  // lang (the conversation's language, for engines that need to be told)
+  function ttsBody(text, opts) {
+    const body = { text };
+    if (opts.voiceId) body.voiceId = opts.voiceId;
+    if (opts.lang) body.lang = opts.lang;
+    if (opts.providers?.length) body.providers = opts.providers;
+    if (opts.voices && Object.keys(opts.voices).length) body.voices = opts.voices;
+    return JSON.stringify(body);
   }
 
-  async function onAssistantText(text) {
-    // 1) watch for booking signal
-    const sig = parseSignal(text);
-    if (sig) {
-      const payload = {
-        fullName: sig.fullName || sig.name,
-        email: sig.email,
-        phone: sig.phone || '',
-        company: sig.company || '',
-        date: sig.date,          // YYYY-MM-DD
-        time: sig.time,          // HH:mm (24h)
-        timeZone: sig.timeZone || tzLocal,
-        duration: sig.duration || 60,
-        source: 'voice-agent'
-      };
-      if (payload.fullName && payload.email && payload.date && payload.time) {
-        try {
-          await postBooking(payload);
-          // Tell the model it worked so it can respond (we’ll TTS that too)
-          window.oaiRTCPeer?.dc?.send(JSON.stringify({
-            type: 'response.create',
-            response: {
-              instructions:
-                `Perfect — I’ve booked ${payload.fullName} for ${payload.date} ${payload.time} ${payload.timeZone}. ` +
-                `I emailed a calendar invite and we’ll reply shortly with call details.`
-            }
-          }));
-        } catch (e) {
-          console.error('voice booking error:', e);
-          window.oaiRTCPeer?.dc?.send(JSON.stringify({
-            type: 'response.create',
-            response: {
-              instructions:
-                `I hit a booking error. We can try again now, or you can use the form on the site.`
-            }
-          }));
-        }
+  // MediaSource plays MP3 while it downloads; WAV (local engine) and browsers
+  // without MediaSource (older iOS) wait for the whole clip
+  const canStream = (type) => type === 'audio/mpeg' && !!window.MediaSource?.isTypeSupported?.(type);
+
+  async function appendStream(ms, reader, signal) {
+    try {
+      const sb = ms.addSourceBuffer('audio/mpeg');
+      for (;;) {
+        const { done, value } = await reader.read();
+        if (done || signal?.aborted) break;
+        sb.appendBuffer(value);
+        await new Promise(resolve => sb.addEventListener('updateend', resolve, { once: true }));
       }
+      if (ms.readyState === 'open') ms.endOfStream();
+    } catch (err) {
+      if (!signal?.aborted) console.warn('TTS stream error:', err);
     }
-
-    // 2) speak whatever the assistant said (using ElevenLabs)
-    if (text && text.trim()) TTSQueue.enqueue(text.trim());
   }
 
-  /* ---------------------------- ELEVENLABS TTS --------------------------- */
-  async function playTTS(text, opts = {}) {
-    const r = await fetch('/api/elevenlabs/tts', {
-      method: 'POST',
-      headers: { 'Content-Type': 'application/json' },
-      body: JSON.stringify({
-        text,
-        voiceId: opts.voiceId,   // optional override
-        modelId: opts.modelId    // optional override
-      })
+  // Resolves once the clip has finished playing, failed, or was cancelled through `signal`
+  async function playTTS(text, opts = {}, signal) {
+    const r = await fetch(`${apiBase()}/api/tts`, {
+      method: 'POST', signal,
+      headers: { 'Content-Type': 'application/json', ...agentHeaders() },
+      body: ttsBody(text, { ...settings.tts, ...opts }),
     });
     if (!r.ok) {
       console.error('TTS failed', await r.text().catch(() => r.statusText));
       return;
     }
-    const blob = await r.blob();
-    const url = URL.createObjectURL(blob);
+    const audio = new Audio();
+    let finish;
+    const finished = new Promise(resolve => { finish = resolve; });
+    audio.onended = audio.onerror = () => finish();
+    signal?.addEventListener('abort', () => { audio.pause(); finish(); }, { once: true });
+
+    let url;
+    if (canStream(r.headers.get('content-type')) && r.body) {
+      const ms = new MediaSource();
+      url = URL.createObjectURL(ms);
+      ms.addEventListener('sourceopen', () => appendStream(ms, r.body.getReader(), signal), { once: true });
+    } else {
+      url = URL.createObjectURL(await r.blob());
+    }
+    audio.src = url;
     try {
-      await new Audio(url).play();
+      await audio.play();
     } catch (err) {
-      console.warn('Audio play error:', err);
-    } finally {
-      // release object URL after a short delay
-      setTimeout(() => URL.revokeObjectURL(url), 10_000);
+      if (!signal?.aborted) console.warn('Audio play error:', err);
+      finish();
     }
+    await finished;
+    URL.revokeObjectURL(url);
   }
 
-  // Simple FIFO queue so clips don’t overlap
+  // FIFO queue so clips don't overlap. cancel() stops the clip that is playing and
+  // drops everything queued (barge-in: the caller started talking).
   const TTSQueue = (() => {
     let chain = Promise.resolve();
+    let controller = new AbortController();
     function enqueue(text, opts) {
-      chain = chain.then(() => playTTS(text, opts)).catch(() => {});
+      const { signal } = controller;
+      chain = chain.then(() => (signal.aborted ? null : playTTS(text, opts, signal))).catch(() => {});
       return chain;
     }
-    return { enqueue };
+    function cancel() {
+      controller.abort();
+      controller = new AbortController();
+    }
+    return { enqueue, cancel };
   })();
 
   // Export hooks for the realtime SDK
   window.AGENT_BOOKING = {
     onAssistantText,     // call this for every assistant message
-    speak: (text, opts) => TTSQueue.enqueue(text, opts) // optional direct TTS
+    speak: (text, opts) => TTSQueue.enqueue(text, opts), // optional direct TTS
+    cancelSpeech: () => TTSQueue.cancel(),               // barge-in / hang-up
+    // tts: { providers, voices, lang } defaults for every clip (the SDK passes the agent profile's)
+    configure({ apiBase: base, config, tts } = {}) {
+      if (base !== undefined) settings.apiBase = String(base).replace(/\/+$/, '');
+      if (config) settings.config = config;
+      if (tts !== undefined) settings.tts = tts || {};
+    }
   };
 
   // Also expose a global helper (handy for a greeting button)
@@ -0,0 +1,26 @@
+// /public/pow.js
+// Solves the booking proof-of-work challenge from /api/pow (see lib/pow.js).
+// AgentlynePow.solve(apiBase) -> { challenge, nonce } | null when PoW is off.
+(function () {
+  function leadingZeroBits(bytes) {
+    let n = 0;
+    for (const b of bytes) {
+      if (b === 0) { n += 8; continue; }
+      return n + Math.clz32(b) - 24;
+    }
+    return n;
+  }
+
+  async function solve(apiBase = '') {
+    const r = await fetch(`${apiBase}/api/pow`);
+    const j = await r.json().catch(() => ({}));
+    if (!j.ok || !j.bits) return null;
+    const enc = new TextEncoder();
+    for (let nonce = 0; ; nonce++) {
+      const hash = await crypto.subtle.digest('SHA-256', enc.encode(`${j.challenge}:${nonce}`));
+      if (leadingZeroBits(new Uint8Array(hash)) >= j.bits) return { challenge: j.challenge, nonce: String(nonce) };
+    }
+  }
+
+  window.AgentlynePow = { solve };
+})();
@@ -3,8 +3,23 @@
  * - STUN + keepalive pings
  * - Disable Opus DTX (prevents NAT idle timeouts)
  * - Auto-reconnect on disconnect/failed
- * - Parses <<BOOK>>{...} from assistant output and POSTs /api/book
- * - Still forwards assistant text to window.AGENT_BOOKING.onAssistantText(finalText)
+ * - Runs the session's function tools (check_availability, book_call,
+ *   reschedule_call, save_lead, search_knowledge, request_human) against our API and returns the results to the model
+ * - Human hand-off: once staff join from the console the model stops replying on
+ *   its own and reads out their messages until they leave
+ * - start({ profile }) picks a server-side agent profile (persona, language, greeting,
+ *   model, turn detection, voice); the greeting opens the call. voice/instructions
+ *   still override the profile's voice and add instructions.
+ * - Streams caller/assistant transcript turns to /api/conversations; the server
+ *   works out the caller's language from them, and bookings, emails and browser
+ *   TTS follow it (until then navigator.language is the hint)
+ * - Reads API base + tenant from window.APP_CONFIG, or from configure() when
+ *   embedded on another site (public/widget.js); on('booked'|'start'|'stop'|'handoff', fn)
+ * - Reports funnel events to /api/events (session_started, mic_denied, first_response,
+ *   booking_attempted/succeeded/failed, session_ended with its duration); the mic is
+ *   requested before a session is minted, so a denial costs nothing
+ * - Still forwards text-only replies to window.AGENT_BOOKING.onAssistantText(text),
+ *   and cuts that speech off (AGENT_BOOKING.cancelSpeech) when the caller starts talking
  */
 (function () {
   let current = null;
@@ -12,80 +27,375 @@
   let reconnectTimer = null;
   let pingTimer = null;
 
-  // prevent duplicate posts if a response is retried
-  const postedResponseIds = new Set();
+  // tool calls already answered (events can be replayed after a reconnect)
+  const handledCallIds = new Set();
+  // manage token of the call booked in this conversation, for reschedule_call
+  let booked = null;
+  // transcript session from /api/conversations (survives reconnects, ends on stop())
+  let conversation = null;
+  // between the first start() and stop(), across reconnects
+  let active = false;
+  // public part of the agent profile the server applied ({ name, language, greeting, voice, tts })
+  let profile = null;
+  // language the caller speaks, once /api/conversations has detected it
+  let callerLocale = null;
+  const speechLang = () => profile?.language || callerLocale || navigator.language || 'en';
+  // 'oai-events' channel of the live connection, and whether a model response is in progress
+  let modelChannel = null;
+  let responding = false;
+  // hand-off being watched after request_human: { timer, after, live, staffName, queue }
+  let handoff = null;
+  const HANDOFF_POLL_MS = 3000;
+  // funnel events for this call, from start() to stop() across reconnects: { id, startedAt, responded }
+  let metrics = null;
 
   function scheduleReconnect(reason, delay = 800) {
     if (reconnectTimer) return;
     console.warn('[webrtc] reconnect scheduled:', reason);
     reconnectTimer = setTimeout(() => {
       reconnectTimer = null;
-      try { stop(); } catch {}
+      try { teardown(); } catch {}
       if (lastOpts) start(lastOpts).catch(e => console.error('reconnect failed:', e));
     }, delay);
   }
 
-  // ---- booking parsing + POST ----
-  function tryParseBookingLine(finalText) {
-    // Be forgiving: find any line that starts with <<BOOK>>
-    const line = (finalText || '')
-      .split(/\r?\n/)
-      .map(s => s.trim())
-      .find(s => s.startsWith('<<BOOK>>'));
-    if (!line) return null;
+  // ---- config + events ----
+  // configure({ apiBase, config }) overrides window.APP_CONFIG (pages on other sites have none)
+  const settings = {};
+  const cfg = () => settings.config || window.APP_CONFIG || {};
+  const apiBase = () => settings.apiBase ?? cfg().API_BASE ?? '';
+  // Tenant key (empty on the default tenant's own host)
+  const agentHeaders = () => (cfg().AGENT_KEY ? { 'X-Agent-Key': cfg().AGENT_KEY } : {});
 
-    const raw = line.slice('<<BOOK>>'.length).trim();
-    try {
-      const obj = JSON.parse(raw);
-      // minimal validation
-      const need = ['fullName', 'email', 'date', 'time', 'timeZone'];
-      const missing = need.filter(k => !obj?.[k] || String(obj[k]).trim() === '');
-      if (missing.length) {
-        console.warn('[book] missing fields from agent:', missing, obj);
-        return null;
+  function configure({ apiBase: base, config } = {}) {
+    if (base !== undefined) settings.apiBase = String(base).replace(/\/+$/, '');
+    if (config) settings.config = config;
+  }
+
+  const listeners = { booked: new Set(), start: new Set(), stop: new Set(), handoff: new Set() };
+  // on(event, fn) -> unsubscribe
+  function on(event, fn) {
+    listeners[event]?.add(fn);
+    return () => listeners[event]?.delete(fn);
+  }
+  function emit(event, detail) {
+    for (const fn of listeners[event] || []) { try { fn(detail); } catch (e) { console.error(`[${event}] listener failed:`, e); } }
+  }
+
+  // ---- function tools ----
+  const tzLocal = Intl.DateTimeFormat().resolvedOptions().timeZone || 'UTC';
+
+  async function api(method, path, body) {
+    const r = await fetch(apiBase() + path, {
+      method,
+      headers: { ...(body ? { 'Content-Type': 'application/json' } : {}), ...agentHeaders() },
+      body: body ? JSON.stringify(body) : undefined
+    });
+    const j = await r.json().catch(() => ({}));
+    return { status: r.status, ...j };
+  }
+
+  // Slots come back as labels the model can read out plus date/time for the follow-up call
+  const slotList = (slots) => (slots || []).slice(0, 8).map(s => ({ date: s.date, time: s.time, label: s.label }));
+
+  // { email: { code, message } } -> { email: 'Enter a valid email address.' } for the model to read back
+  const fieldMessages = (fields) => Object.fromEntries(Object.entries(fields).map(([k, f]) => [k, f.message || f.code]));
+
+  // book_call against /api/book; the tool wraps it with funnel events
+  async function bookCall(args) {
+    const pow = cfg().BOOK_POW_BITS && window.AgentlynePow ? await window.AgentlynePow.solve(apiBase()) : undefined;
+    const j = await api('POST', '/api/book', {
+      pow,
+      fullName: args.fullName, email: args.email, phone: args.phone || '', company: args.company || '',
+      date: args.date, time: args.time, timeZone: args.timeZone || tzLocal, notes: args.notes || '',
+      source: 'voice-agent', locale: speechLang(),
+      conversationId: conversation?.sessionId
+    });
+    if (j.status === 409) return { ok: false, error: 'slot_taken', alternatives: slotList(j.alternatives) };
+    if (j.fields) return { ok: false, error: 'invalid_fields', fields: fieldMessages(j.fields) };
+    if (!j.ok) return { ok: false, error: j.error || 'booking_failed' };
+    if (j.manageToken) booked = { token: j.manageToken };
+    emit('booked', { id: j.id, manageToken: j.manageToken, date: args.date, time: args.time, timeZone: args.timeZone || tzLocal, source: 'voice-agent' });
+    return { ok: true, status: 'booked', date: args.date, time: args.time, timeZone: args.timeZone, emailSent: !!j.email?.user, confirmation: j.message };
+  }
+
+  const TOOLS = {
+    async check_availability({ date, timeZone = tzLocal }) {
+      const q = new URLSearchParams({ date, tz: timeZone });
+      const j = await api('GET', `/api/slots?${q}`);
+      if (!j.ok) return { ok: false, error: j.error || 'unavailable' };
+      return { ok: true, date, timeZone, slots: slotList(j.slots) };
+    },
+
+    async book_call(args) {
+      track('booking_attempted');
+      try {
+        const r = await bookCall(args);
+        track(r.ok ? 'booking_succeeded' : 'booking_failed', r.ok ? {} : { error: r.error });
+        return r;
+      } catch (e) {
+        track('booking_failed', { error: 'network_error' });
+        throw e;
       }
-      if (!obj.duration) obj.duration = 60;
-      if (!obj.source) obj.source = 'voice-agent';
-      return obj;
+    },
+
+    async reschedule_call({ date, time, timeZone = tzLocal }) {
+      if (!booked) return { ok: false, error: 'no_booking_in_conversation' };
+      const j = await api('PATCH', `/api/bookings/${encodeURIComponent(booked.token)}`, { date, time, timeZone });
+      if (j.status === 409 && j.alternatives) return { ok: false, error: 'slot_taken', alternatives: slotList(j.alternatives) };
+      if (j.fields) return { ok: false, error: 'invalid_fields', fields: fieldMessages(j.fields) };
+      if (!j.ok) return { ok: false, error: j.error || 'reschedule_failed' };
+      return { ok: true, status: 'rescheduled', date: j.booking?.date, time: j.booking?.time, timeZone: j.booking?.timeZone };
+    },
+
+    // Sources stay in the result (and the server logs them on the transcript) for auditing
+    async search_knowledge({ query }) {
+      const q = new URLSearchParams({ q: query || '' });
+      if (conversation) q.set('conversationId', conversation.sessionId);
+      const j = await api('GET', `/api/knowledge/search?${q}`);
+      if (!j.ok) return { ok: false, error: j.error || 'search_failed' };
+      if (!j.results.length) return { ok: true, found: false };
+      return { ok: true, found: true, results: j.results.map(r => ({ source: r.source, title: r.title, text: r.text })) };
+    },
+
+    // Ticket for staff; when someone can join live, watch for them (see hand-off below)
+    async request_human({ reason, urgency }) {
+      if (!conversation) return { ok: false, error: 'not_recorded' };
+      const j = await api('POST', '/api/handoffs', { conversationId: conversation.sessionId, reason, urgency });
+      if (!j.ok) return { ok: false, error: j.error || 'handoff_failed' };
+      if (j.live) watchHandoff();
+      return { ok: true, ticket: j.ticket, live: j.live, withinHours: j.withinHours, businessHours: j.businessHours };
+    },
+
+    // Qualification details; merged server-side with earlier saves in this conversation
+    async save_lead(args) {
+      if (!conversation) return { ok: false, error: 'not_recorded' };
+      const j = await api('POST', '/api/leads', { ...args, conversationId: conversation.sessionId });
+      if (j.fields) return { ok: false, error: 'invalid_fields', fields: fieldMessages(j.fields) };
+      if (!j.ok) return { ok: false, error: j.error || 'save_failed' };
+      return { ok: true, saved: true, stillUnknown: j.missing };
+    }
+  };
+
+  async function runTool(name, rawArgs) {
+    const fn = TOOLS[name];
+    if (!fn) return { ok: false, error: 'unknown_tool' };
+    let args;
+    try { args = JSON.parse(rawArgs || '{}'); } catch { return { ok: false, error: 'bad_arguments' }; }
+    try {
+      const out = await fn(args);
+      // name and outcome only: arguments and results carry the caller's contact details
+      console.log(`[tool] ${name} ->`, out?.ok ? 'ok' : out?.error);
+      return out;
     } catch (e) {
-      console.warn('[book] bad JSON from agent:', raw, e);
-      return null;
+      console.error(`[tool] ${name} failed:`, e);
+      return { ok: false, error: 'network_error' };
+    }
+  }
+
+  // Answer the call on the events channel and let the model respond to the result
+  async function handleFunctionCall(msg, dc) {
+    if (!msg.call_id || handledCallIds.has(msg.call_id)) return;
+    handledCallIds.add(msg.call_id);
+    const output = await runTool(msg.name, msg.arguments);
+    if (dc?.readyState !== 'open') return;
+    dc.send(JSON.stringify({
+      type: 'conversation.item.create',
+      item: { type: 'function_call_output', call_id: msg.call_id, output: JSON.stringify(output) }
+    }));
+    dc.send(JSON.stringify({ type: 'response.create' }));
+  }
+
+  // ---- human hand-off ----
+  // Polls /api/handoffs/:sessionId. While a staff member is joined the model only
+  // transcribes the caller (no automatic replies) and reads out what staff type.
+  function sendEvent(msg) {
+    if (modelChannel?.readyState !== 'open') return false;
+    modelChannel.send(JSON.stringify(msg));
+    return true;
+  }
+  const systemNote = (text) => sendEvent({
+    type: 'conversation.item.create',
+    item: { type: 'message', role: 'system', content: [{ type: 'input_text', text }] }
+  });
+  // session.update replaces turn_detection as a whole, so resend the profile's and only flip create_response
+  const takeover = (on) => sendEvent({
+    type: 'session.update',
+    session: { turn_detection: { ...(profile?.turnDetection || { type: 'server_vad' }), create_response: !on } }
+  });
+
+  function watchHandoff() {
+    if (handoff || !conversation) return;
+    handoff = { after: 0, live: false, staffName: null, queue: [], timer: setInterval(pollHandoff, HANDOFF_POLL_MS) };
+  }
+
+  function stopHandoff() {
+    if (handoff) clearInterval(handoff.timer);
+    handoff = null;
+  }
+
+  async function pollHandoff() {
+    const h = handoff, c = conversation;
+    if (!h || !c || h.busy) return;
+    h.busy = true;
+    try {
+      const j = await api('GET', `/api/handoffs/${encodeURIComponent(c.sessionId)}?after=${h.after}`);
+      if (!j.ok || handoff !== h) return;
+      if (j.status === 'live' && !h.live) staffJoined(h, j.staffName);
+      for (const m of j.messages || []) {
+        h.after = Math.max(h.after, m.id);
+        h.queue.push(`Read this message from ${h.staffName} to the caller word for word (translated faithfully if it is not in the caller's language), then stop: ${JSON.stringify(m.text)}`);
+      }
+      flushRelay();
+      if (j.status === 'closed') staffLeft(h);
+    } catch {} finally { h.busy = false; }
+  }
+
+  function staffJoined(h, name) {
+    h.live = true;
+    h.staffName = name || 'A teammate';
+    takeover(true);
+    systemNote(`${h.staffName} from the team has joined and is taking over. Do not answer the caller on your own any more; only read out staff messages when asked to.`);
+    h.queue.push(`Tell the caller, in their language, in one short sentence that ${h.staffName} from the team has joined and will reply through you.`);
+    emit('handoff', { status: 'live', staffName: h.staffName });
+  }
+
+  function staffLeft(h) {
+    stopHandoff();
+    if (!h.live) return;
+    takeover(false);
+    systemNote(`${h.staffName} has left the conversation. You are helping the caller again.`);
+    emit('handoff', { status: 'closed', staffName: h.staffName });
+  }
+
+  // One spoken relay at a time; the next goes out when the current response is done
+  function flushRelay() {
+    const h = handoff;
+    if (!h?.queue.length || responding) return;
+    if (sendEvent({ type: 'response.create', response: { instructions: h.queue[0] } })) {
+      h.queue.shift();
+      responding = true;
     }
   }
 
-  function postBooking(payload) {
-    console.log('[book] posting:', payload);
-    return fetch('/api/book', {
+  // ---- transcripts ----
+  // Best effort: a missing DB or network blip must not break the call
+  async function openConversation() {
+    try {
+      const j = await api('POST', '/api/conversations', { source: 'voice-agent', locale: navigator.language || 'en' });
+      conversation = j.ok ? { sessionId: j.sessionId, chain: Promise.resolve() } : null;
+    } catch { conversation = null; }
+  }
+
+  function recordTurn(role, text, itemId) {
+    const c = conversation;
+    if (!c || !text || !text.trim()) return;
+    const path = `/api/conversations/${encodeURIComponent(c.sessionId)}/turns`;
+    // one request at a time so turns are stored in spoken order
+    c.chain = c.chain.then(() => api('POST', path, { turns: [{ role, text: text.trim(), itemId }] }))
+      .then(j => {
+        if (!j.locale || j.locale === callerLocale) return;
+        callerLocale = j.locale;
+        window.AGENT_BOOKING?.configure?.({ tts: { ...profile?.tts, lang: speechLang() } });
+      })
+      .catch(() => {});
+  }
+
+  function closeConversation() {
+    const c = conversation;
+    conversation = null;
+    if (!c) return;
+    const path = `/api/conversations/${encodeURIComponent(c.sessionId)}/end`;
+    c.chain.then(() => navigator.sendBeacon?.(apiBase() + path) || api('POST', path)).catch(() => {});
+  }
+
+  // ---- funnel events (/api/events) ----
+  // Fire and forget; keepalive lets session_ended out while the page unloads
+  function track(type, extra = {}) {
+    const m = metrics;
+    if (!m) return;
+    fetch(apiBase() + '/api/events', {
       method: 'POST',
-      headers: { 'Content-Type': 'application/json' },
-      body: JSON.stringify(payload)
-    })
-    .then(r => r.json())
-    .then(j => {
-      console.log('[book] server response:', j);
-      if (!j?.ok) console.warn('[book] NOT OK:', j);
-      return j;
-    })
-    .catch(e => {
-      console.error('[book] post failed:', e);
-      throw e;
-    });
+      keepalive: true,
+      headers: { 'Content-Type': 'application/json', ...agentHeaders() },
+      body: JSON.stringify({ type, sessionId: m.id, conversationId: conversation?.sessionId, source: 'voice-agent', ...extra })
+    }).catch(() => {});
   }
 
-  async function start({ voice = 'verse', instructions } = {}) {
-    lastOpts = { voice, instructions };
-    if (current?.pc) stop();
+  function beginMetrics() {
+    const id = crypto.randomUUID?.() || `${Date.now().toString(36)}-${Math.random().toString(36).slice(2)}`;
+    metrics = { id, startedAt: Date.now(), responded: false };
+    track('session_started');
+  }
+
+  function endMetrics() {
+    if (!metrics) return;
+    track('session_ended', { durationMs: Date.now() - metrics.startedAt });
+    metrics = null;
+  }
+
+  window.addEventListener('pagehide', () => {
+    endMetrics();
+    if (!conversation) return;
+    // page is going away: skip the queue, sendBeacon survives unload
+    try { navigator.sendBeacon(`${apiBase()}/api/conversations/${encodeURIComponent(conversation.sessionId)}/end`); } catch {}
+    conversation = null;
+  });
+
+  // Opening line from the profile: the model says it when it has a voice, else /api/tts does
+  function greet(ch) {
+    const text = profile?.greeting;
+    if (!text) return;
+    if (!profile.voice) {
+      try { window.AGENT_BOOKING?.speak?.(text); } catch {}
+      return;
+    }
+    const send = () => ch.send(JSON.stringify({
+      type: 'response.create',
+      response: { instructions: `Greet the caller with exactly this, then wait for them: ${JSON.stringify(text)}` }
+    }));
+    if (ch.readyState === 'open') send();
+    else ch.addEventListener('open', send, { once: true });
+  }
+
+  // voice: undefined = the profile's; null = no OpenAI voice (browser TTS)
+  async function start({ profile: profileName, voice, instructions } = {}) {
+    const reconnect = !!lastOpts && active;
+    lastOpts = { profile: profileName, voice, instructions };
+    if (current?.pc) teardown();
+    // a fresh call (an earlier attempt that failed to connect counts as ended)
+    if (!reconnect) { endMetrics(); beginMetrics(); }
 
-    // 1) Ask our server for an ephemeral client key (server injects booking protocol)
-    const sessionRes = await fetch('/api/openai/realtime-session', {
+    // 0) Mic first, so a denial doesn't cost a realtime session (enable common processing)
+    let mic;
+    try {
+      mic = await navigator.mediaDevices.getUserMedia({
+        audio: { echoCancellation: true, noiseSuppression: true, autoGainControl: true }
+      });
+    } catch (e) {
+      if (e?.name === 'NotAllowedError' || e?.name === 'SecurityError') track('mic_denied');
+      throw e;
+    }
+    const releaseMic = () => mic.getTracks().forEach(t => t.stop());
+    if (!conversation) await openConversation();
+
+    // 1) Ask our server for an ephemeral client key (server applies the profile + booking protocol)
+    const sessionRes = await fetch(`${apiBase()}/api/openai/realtime-session`, {
       method: 'POST',
-      headers: { 'Content-Type': 'application/json' },
-      body: JSON.stringify({ voice, instructions })
-    });
-    if (!sessionRes.ok) throw new Error('Failed to create realtime session');
+      headers: { 'Content-Type': 'application/json', ...agentHeaders() },
+      body: JSON.stringify({ profile: profileName, instructions, locale: speechLang(), ...(voice !== undefined ? { voice } : {}) })
+    }).catch(e => { releaseMic(); throw e; });
+    if (!sessionRes.ok) {
+      const err = await sessionRes.json().catch(() => ({}));
+      releaseMic();
+      throw new Error(err.error === 'unknown_profile' ? `Unknown agent profile "${profileName}"` : 'Failed to create realtime session');
+    }
     const session = await sessionRes.json();
     const EPHEMERAL = session?.client_secret?.value || session?.client_secret || session?.clientSecret;
-    if (!EPHEMERAL) throw new Error('No client secret returned');
+    if (!EPHEMERAL) { releaseMic(); throw new Error('No client secret returned'); }
+    profile = session.profile || null;
+    // replies go out in the profile's TTS voices (and the caller's language) when the browser speaks them
+    window.AGENT_BOOKING?.configure?.({ tts: { ...profile?.tts, lang: speechLang() } });
 
     // 2) WebRTC peer connection with STUN
     const pc = new RTCPeerConnection({
@@ -117,10 +427,7 @@
     audioEl.autoplay = true;
     pc.ontrack = (e) => { audioEl.srcObject = e.streams[0]; };
 
-    // 3) mic upstream (enable common processing)
-    const mic = await navigator.mediaDevices.getUserMedia({
-      audio: { echoCancellation: true, noiseSuppression: true, autoGainControl: true }
-    });
+    // 3) mic upstream
     mic.getTracks().forEach(t => {
       const sender = pc.addTrack(t, mic);
       // Disable Opus DTX to avoid "no packets during silence"
@@ -146,48 +453,46 @@
 
     // 5) Handle ANY incoming datachannel; parse events and also raw text
     let eventsDc = null;
-    const buffers = Object.create(null); // responseId -> aggregated text
-
-    function getResponseId(m) {
-      return m?.response_id || m?.response?.id || m?.id || m?.response?.response_id || null;
-    }
     function handleEventMessage(raw) {
       let msg;
       try { msg = JSON.parse(raw); } catch { return; }
       switch (msg.type) {
         case 'response.created': {
-          const id = getResponseId(msg) || msg?.response?.id;
-          if (id && !(id in buffers)) buffers[id] = '';
+          responding = true;
           break;
         }
-        case 'response.output_text.delta': {
-          const id = msg?.response_id || getResponseId(msg);
-          const delta = typeof msg.delta === 'string' ? msg.delta : (msg?.delta?.toString?.() || '');
-          if (id && delta != null) buffers[id] = (buffers[id] || '') + delta;
+        // Assistant turns: the transcript of a spoken reply, or the text of a text-only one
+        case 'response.audio_transcript.done': {
+          recordTurn('assistant', msg.transcript, msg.item_id);
           break;
         }
-        case 'response.completed': {
-          const id = getResponseId(msg);
-          const finalText = (id && buffers[id] != null) ? buffers[id] : '';
-          // Forward to optional hook
-          if (finalText && window.AGENT_BOOKING?.onAssistantText) {
-            try { window.AGENT_BOOKING.onAssistantText(finalText); } catch {}
+        case 'response.text.done': {
+          recordTurn('assistant', msg.text, msg.item_id);
+          // Forward to optional hook (spoken through /api/tts unless the model has its own voice)
+          if (msg.text && !profile?.voice && window.AGENT_BOOKING?.onAssistantText) {
+            try { window.AGENT_BOOKING.onAssistantText(msg.text); } catch {}
           }
-          // Booking capture
-          if (finalText && id && !postedResponseIds.has(id)) {
-            const payload = tryParseBookingLine(finalText);
-            if (payload) {
-              postedResponseIds.add(id);
-              postBooking(payload).catch(()=>{});
-            }
-          }
-          if (id) delete buffers[id];
           break;
         }
-        case 'response.error':
-        case 'response.cancelled': {
-          const id = getResponseId(msg);
-          if (id && buffers[id] != null) delete buffers[id];
+        case 'input_audio_buffer.speech_started': {
+          try { window.AGENT_BOOKING?.cancelSpeech?.(); } catch {}
+          break;
+        }
+        case 'conversation.item.input_audio_transcription.completed': {
+          recordTurn('user', msg.transcript, msg.item_id);
+          break;
+        }
+        case 'response.function_call_arguments.done': {
+          handleFunctionCall(msg, eventsDc);
+          break;
+        }
+        case 'response.done': {
+          responding = false;
+          if (metrics && !metrics.responded) {
+            metrics.responded = true;
+            track('first_response', { durationMs: Date.now() - metrics.startedAt });
+          }
+          flushRelay();
           break;
         }
       }
@@ -199,16 +504,17 @@
       // If OpenAI emits "oai-events", parse the structured events.
       if (ch.label === 'oai-events') {
         eventsDc = ch;
+        modelChannel = ch;
+        responding = false;
+        // reconnected mid hand-off: the new session starts with automatic replies on
+        if (handoff?.live) takeover(true);
+        if (!reconnect) greet(ch);
         ch.onmessage = (ev) => { if (typeof ev.data === 'string') handleEventMessage(ev.data); };
       } else {
-        // Fallback: if any plain text comes through, scan for booking line.
+        // Fallback: forward any plain text that comes through
         ch.onmessage = (ev) => {
           const s = (typeof ev.data === 'string') ? ev.data : '';
           if (!s) return;
-          // Try immediate parse (some models might push the whole text here)
-          const payload = tryParseBookingLine(s);
-          if (payload) postBooking(payload).catch(()=>{});
-          // Also forward raw text to hook
           if (window.AGENT_BOOKING?.onAssistantText) {
             try { window.AGENT_BOOKING.onAssistantText(s); } catch {}
           }
@@ -224,8 +530,8 @@
     await pc.setLocalDescription(offer);
 
     const url = 'https://api.openai.com/v1/realtime?model='
-      + encodeURIComponent('gpt-4o-realtime-preview')
-      + '&voice=' + encodeURIComponent(voice);
+      + encodeURIComponent(session.model || 'gpt-4o-realtime-preview')
+      + (profile?.voice ? '&voice=' + encodeURIComponent(profile.voice) : '');
 
     const resp = await fetch(url, {
       method: 'POST',
@@ -241,14 +547,17 @@
     current = { pc, mic, audioEl, eventsDc, dcKeep };
     window.oaiRTCPeer = { pc, dc: eventsDc };
     console.log('[webrtc] connected');
+    if (!active) { active = true; emit('start', { conversationId: conversation?.sessionId || null }); }
     return current;
   }
 
-  function stop() {
+  // Close the peer connection; the conversation stays open for a reconnect
+  function teardown() {
     if (reconnectTimer) { clearTimeout(reconnectTimer); reconnectTimer = null; }
     if (pingTimer) { clearInterval(pingTimer); pingTimer = null; }
     try { current?.dcKeep?.close?.(); } catch {}
     try { current?.eventsDc?.close?.(); } catch {}
+    modelChannel = null;
     try {
       current?.pc?.getSenders()?.forEach(s => { try { s.track && s.track.stop(); } catch {} });
       current?.pc?.close?.();
@@ -257,5 +566,21 @@
     try { delete window.oaiRTCPeer; } catch {}
   }
 
-  window.OpenAIRealtime = { start, stop };
+  function stop() {
+    const wasActive = active;
+    const conversationId = conversation?.sessionId || null;
+    active = false;
+    stopHandoff();
+    teardown();
+    try { window.AGENT_BOOKING?.cancelSpeech?.(); } catch {}
+    endMetrics();
+    closeConversation();
+    booked = null;
+    profile = null;
+    callerLocale = null;
+    lastOpts = null;
+    if (wasActive) emit('stop', { conversationId });
+  }
+
+  window.OpenAIRealtime = { start, stop, configure, on };
 })();
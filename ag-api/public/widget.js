@@ -0,0 +1,338 @@
+/*!
+ * Agentlyne website widget
+ *   <script src="https://agentlyne.com/widget.js" data-agent="acme-dental" async></script>
+ * - Launcher, voice call and booking form in a Shadow DOM, so host-page CSS
+ *   cannot reach in (and ours cannot leak out)
+ * - Config from /config.js?format=json (per tenant via data-agent)
+ * - Reuses the realtime SDK, TTS helper and proof-of-work solver from the same origin
+ * - Event API: Agentlyne.onBooked(fn), onCallStart(fn), onCallEnd(fn) (each returns
+ *   an unsubscribe), plus agentlyne:booked / agentlyne:callstart / agentlyne:callend
+ *   events on window. Agentlyne.open(), close(), startCall(), endCall().
+ * Optional attributes: data-position="left", data-color="#0284c7", data-label="Talk to us",
+ *   data-profile="sales-es" (agent profile: persona, language, greeting, voices; see /api/admin/profiles).
+ * The embedding site's origin must be listed in the tenant's origins (or CORS_ORIGINS).
+ */
+(function () {
+  if (window.Agentlyne?.version) return; // loaded twice
+
+  const script = document.currentScript;
+  const BASE = new URL(script?.src || location.href).origin;
+  const opts = script?.dataset || {};
+  const AGENT = (opts.agent || '').trim();
+  const PROFILE = (opts.profile || '').trim() || undefined;
+  const COLOR = /^#[0-9a-f]{3,8}$/i.test(opts.color || '') ? opts.color : '#0284c7';
+  const tzLocal = Intl.DateTimeFormat().resolvedOptions().timeZone || 'UTC';
+
+  let config = null;
+  let root = null;
+  let inCall = false;
+
+  /* ---- events ---- */
+  const listeners = { booked: new Set(), callstart: new Set(), callend: new Set() };
+  function subscribe(event, fn) {
+    if (typeof fn !== 'function') return () => {};
+    listeners[event].add(fn);
+    return () => listeners[event].delete(fn);
+  }
+  function emit(event, detail) {
+    for (const fn of listeners[event]) { try { fn(detail); } catch (e) { console.error('[agentlyne] listener failed:', e); } }
+    window.dispatchEvent(new CustomEvent(`agentlyne:${event}`, { detail }));
+  }
+
+  /* ---- API ---- */
+  const headers = (json) => ({ ...(json ? { 'Content-Type': 'application/json' } : {}), ...(AGENT ? { 'X-Agent-Key': AGENT } : {}) });
+
+  async function api(method, path, body) {
+    const r = await fetch(BASE + path, { method, headers: headers(!!body), body: body ? JSON.stringify(body) : undefined });
+    const j = await r.json().catch(() => ({}));
+    return { status: r.status, ...j };
+  }
+
+  async function loadConfig() {
+    const q = new URLSearchParams({ format: 'json', ...(AGENT ? { agent: AGENT } : {}) });
+    const r = await fetch(`${BASE}/config.js?${q}`);
+    if (!r.ok) throw new Error(`config ${r.status}`);
+    return r.json();
+  }
+
+  const loading = {}; // path -> pending load, so the form and the call share one <script>
+  function loadScript(path, globalName) {
+    if (window[globalName]) return Promise.resolve();
+    return loading[path] || (loading[path] = new Promise((resolve, reject) => {
+      const s = document.createElement('script');
+      s.src = BASE + path;
+      s.async = true;
+      s.onload = resolve;
+      s.onerror = () => { delete loading[path]; s.remove(); reject(new Error(`failed to load ${path}`)); };
+      document.head.appendChild(s);
+    }));
+  }
+
+  /* ---- markup ---- */
+  const CSS = `
+    :host { all: initial; }
+    * { box-sizing: border-box; font-family: ui-sans-serif, system-ui, -apple-system, "Segoe UI", sans-serif; }
+    .fab { position: fixed; bottom: 20px; ${opts.position === 'left' ? 'left' : 'right'}: 20px; z-index: 2147483000;
+      display: flex; align-items: center; gap: 8px; border: 0; border-radius: 999px; padding: 12px 18px;
+      background: ${COLOR}; color: #fff; font-weight: 700; font-size: 15px; cursor: pointer;
+      box-shadow: 0 10px 30px rgba(2,8,23,.25); }
+    .fab svg { width: 18px; height: 18px; }
+    .panel { position: fixed; bottom: 84px; ${opts.position === 'left' ? 'left' : 'right'}: 20px; z-index: 2147483000;
+      width: min(380px, calc(100vw - 24px)); max-height: min(620px, calc(100vh - 110px)); overflow: auto;
+      background: #fff; color: #0f172a; border-radius: 18px; box-shadow: 0 20px 50px rgba(2,8,23,.3); font-size: 14px; }
+    .panel[hidden] { display: none; }
+    header { display: flex; align-items: center; justify-content: space-between; padding: 14px 16px; background: ${COLOR}; color: #fff; }
+    header strong { font-size: 15px; }
+    .x { background: none; border: 0; color: inherit; font-size: 22px; line-height: 1; cursor: pointer; }
+    nav { display: flex; border-bottom: 1px solid #e2e8f0; }
+    nav button { flex: 1; padding: 10px; border: 0; background: none; font-weight: 600; color: #64748b; cursor: pointer; }
+    nav button[aria-selected="true"] { color: ${COLOR}; box-shadow: inset 0 -2px 0 ${COLOR}; }
+    section { padding: 16px; }
+    section[hidden] { display: none; }
+    .status { margin: 6px 0 14px; color: #475569; }
+    .btn { width: 100%; border: 0; border-radius: 999px; padding: 11px; font-weight: 700; font-size: 14px; cursor: pointer; background: ${COLOR}; color: #fff; }
+    .btn.end { background: #dc2626; }
+    .btn:disabled { opacity: .6; cursor: default; }
+    label { display: block; margin-bottom: 10px; font-size: 12px; font-weight: 600; color: #334155; }
+    input, select, textarea { display: block; width: 100%; margin-top: 4px; padding: 8px 10px; border: 1px solid #cbd5e1;
+      border-radius: 10px; font-size: 14px; color: #0f172a; background: #fff; }
+    textarea { min-height: 60px; resize: vertical; }
+    [aria-invalid="true"] { border-color: #dc2626; }
+    .err { color: #dc2626; font-weight: 500; margin-top: 3px; }
+    .row { display: grid; grid-template-columns: 1fr 1fr; gap: 8px; }
+    .hp { position: absolute; left: -9999px; width: 1px; height: 1px; overflow: hidden; }
+    .banner { padding: 10px 12px; border-radius: 10px; margin-bottom: 12px; }
+    .banner.ok { background: #ecfdf5; color: #065f46; }
+    .banner.warn { background: #fef2f2; color: #991b1b; }
+    .hint { font-size: 12px; color: #94a3b8; margin-top: 10px; }
+  `;
+
+  const MIC = '<svg viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" aria-hidden="true"><rect x="9" y="2" width="6" height="12" rx="3"/><path d="M5 10a7 7 0 0 0 14 0M12 17v5"/></svg>';
+
+  function render() {
+    const host = document.createElement('div');
+    host.id = 'agentlyne-widget';
+    document.body.appendChild(host);
+    root = host.attachShadow({ mode: 'open' });
+    root.innerHTML = `
+      <style>${CSS}</style>
+      <button class="fab" part="launcher" aria-expanded="false">${MIC}<span class="fab-label"></span></button>
+      <div class="panel" role="dialog" aria-label="Assistant" hidden>
+        <header><strong class="brand"></strong><button class="x" aria-label="Close">×</button></header>
+        <nav role="tablist">
+          <button role="tab" data-tab="call" aria-selected="true">Talk</button>
+          <button role="tab" data-tab="book" aria-selected="false">Book a call</button>
+        </nav>
+        <section data-pane="call">
+          <p class="status">Ask a question or book a call, just by talking.</p>
+          <button class="btn call">Start call</button>
+          <p class="hint">Uses your microphone. Talk over the assistant to interrupt.</p>
+        </section>
+        <section data-pane="book" hidden>
+          <div class="banner" hidden></div>
+          <form novalidate>
+            <label>Full name<input name="fullName" autocomplete="name" required></label>
+            <label>Email<input name="email" type="email" autocomplete="email" required></label>
+            <div class="row">
+              <label>Phone<input name="phone" type="tel" autocomplete="tel"></label>
+              <label>Company<input name="company" autocomplete="organization"></label>
+            </div>
+            <div class="row">
+              <label>Date<input name="date" type="date" required></label>
+              <label>Time<select name="time" required><option value="">Pick a date</option></select></label>
+            </div>
+            <label>Anything we should know?<textarea name="notes"></textarea></label>
+            <label class="hp" aria-hidden="true">Website<input name="website" tabindex="-1" autocomplete="off"></label>
+            <button class="btn" type="submit">Book</button>
+            <p class="hint"></p>
+          </form>
+        </section>
+      </div>`;
+
+    const $ = (sel) => root.querySelector(sel);
+    $('.fab-label').textContent = opts.label || 'Talk to us';
+    $('.brand').textContent = config.BRAND_NAME || 'Assistant';
+    $('form .hint').textContent = `Times shown in ${tzLocal}.`;
+    $('.fab').addEventListener('click', () => ($('.panel').hidden ? open() : close()));
+    $('.x').addEventListener('click', close);
+    root.querySelectorAll('nav button').forEach(b => b.addEventListener('click', () => showTab(b.dataset.tab)));
+    $('.call').addEventListener('click', () => (inCall ? endCall() : startCall()));
+    wireBooking();
+  }
+
+  function showTab(tab) {
+    root.querySelectorAll('nav button').forEach(b => b.setAttribute('aria-selected', String(b.dataset.tab === tab)));
+    root.querySelectorAll('section').forEach(s => { s.hidden = s.dataset.pane !== tab; });
+  }
+
+  /* ---- voice call ---- */
+  function setCallUi(state, text) {
+    const btn = root.querySelector('.call');
+    btn.disabled = state === 'connecting';
+    btn.textContent = state === 'live' ? 'End call' : state === 'connecting' ? 'Connecting…' : 'Start call';
+    btn.classList.toggle('end', state === 'live');
+    root.querySelector('.status').textContent = text;
+  }
+
+  let sdkReady = null;
+  function loadSdk() {
+    sdkReady = sdkReady || Promise.all([
+      loadScript('/pow.js', 'AgentlynePow'),
+      loadScript('/agent-booking.js', 'AGENT_BOOKING'),
+      loadScript('/sdk/openai-realtime.v1.js', 'OpenAIRealtime'),
+    ]).then(() => {
+      const sdk = window.OpenAIRealtime;
+      const cfg = { ...config, AGENT_KEY: AGENT || config.AGENT_KEY };
+      sdk.configure?.({ apiBase: BASE, config: cfg });
+      window.AGENT_BOOKING?.configure?.({ apiBase: BASE, config: cfg });
+      sdk.on?.('booked', (b) => emit('booked', b));
+      sdk.on?.('start', (d) => emit('callstart', d));
+      sdk.on?.('stop', (d) => emit('callend', d));
+      return sdk;
+    });
+    sdkReady.catch(() => { sdkReady = null; });
+    return sdkReady;
+  }
+
+  async function startCall() {
+    if (inCall) return;
+    open();
+    showTab('call');
+    setCallUi('connecting', 'Connecting…');
+    try {
+      const sdk = await loadSdk(); // start() asks for the mic (and reports a denial to /api/events)
+      inCall = true;
+      await sdk.start({ profile: PROFILE }); // the profile's greeting opens the call
+      setCallUi('live', 'Listening… say hello.');
+    } catch (e) {
+      console.error('[agentlyne] call failed to start', e);
+      inCall = false;
+      try { window.OpenAIRealtime?.stop?.(); } catch {}
+      setCallUi('idle', e?.name === 'NotAllowedError'
+        ? 'Microphone access is needed for a call. You can book below instead.'
+        : 'Voice is unavailable right now. You can book a call instead.');
+    }
+  }
+
+  function endCall() {
+    if (!inCall) return;
+    inCall = false;
+    try { window.OpenAIRealtime?.stop?.(); } catch {}
+    setCallUi('idle', 'Call ended. Anything else? Start another call or book below.');
+  }
+
+  /* ---- booking form ---- */
+  function wireBooking() {
+    const form = root.querySelector('form');
+    const banner = root.querySelector('.banner');
+    const dateEl = form.elements.date;
+    const timeEl = form.elements.time;
+    const submit = form.querySelector('button[type="submit"]');
+    const today = new Date().toLocaleDateString('en-CA', { timeZone: tzLocal });
+    dateEl.min = today;
+    // the form needs the proof-of-work solver even when no call is ever started
+    if (config.BOOK_POW_BITS) loadScript('/pow.js', 'AgentlynePow').catch(() => {});
+
+    const setBanner = (kind, text) => { banner.hidden = !text; banner.className = `banner ${kind}`; banner.textContent = text || ''; };
+
+    function clearErrors() {
+      form.querySelectorAll('.err').forEach(e => e.remove());
+      form.querySelectorAll('[aria-invalid]').forEach(e => e.removeAttribute('aria-invalid'));
+    }
+    function showErrors(fields) {
+      for (const [name, f] of Object.entries(fields || {})) {
+        const el = form.elements[name];
+        if (!el) continue;
+        el.setAttribute('aria-invalid', 'true');
+        const p = document.createElement('div');
+        p.className = 'err';
+        p.textContent = f.message || f.code;
+        el.insertAdjacentElement('afterend', p);
+      }
+    }
+
+    async function loadTimes() {
+      timeEl.innerHTML = '<option value="">Loading…</option>';
+      if (!dateEl.value) { timeEl.innerHTML = '<option value="">Pick a date</option>'; return; }
+      const j = await api('GET', `/api/slots?${new URLSearchParams({ date: dateEl.value, tz: tzLocal })}`).catch(() => ({}));
+      const slots = j.ok ? j.slots || [] : [];
+      timeEl.innerHTML = '';
+      const first = document.createElement('option');
+      first.value = '';
+      first.textContent = slots.length ? 'Select a time' : 'No open times';
+      timeEl.appendChild(first);
+      for (const s of slots) {
+        const o = document.createElement('option');
+        o.value = s.time;
+        o.textContent = s.label;
+        timeEl.appendChild(o);
+      }
+    }
+    dateEl.addEventListener('change', loadTimes);
+
+    form.addEventListener('submit', async (e) => {
+      e.preventDefault();
+      clearErrors();
+      setBanner('', '');
+      const data = Object.fromEntries(new FormData(form));
+      submit.disabled = true;
+      submit.textContent = 'Booking…';
+      try {
+        const pow = config.BOOK_POW_BITS
+          ? await loadScript('/pow.js', 'AgentlynePow').then(() => window.AgentlynePow.solve(BASE))
+          : undefined;
+        const j = await api('POST', '/api/book', {
+          ...data, pow, timeZone: tzLocal, source: 'widget', locale: navigator.language || 'en',
+        });
+        if (j.status === 400 && j.fields) { showErrors(j.fields); setBanner('warn', j.message || 'Please check the highlighted fields.'); return; }
+        if (j.status === 409) { setBanner('warn', 'Sorry, that time was just taken. Please pick another.'); await loadTimes(); return; }
+        if (j.status === 429) { setBanner('warn', 'Too many attempts. Please try again a little later.'); return; }
+        if (!j.ok) { setBanner('warn', 'Something went wrong. Please try again.'); return; }
+        // the server's confirmation is in the visitor's language (navigator.language)
+        const when = timeEl.selectedOptions[0]?.textContent || `${data.date} ${data.time}`;
+        setBanner('ok', j.message || `You're booked for ${when}. Check your email for the invite.`);
+        form.reset();
+        timeEl.innerHTML = '<option value="">Pick a date</option>';
+        emit('booked', { id: j.id, manageToken: j.manageToken, date: data.date, time: data.time, timeZone: tzLocal, source: 'widget' });
+      } catch (err) {
+        console.error('[agentlyne] booking failed', err);
+        setBanner('warn', 'Could not reach the booking service. Please try again.');
+      } finally {
+        submit.disabled = false;
+        submit.textContent = 'Book';
+      }
+    });
+  }
+
+  /* ---- public API ---- */
+  function open() {
+    if (!root) return;
+    root.querySelector('.panel').hidden = false;
+    root.querySelector('.fab').setAttribute('aria-expanded', 'true');
+  }
+  function close() {
+    if (!root) return;
+    root.querySelector('.panel').hidden = true;
+    root.querySelector('.fab').setAttribute('aria-expanded', 'false');
+  }
+
+  const ready = loadConfig()
+    .then(async (cfg) => {
+      config = cfg;
+      if (document.readyState === 'loading') await new Promise(r => document.addEventListener('DOMContentLoaded', r, { once: true }));
+      render();
+    })
+    .catch((e) => console.error('[agentlyne] widget failed to load:', e));
+
+  window.Agentlyne = {
+    version: 1,
+    ready,
+    onBooked: (fn) => subscribe('booked', fn),
+    onCallStart: (fn) => subscribe('callstart', fn),
+    onCallEnd: (fn) => subscribe('callend', fn),
+    open: () => ready.then(open),
+    close: () => ready.then(close),
+    startCall: () => ready.then(startCall),
+    endCall: () => ready.then(endCall),
+  };
+})();
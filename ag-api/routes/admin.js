@@ -0,0 +1,542 @@
+// routes/admin.js
+// Staff API mounted at /api/admin (see public/admin.html)
+import express from 'express';
+import { pool } from '../lib/db.js';
+import { requireAdmin, checkAdminToken, startSession, endSession } from '../lib/auth.js';
+import {
+  listBookings, findBookingById, updateBookingAdmin, cancelBooking, confirmBooking, declineBooking, BOOKING_STATUSES
+} from '../lib/bookings.js';
+import { sendBookingChange } from '../lib/notify.js';
+import { emailsForBooking, listEmails, resendEmail, OUTBOX_STATUSES } from '../lib/outbox.js';
+import { emitBookingEvent, listDeliveries, findDelivery, replayDelivery, DELIVERY_STATUSES, WEBHOOK_EVENTS } from '../lib/webhooks.js';
+import { isIsoDate, isValidTimeZone, addDays } from '../lib/time.js';
+import { BUSINESS_TZ } from '../lib/slots.js';
+import { conversationForBooking } from '../lib/conversations.js';
+import { listLeads, findLeadById, updateLeadStatus, LEAD_STATUSES, LEAD_FIELDS } from '../lib/leads.js';
+import {
+  listHandoffs, findHandoff, joinHandoff, postStaffMessage, closeHandoff, handoffVars, HANDOFF_STATUSES
+} from '../lib/handoffs.js';
+import { TENANT_LIST, DEFAULT_TENANT_KEY } from '../lib/tenants.js';
+import {
+  listProfiles, getProfile, saveProfile, deleteProfile, validateProfile, PROFILE_NAME_RE, REALTIME_MODELS, REALTIME_VOICES
+} from '../lib/agentProfiles.js';
+import { invalidFieldsBody } from '../lib/validate.js';
+import { knowledgeStats, reloadKnowledge } from '../lib/knowledge.js';
+import { funnelMetrics } from '../lib/analytics.js';
+import { clean } from '../lib/util.js';
+
+export const adminRouter = express.Router();
+
+/* ---- Meeting links ---- */
+// MEETING_URL: shared Zoom/Meet room. MEETING_HOSTS: per-host rooms as
+// "alex=https://zoom.us/j/123, sam@agentlyne.com=https://meet.google.com/abc-defg-hij"
+const MEETING_URL = (process.env.MEETING_URL || '').trim();
+const MEETING_HOSTS = Object.fromEntries(
+  String(process.env.MEETING_HOSTS || '').split(/[,\n]/)
+    .map(s => s.trim()).filter(Boolean)
+    .map(s => [s.slice(0, s.indexOf('=')).trim(), s.slice(s.indexOf('=') + 1).trim()])
+    .filter(([host, url]) => host && url)
+);
+
+const isHttpUrl = (v) => { try { return /^https?:$/.test(new URL(v).protocol); } catch { return false; } };
+
+/* ---- Session ---- */
+adminRouter.post('/login', (req, res) => {
+  if (!checkAdminToken(req.body?.token)) return res.status(401).json({ ok:false, error:'unauthorized' });
+  startSession(res);
+  res.json({ ok:true });
+});
+
+adminRouter.post('/logout', (_req, res) => { endSession(res); res.json({ ok:true }); });
+
+adminRouter.use(requireAdmin);
+
+adminRouter.get('/me', (_req, res) => res.json({
+  ok:true, statuses: BOOKING_STATUSES, db: !!pool,
+  tenants: TENANT_LIST.map(t => ({ key: t.key, name: t.name })),
+  meeting: { defaultUrl: MEETING_URL, hosts: Object.keys(MEETING_HOSTS) }
+}));
+
+/* ---- Knowledge base (no database needed) ---- */
+// GET /api/admin/knowledge -> indexed files and chunk counts per tenant
+adminRouter.get('/knowledge', async (_req, res) => {
+  try {
+    const tenants = await Promise.all(TENANT_LIST.map(async t => ({ key: t.key, dir: t.knowledgeDir, ...(await knowledgeStats(t)) })));
+    res.json({ ok:true, tenants });
+  } catch (e) { res.status(500).json({ ok:false, error:e.message }); }
+});
+
+// POST /api/admin/knowledge/reload: re-read the documents after editing them
+adminRouter.post('/knowledge/reload', (_req, res) => {
+  reloadKnowledge();
+  console.log('[ADMIN] knowledge indexes cleared');
+  res.json({ ok:true });
+});
+
+/* ---- Agent profiles (read without a database; the default profile is built in) ---- */
+// ?tenant=<key>, default tenant when absent
+const profileTenant = (req) => TENANT_LIST.find(t => t.key === (clean(req.query.tenant) || DEFAULT_TENANT_KEY)) || null;
+
+// GET /api/admin/profiles?tenant= -> resolved profiles (stored: false for the built-in default)
+adminRouter.get('/profiles', async (req, res) => {
+  try {
+    const tenant = profileTenant(req);
+    if (!tenant) return res.status(400).json({ ok:false, error:'unknown_tenant' });
+    res.json({ ok:true, tenant: tenant.key, models: REALTIME_MODELS, voices: REALTIME_VOICES, profiles: await listProfiles(tenant) });
+  } catch (e) { res.status(500).json({ ok:false, error:e.message }); }
+});
+
+adminRouter.get('/profiles/:name', async (req, res) => {
+  try {
+    const tenant = profileTenant(req);
+    if (!tenant) return res.status(400).json({ ok:false, error:'unknown_tenant' });
+    const profile = await getProfile(tenant, req.params.name);
+    if (!profile) return res.status(404).json({ ok:false, error:'not_found' });
+    res.json({ ok:true, profile });
+  } catch (e) { res.status(500).json({ ok:false, error:e.message }); }
+});
+
+// PUT /api/admin/profiles/:name?tenant= { label?, persona?, language?, greeting?, model?, temperature?,
+//   turnDetection?: { type, threshold?, prefixPaddingMs?, silenceDurationMs?, eagerness? }, voice?, tts?: { providers, voices } }
+// Replaces the stored profile; fields left out come from the default.
+adminRouter.put('/profiles/:name', async (req, res) => {
+  try {
+    if (!pool) return res.status(503).json({ ok:false, error:'db_disabled' });
+    const tenant = profileTenant(req);
+    if (!tenant) return res.status(400).json({ ok:false, error:'unknown_tenant' });
+    if (!PROFILE_NAME_RE.test(req.params.name)) return res.status(400).json({ ok:false, error:'invalid_name' });
+    const v = validateProfile(req.body);
+    if (!v.ok) return res.status(400).json(invalidFieldsBody(v.fields));
+    const profile = await saveProfile(tenant, req.params.name, v.value);
+    console.log(`[ADMIN] agent profile ${tenant.key}/${profile.name} saved`);
+    res.json({ ok:true, profile });
+  } catch (e) {
+    console.error('admin profile save error', e);
+    res.status(500).json({ ok:false, error:'server_error' });
+  }
+});
+
+// DELETE /api/admin/profiles/:name?tenant= (deleting 'default' restores the built-in one)
+adminRouter.delete('/profiles/:name', async (req, res) => {
+  try {
+    if (!pool) return res.status(503).json({ ok:false, error:'db_disabled' });
+    const tenant = profileTenant(req);
+    if (!tenant) return res.status(400).json({ ok:false, error:'unknown_tenant' });
+    if (!(await deleteProfile(tenant, req.params.name))) return res.status(404).json({ ok:false, error:'not_found' });
+    console.log(`[ADMIN] agent profile ${tenant.key}/${req.params.name} deleted`);
+    res.json({ ok:true });
+  } catch (e) {
+    console.error('admin profile delete error', e);
+    res.status(500).json({ ok:false, error:'server_error' });
+  }
+});
+
+adminRouter.use((_req, res, next) => {
+  if (!pool) return res.status(503).json({ ok:false, error:'db_disabled' });
+  next();
+});
+
+/* ---- Bookings ---- */
+function readFilters(query) {
+  const f = {};
+  for (const k of ['q', 'source', 'plan', 'tier', 'status', 'tenant']) if (clean(query[k])) f[k] = clean(query[k]);
+  for (const k of ['from', 'to']) {
+    const v = clean(query[k]);
+    if (!v) continue;
+    if (!isIsoDate(v)) return { error: `invalid_${k}` };
+    f[k] = v;
+  }
+  const tz = clean(query.tz) || BUSINESS_TZ;
+  if (!isValidTimeZone(tz)) return { error: 'invalid_tz' };
+  f.tz = tz;
+  return { filters: f };
+}
+
+function adminBooking(r) {
+  return {
+    id: r.id, createdAt: r.created_at, status: r.status || 'pending', tenant: r.tenant,
+    fullName: r.full_name || r.name, email: r.email, phone: r.phone, company: r.company,
+    plan: r.plan, tier: r.tier, source: r.source, locale: r.locale,
+    start: r.start_utc, end: r.end_utc, duration: r.duration_min, timeZone: r.timezone,
+    notes: r.notes, internalNotes: r.internal_notes, meetingUrl: r.meeting_url, host: r.host,
+    confirmedAt: r.confirmed_at, cancelledAt: r.cancelled_at, updatedAt: r.updated_at,
+    remindersSent: r.reminders_sent || {}, emailStatus: r.email_status || null,
+  };
+}
+
+// GET /api/admin/bookings?q=&from=&to=&source=&plan=&tier=&status=&tenant=&page=&limit=
+adminRouter.get('/bookings', async (req, res) => {
+  try {
+    const { filters, error } = readFilters(req.query);
+    if (error) return res.status(400).json({ ok:false, error });
+    const page = Math.max(1, parseInt(req.query.page, 10) || 1);
+    const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 50, 1), 200);
+    const { rows, total } = await listBookings(filters, { page, limit });
+    res.json({ ok:true, page, limit, total, pages: Math.ceil(total / limit), bookings: rows.map(adminBooking) });
+  } catch (e) {
+    console.error('admin list error', e);
+    res.status(500).json({ ok:false, error:'server_error' });
+  }
+});
+
+const CSV_COLUMNS = [
+  ['id', 'id'], ['created_at', 'createdAt'], ['status', 'status'], ['full_name', 'fullName'],
+  ['email', 'email'], ['phone', 'phone'], ['company', 'company'], ['plan', 'plan'], ['tier', 'tier'],
+  ['source', 'source'], ['start_utc', 'start'], ['end_utc', 'end'], ['duration_min', 'duration'],
+  ['timezone', 'timeZone'], ['notes', 'notes'], ['internal_notes', 'internalNotes'], ['tenant', 'tenant'],
+];
+
+function csvCell(v) {
+  if (v == null) return '';
+  let s = v instanceof Date ? v.toISOString() : String(v);
+  if (/^[=+\-@\t\r]/.test(s)) s = `'${s}`; // keep spreadsheets from evaluating formulas
+  return /[",\r\n]/.test(s) ? `"${s.replace(/"/g, '""')}"` : s;
+}
+
+adminRouter.get('/bookings.csv', async (req, res) => {
+  try {
+    const { filters, error } = readFilters(req.query);
+    if (error) return res.status(400).json({ ok:false, error });
+    const { rows } = await listBookings(filters, { page: 1, limit: 10000 });
+    const lines = [CSV_COLUMNS.map(([name]) => name).join(',')];
+    for (const b of rows.map(adminBooking)) lines.push(CSV_COLUMNS.map(([, key]) => csvCell(b[key])).join(','));
+    res.setHeader('Content-Type', 'text/csv; charset=utf-8');
+    res.setHeader('Content-Disposition', `attachment; filename="bookings-${new Date().toISOString().slice(0, 10)}.csv"`);
+    res.setHeader('Cache-Control', 'no-store');
+    res.send('\uFEFF' + lines.join('\r\n') + '\r\n');
+  } catch (e) {
+    console.error('admin csv error', e);
+    res.status(500).json({ ok:false, error:'server_error' });
+  }
+});
+
+adminRouter.get('/bookings/:id', async (req, res) => {
+  try {
+    const row = /^\d+$/.test(req.params.id) ? await findBookingById(req.params.id) : null;
+    if (!row) return res.status(404).json({ ok:false, error:'not_found' });
+    const conv = await conversationForBooking(row.id);
+    res.json({
+      ok:true, booking: adminBooking(row), emails: (await emailsForBooking(row.id)).map(adminEmail),
+      conversation: conv && {
+        status: conv.status, source: conv.source, createdAt: conv.created_at, endedAt: conv.ended_at,
+        summary: conv.summary, summaryError: conv.summary_error,
+        turns: conv.turns.map(t => ({ role: t.role, text: t.text, at: t.created_at })),
+      },
+    });
+  } catch (e) { res.status(500).json({ ok:false, error:e.message }); }
+});
+
+// PATCH /api/admin/bookings/:id { status?, note? }
+adminRouter.patch('/bookings/:id', async (req, res) => {
+  try {
+    if (!/^\d+$/.test(req.params.id)) return res.status(404).json({ ok:false, error:'not_found' });
+    const status = clean(req.body?.status) || undefined;
+    const note = String(req.body?.note ?? '').trim().slice(0, 4000) || undefined;
+    if (status && !BOOKING_STATUSES.includes(status)) return res.status(400).json({ ok:false, error:'invalid_status' });
+    // These notify the prospect, so they go through their own endpoints below
+    if (status === 'confirmed' || status === 'declined') return res.status(400).json({ ok:false, error:'use_confirm_or_decline' });
+    if (!status && !note) return res.status(400).json({ ok:false, error:'nothing_to_update' });
+
+    const before = await findBookingById(req.params.id);
+    if (!before) return res.status(404).json({ ok:false, error:'not_found' });
+
+    // Cancelling a live, upcoming booking updates the prospect's calendar like the manage
+    // page does; past ones are only relabelled below
+    if (status === 'cancelled' && ['pending', 'confirmed'].includes(before.status || 'pending')) {
+      const c = await cancelBooking(before.id);
+      if (c.ok) {
+        let row = c.booking;
+        if (note) row = (await updateBookingAdmin(row.id, { note })).booking;
+        console.log(`[ADMIN] booking #${row.id} cancelled`, { note: !!note });
+        emitBookingEvent('booking.cancelled', row);
+        const email = await sendBookingChange(row, 'cancelled', { notifySales: false });
+        return res.json({ ok:true, booking: adminBooking(row), email });
+      }
+      if (c.error !== 'booking_past') return res.status(c.error === 'not_found' ? 404 : 409).json(c);
+    }
+
+    const r = await updateBookingAdmin(before.id, { status, note });
+    if (!r.ok) return res.status(r.error === 'not_found' ? 404 : 409).json(r);
+    const row = r.booking;
+    console.log(`[ADMIN] booking #${row.id}:`, { status, note: !!note });
+    if (status === 'cancelled' && before.status !== 'cancelled') emitBookingEvent('booking.cancelled', row);
+    res.json({ ok:true, booking: adminBooking(row) });
+  } catch (e) {
+    console.error('admin update error', e);
+    res.status(500).json({ ok:false, error:'server_error' });
+  }
+});
+
+/* ---- Confirmation workflow ---- */
+async function bookingToDecide(req, res) {
+  const row = /^\d+$/.test(req.params.id) ? await findBookingById(req.params.id) : null;
+  if (!row) { res.status(404).json({ ok:false, error:'not_found' }); return null; }
+  const status = row.status || 'pending';
+  if (status === 'cancelled' || status === 'declined') { res.status(409).json({ ok:false, error:`booking_${status}` }); return null; }
+  if (!row.start_utc || new Date(row.start_utc).getTime() <= Date.now()) { res.status(409).json({ ok:false, error:'booking_past' }); return null; }
+  return row;
+}
+
+// POST /api/admin/bookings/:id/confirm { meetingUrl? | host?, message? }
+// Re-confirming with a new link sends another update for the same event.
+adminRouter.post('/bookings/:id/confirm', async (req, res) => {
+  try {
+    const host = clean(req.body?.host) || null;
+    if (host && !MEETING_HOSTS[host]) return res.status(400).json({ ok:false, error:'unknown_host' });
+    const meetingUrl = clean(req.body?.meetingUrl) || (host ? MEETING_HOSTS[host] : MEETING_URL);
+    if (!meetingUrl) return res.status(400).json({ ok:false, error:'meeting_url_required' });
+    if (!isHttpUrl(meetingUrl)) return res.status(400).json({ ok:false, error:'invalid_meeting_url' });
+
+    const row = await bookingToDecide(req, res);
+    if (!row) return;
+    const updated = await confirmBooking(row.id, { meetingUrl, host });
+    console.log(`[ADMIN] booking #${row.id} confirmed`, { host, meetingUrl });
+    emitBookingEvent('booking.confirmed', updated);
+    const email = await sendBookingChange(updated, 'confirmed', {
+      notifySales: false, message: String(req.body?.message ?? '').trim().slice(0, 2000)
+    });
+    res.json({ ok:true, booking: adminBooking(updated), email });
+  } catch (e) {
+    console.error('admin confirm error', e);
+    res.status(500).json({ ok:false, error:'server_error' });
+  }
+});
+
+// POST /api/admin/bookings/:id/decline { message? }
+adminRouter.post('/bookings/:id/decline', async (req, res) => {
+  try {
+    const row = await bookingToDecide(req, res);
+    if (!row) return;
+    const updated = await declineBooking(row.id);
+    console.log(`[ADMIN] booking #${row.id} declined`);
+    emitBookingEvent('booking.declined', updated);
+    const email = await sendBookingChange(updated, 'declined', {
+      notifySales: false, message: String(req.body?.message ?? '').trim().slice(0, 2000)
+    });
+    res.json({ ok:true, booking: adminBooking(updated), email });
+  } catch (e) {
+    console.error('admin decline error', e);
+    res.status(500).json({ ok:false, error:'server_error' });
+  }
+});
+
+/* ---- Email delivery ---- */
+function adminEmail(e) {
+  return {
+    id: e.id, bookingId: e.booking_id, kind: e.kind, to: e.to_addr, status: e.status,
+    attempts: e.attempts, lastError: e.last_error, messageId: e.message_id,
+    createdAt: e.created_at, sentAt: e.sent_at, nextAttemptAt: e.status === 'queued' ? e.next_attempt_at : null,
+  };
+}
+
+// GET /api/admin/emails?status=failed&bookingId=
+adminRouter.get('/emails', async (req, res) => {
+  try {
+    const status = clean(req.query.status);
+    if (status && !OUTBOX_STATUSES.includes(status)) return res.status(400).json({ ok:false, error:'invalid_status' });
+    const bookingId = clean(req.query.bookingId);
+    if (bookingId && !/^\d+$/.test(bookingId)) return res.status(400).json({ ok:false, error:'invalid_booking' });
+    const rows = await listEmails({ status, bookingId }, { limit: Math.min(parseInt(req.query.limit, 10) || 100, 500) });
+    res.json({ ok:true, emails: rows.map(adminEmail) });
+  } catch (e) {
+    console.error('admin emails error', e);
+    res.status(500).json({ ok:false, error:'server_error' });
+  }
+});
+
+adminRouter.post('/emails/:id/resend', async (req, res) => {
+  try {
+    if (!/^\d+$/.test(req.params.id)) return res.status(404).json({ ok:false, error:'not_found' });
+    const r = await resendEmail(req.params.id);
+    if (!r.ok) return res.status(r.error === 'not_found' ? 404 : 409).json(r);
+    console.log(`[ADMIN] email #${r.email.id} re-queued`);
+    res.json({ ok:true, email: adminEmail(r.email) });
+  } catch (e) {
+    console.error('admin resend error', e);
+    res.status(500).json({ ok:false, error:'server_error' });
+  }
+});
+
+/* ---- Webhook deliveries ---- */
+function adminDelivery(d) {
+  return {
+    id: d.id, eventId: d.event_id, event: d.event, bookingId: d.booking_id, url: d.url,
+    status: d.status, attempts: d.attempts, responseStatus: d.response_status, lastError: d.last_error,
+    createdAt: d.created_at, deliveredAt: d.delivered_at, nextAttemptAt: d.status === 'queued' ? d.next_attempt_at : null,
+  };
+}
+
+// GET /api/admin/webhooks?status=&event=&bookingId=
+adminRouter.get('/webhooks', async (req, res) => {
+  try {
+    const status = clean(req.query.status), event = clean(req.query.event), bookingId = clean(req.query.bookingId);
+    if (status && !DELIVERY_STATUSES.includes(status)) return res.status(400).json({ ok:false, error:'invalid_status' });
+    if (event && !WEBHOOK_EVENTS.includes(event)) return res.status(400).json({ ok:false, error:'invalid_event' });
+    if (bookingId && !/^\d+$/.test(bookingId)) return res.status(400).json({ ok:false, error:'invalid_booking' });
+    const rows = await listDeliveries({ status, event, bookingId }, { limit: Math.min(parseInt(req.query.limit, 10) || 100, 500) });
+    res.json({ ok:true, deliveries: rows.map(adminDelivery) });
+  } catch (e) {
+    console.error('admin webhooks error', e);
+    res.status(500).json({ ok:false, error:'server_error' });
+  }
+});
+
+adminRouter.get('/webhooks/:id', async (req, res) => {
+  try {
+    const row = /^\d+$/.test(req.params.id) ? await findDelivery(req.params.id) : null;
+    if (!row) return res.status(404).json({ ok:false, error:'not_found' });
+    res.json({ ok:true, delivery: { ...adminDelivery(row), payload: row.payload } });
+  } catch (e) { res.status(500).json({ ok:false, error:e.message }); }
+});
+
+adminRouter.post('/webhooks/:id/replay', async (req, res) => {
+  try {
+    const row = /^\d+$/.test(req.params.id) ? await replayDelivery(req.params.id) : null;
+    if (!row) return res.status(404).json({ ok:false, error:'not_found' });
+    if (row.inFlight) return res.status(409).json({ ok:false, error:'in_flight' });
+    console.log(`[ADMIN] webhook delivery #${row.id} replayed`);
+    res.json({ ok:true, delivery: adminDelivery(row) });
+  } catch (e) {
+    console.error('admin replay error', e);
+    res.status(500).json({ ok:false, error:'server_error' });
+  }
+});
+
+/* ---- Leads ---- */
+function adminLead(l) {
+  return {
+    id: l.id, createdAt: l.created_at, updatedAt: l.updated_at, status: l.status, score: l.score, tenant: l.tenant,
+    fullName: l.full_name, email: l.email, phone: l.phone, company: l.company,
+    answers: l.answers || {}, bookingId: l.booking_id, notifiedAt: l.notified_at,
+  };
+}
+
+// GET /api/admin/leads?status=&minScore=&q=&tenant=
+adminRouter.get('/leads', async (req, res) => {
+  try {
+    const status = clean(req.query.status), q = clean(req.query.q), tenant = clean(req.query.tenant);
+    const minScore = req.query.minScore ? parseInt(req.query.minScore, 10) : undefined;
+    if (status && !LEAD_STATUSES.includes(status)) return res.status(400).json({ ok:false, error:'invalid_status' });
+    const rows = await listLeads({ status, minScore, q, tenant }, { limit: Math.min(parseInt(req.query.limit, 10) || 100, 500) });
+    res.json({
+      ok:true, statuses: LEAD_STATUSES,
+      fields: LEAD_FIELDS.map(f => ({ key: f.key, label: f.label, type: f.type, options: f.options })),
+      leads: rows.map(adminLead),
+    });
+  } catch (e) {
+    console.error('admin leads error', e);
+    res.status(500).json({ ok:false, error:'server_error' });
+  }
+});
+
+adminRouter.get('/leads/:id', async (req, res) => {
+  try {
+    const row = /^\d+$/.test(req.params.id) ? await findLeadById(req.params.id) : null;
+    if (!row) return res.status(404).json({ ok:false, error:'not_found' });
+    res.json({ ok:true, lead: adminLead(row) });
+  } catch (e) { res.status(500).json({ ok:false, error:e.message }); }
+});
+
+// PATCH /api/admin/leads/:id { status }
+adminRouter.patch('/leads/:id', async (req, res) => {
+  try {
+    const status = clean(req.body?.status);
+    if (!LEAD_STATUSES.includes(status)) return res.status(400).json({ ok:false, error:'invalid_status' });
+    const row = /^\d+$/.test(req.params.id) ? await updateLeadStatus(req.params.id, status) : null;
+    if (!row) return res.status(404).json({ ok:false, error:'not_found' });
+    console.log(`[ADMIN] lead #${row.id}: ${status}`);
+    res.json({ ok:true, lead: adminLead(row) });
+  } catch (e) {
+    console.error('admin lead update error', e);
+    res.status(500).json({ ok:false, error:'server_error' });
+  }
+});
+
+/* ---- Hand-offs (public/handoffs.html) ---- */
+const adminHandoff = (h) => ({ ...handoffVars(h), conversationStatus: h.conversation_status || null, turns: h.turns });
+const adminTurn = (t) => ({ id: Number(t.id), role: t.role, text: t.text, at: t.created_at });
+
+// GET /api/admin/handoffs?status=&tenant= (default: everything not closed, urgent first)
+adminRouter.get('/handoffs', async (req, res) => {
+  try {
+    const status = clean(req.query.status), tenant = clean(req.query.tenant);
+    if (status && !HANDOFF_STATUSES.includes(status)) return res.status(400).json({ ok:false, error:'invalid_status' });
+    const rows = await listHandoffs({ status, tenant });
+    res.json({ ok:true, statuses: HANDOFF_STATUSES, handoffs: rows.map(adminHandoff) });
+  } catch (e) {
+    console.error('admin handoffs error', e);
+    res.status(500).json({ ok:false, error:'server_error' });
+  }
+});
+
+// GET /api/admin/handoffs/:id?after=<turn id> -> ticket + conversation turns after that id
+adminRouter.get('/handoffs/:id', async (req, res) => {
+  try {
+    const found = /^\d+$/.test(req.params.id)
+      ? await findHandoff(req.params.id, { after: Math.max(0, parseInt(req.query.after, 10) || 0) })
+      : null;
+    if (!found) return res.status(404).json({ ok:false, error:'not_found' });
+    res.json({ ok:true, handoff: adminHandoff(found.handoff), turns: found.turns.map(adminTurn) });
+  } catch (e) { res.status(500).json({ ok:false, error:e.message }); }
+});
+
+// POST /api/admin/handoffs/:id/join { name } -> the agent goes quiet and relays this staff member
+adminRouter.post('/handoffs/:id/join', async (req, res) => {
+  try {
+    const name = clean(req.body?.name).slice(0, 60);
+    if (!name) return res.status(400).json({ ok:false, error:'missing_name' });
+    const r = /^\d+$/.test(req.params.id) ? await joinHandoff(req.params.id, name) : { ok:false, error:'not_found' };
+    if (!r.ok) return res.status(404).json(r);
+    console.log(`[ADMIN] handoff #${r.handoff.id} joined by ${name}`);
+    res.json({ ok:true, handoff: adminHandoff(r.handoff) });
+  } catch (e) {
+    console.error('admin handoff join error', e);
+    res.status(500).json({ ok:false, error:'server_error' });
+  }
+});
+
+// POST /api/admin/handoffs/:id/messages { text } -> read out to the caller by the agent
+adminRouter.post('/handoffs/:id/messages', async (req, res) => {
+  try {
+    const text = String(req.body?.text || '').trim();
+    if (!text) return res.status(400).json({ ok:false, error:'missing_text' });
+    const r = /^\d+$/.test(req.params.id) ? await postStaffMessage(req.params.id, text) : { ok:false, error:'not_found' };
+    if (!r.ok) return res.status(r.error === 'not_found' ? 404 : 409).json(r);
+    res.json({ ok:true });
+  } catch (e) {
+    console.error('admin handoff message error', e);
+    res.status(500).json({ ok:false, error:'server_error' });
+  }
+});
+
+// POST /api/admin/handoffs/:id/close -> the agent takes the conversation back
+adminRouter.post('/handoffs/:id/close', async (req, res) => {
+  try {
+    const row = /^\d+$/.test(req.params.id) ? await closeHandoff(req.params.id) : null;
+    if (!row) return res.status(404).json({ ok:false, error:'not_found_or_closed' });
+    console.log(`[ADMIN] handoff #${row.id} closed`);
+    res.json({ ok:true, handoff: adminHandoff(row) });
+  } catch (e) {
+    console.error('admin handoff close error', e);
+    res.status(500).json({ ok:false, error:'server_error' });
+  }
+});
+
+/* ---- Metrics (lib/analytics.js) ---- */
+const METRICS_MAX_DAYS = 366;
+
+// GET /api/admin/metrics?from=&to=&tenant= (UTC days, inclusive; default: the last 30)
+// -> daily funnel, totals, conversion by plan / tier / source, realtime minutes
+adminRouter.get('/metrics', async (req, res) => {
+  try {
+    const to = clean(req.query.to) || new Date().toISOString().slice(0, 10);
+    if (!isIsoDate(to)) return res.status(400).json({ ok:false, error:'invalid_to' });
+    const from = clean(req.query.from) || addDays(to, -29);
+    if (!isIsoDate(from) || from > to) return res.status(400).json({ ok:false, error:'invalid_from' });
+    if (addDays(from, METRICS_MAX_DAYS) <= to) return res.status(400).json({ ok:false, error:'range_too_long' });
+    res.json({ ok:true, ...(await funnelMetrics({ from, to, tenant: clean(req.query.tenant) })) });
+  } catch (e) {
+    console.error('admin metrics error', e);
+    res.status(500).json({ ok:false, error:'server_error' });
+  }
+});
@@ -0,0 +1,71 @@
+// routes/conversations.js
+// Transcript capture for the voice agent, mounted at /api/conversations
+// (see public/sdk/openai-realtime.v1.js). The session id minted here is the
+// only handle on a conversation; clients pass it to /api/book as conversationId.
+import express from 'express';
+import { pool } from '../lib/db.js';
+import {
+  createConversation, addTurns, endConversation, MAX_TURN_CHARS, TURN_ROLES
+} from '../lib/conversations.js';
+import { resolveLocale } from '../lib/templates.js';
+import { clean, pick } from '../lib/util.js';
+
+export const conversationsRouter = express.Router();
+
+// sendBeacon() posts text/plain; accept JSON bodies sent that way too
+conversationsRouter.use(express.text({ type: 'text/plain', limit: '256kb' }), (req, _res, next) => {
+  if (typeof req.body === 'string') {
+    try { req.body = JSON.parse(req.body || '{}'); } catch { req.body = {}; }
+  }
+  next();
+});
+
+conversationsRouter.use((_req, res, next) => {
+  if (!pool) return res.status(503).json({ ok:false, error:'db_disabled' });
+  next();
+});
+
+// POST /api/conversations { source?, locale? } -> { sessionId }
+conversationsRouter.post('/', async (req, res) => {
+  try {
+    const b = req.body || {};
+    const conv = await createConversation({
+      source: clean(pick(b, ['source'], 'voice-agent')).slice(0, 40),
+      locale: resolveLocale(pick(b, ['locale','lang']) || req.headers['accept-language']),
+      tenant: req.tenant.key,
+    });
+    res.status(201).json({ ok:true, sessionId: conv.session_id });
+  } catch (e) {
+    console.error('conversation create error', e);
+    res.status(500).json({ ok:false, error:'server_error' });
+  }
+});
+
+// POST /api/conversations/:sessionId/turns { turns: [{ role: 'user'|'assistant', text, itemId? }] }
+conversationsRouter.post('/:sessionId/turns', async (req, res) => {
+  try {
+    const list = Array.isArray(req.body?.turns) ? req.body.turns : [req.body];
+    const turns = list
+      .map(t => ({ role: String(t?.role || ''), text: String(t?.text || '').trim().slice(0, MAX_TURN_CHARS), itemId: clean(t?.itemId).slice(0, 100) }))
+      .filter(t => t.text);
+    if (!turns.length || turns.length > 50 || turns.some(t => !TURN_ROLES.includes(t.role))) {
+      return res.status(400).json({ ok:false, error:'invalid_turns' });
+    }
+    const r = await addTurns(req.params.sessionId, turns);
+    if (!r.ok) return res.status(r.error === 'not_found' ? 404 : 409).json(r);
+    res.json(r);
+  } catch (e) {
+    console.error('conversation turns error', e);
+    res.status(500).json({ ok:false, error:'server_error' });
+  }
+});
+
+// POST /api/conversations/:sessionId/end (also sent with navigator.sendBeacon on page hide)
+conversationsRouter.post('/:sessionId/end', async (req, res) => {
+  try {
+    res.json({ ok:true, ended: await endConversation(req.params.sessionId) });
+  } catch (e) {
+    console.error('conversation end error', e);
+    res.status(500).json({ ok:false, error:'server_error' });
+  }
+});
@@ -0,0 +1,26 @@
+// routes/events.js
+// Funnel event collector, mounted at /api/events. The browser SDK, the phone
+// bridge and public/book.html post lifecycle events here (lib/analytics.js);
+// staff read the aggregates from /api/admin/metrics.
+import express from 'express';
+import { pool } from '../lib/db.js';
+import { parseEvent, recordEvents, MAX_EVENTS } from '../lib/analytics.js';
+
+export const eventsRouter = express.Router();
+
+// POST /api/events { events: [{ type, sessionId, conversationId?, source?, plan?, tier?, durationMs?, error? }] }
+// or a single event -> { ok, stored }
+eventsRouter.post('/', async (req, res) => {
+  if (!pool) return res.status(503).json({ ok:false, error:'db_disabled' });
+  try {
+    const list = Array.isArray(req.body?.events) ? req.body.events : [req.body];
+    const events = list.map(parseEvent);
+    if (!events.length || events.length > MAX_EVENTS || events.some(e => !e)) {
+      return res.status(400).json({ ok:false, error:'invalid_events' });
+    }
+    res.json({ ok:true, stored: await recordEvents(req.tenant.key, events) });
+  } catch (e) {
+    console.error('events error', e);
+    res.status(500).json({ ok:false, error:'server_error' });
+  }
+});
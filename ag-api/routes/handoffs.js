@@ -0,0 +1,53 @@
+// routes/handoffs.js
+// Caller side of the human hand-off (lib/handoffs.js), mounted at /api/handoffs.
+// The voice agent's request_human tool opens a ticket; the browser SDK then
+// polls for a staff member joining and for their replies. Staff work the
+// tickets through /api/admin/handoffs (public/handoffs.html).
+import express from 'express';
+import { pool } from '../lib/db.js';
+import { requestHandoff, handoffForSession } from '../lib/handoffs.js';
+import { tenantOf } from '../lib/tenants.js';
+import { clean, pick } from '../lib/util.js';
+
+export const handoffsRouter = express.Router();
+
+handoffsRouter.use((_req, res, next) => {
+  if (!pool) return res.status(503).json({ ok:false, error:'db_disabled' });
+  next();
+});
+
+// POST /api/handoffs { conversationId, reason, urgency? }
+// -> { ok, ticket, withinHours, live, businessHours }; live: a staff member can join this conversation now
+handoffsRouter.post('/', async (req, res) => {
+  try {
+    const conversationId = clean(pick(req.body, ['conversationId']));
+    if (!conversationId) return res.status(400).json({ ok:false, error:'missing_conversation' });
+    const r = await requestHandoff(conversationId, {
+      reason: clean(pick(req.body, ['reason'])).slice(0, 300),
+      urgency: clean(pick(req.body, ['urgency'])),
+    });
+    if (!r) return res.status(404).json({ ok:false, error:'conversation_not_found' });
+    if (r.created) console.log(`[HANDOFF] #${r.handoff.id} ${r.handoff.urgency} "${r.handoff.reason || ''}" (${r.conversation.source}, ${r.live ? 'live' : 'callback'})`);
+    const tenant = tenantOf(r.conversation);
+    res.status(r.created ? 201 : 200).json({
+      ok:true, ticket: r.handoff.id, withinHours: r.handoff.within_hours, live: r.live,
+      businessHours: `${tenant.businessHours} (${tenant.businessTz})`,
+    });
+  } catch (e) {
+    console.error('handoff request error', e);
+    res.status(500).json({ ok:false, error:'server_error' });
+  }
+});
+
+// GET /api/handoffs/:sessionId?after=<turn id> -> { ok, status, staffName, messages: [{ id, text, at }] }
+handoffsRouter.get('/:sessionId', async (req, res) => {
+  try {
+    const r = await handoffForSession(req.params.sessionId, Math.max(0, parseInt(req.query.after, 10) || 0));
+    if (!r) return res.status(404).json({ ok:false, error:'conversation_not_found' });
+    res.setHeader('Cache-Control', 'no-store');
+    res.json({ ok:true, ...r });
+  } catch (e) {
+    console.error('handoff poll error', e);
+    res.status(500).json({ ok:false, error:'server_error' });
+  }
+});
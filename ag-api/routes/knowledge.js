@@ -0,0 +1,33 @@
+// routes/knowledge.js
+// Knowledge-base search behind the voice agent's search_knowledge tool,
+// mounted at /api/knowledge. Lookups made during a recorded conversation are
+// written to its transcript with their sources, so answers can be audited.
+import express from 'express';
+import { pool } from '../lib/db.js';
+import { searchKnowledge, MAX_RESULTS } from '../lib/knowledge.js';
+import { recordLookup } from '../lib/conversations.js';
+import { clean } from '../lib/util.js';
+
+export const knowledgeRouter = express.Router();
+
+// GET /api/knowledge/search?q=&limit=&conversationId= -> { ok, query, results: [{ source, title, text, url?, score }] }
+knowledgeRouter.get('/search', async (req, res) => {
+  try {
+    const query = clean(req.query.q).slice(0, 300);
+    if (!query) return res.status(400).json({ ok:false, error:'missing_query' });
+    const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || MAX_RESULTS, 1), 10);
+    const results = await searchKnowledge(req.tenant, query, { limit });
+    const sources = results.map(r => r.source);
+    console.log(`[KB] ${req.tenant.key} ${JSON.stringify(query)} -> ${sources.join(', ') || 'no match'}`);
+
+    const conversationId = clean(req.query.conversationId);
+    if (conversationId && pool) {
+      await recordLookup(conversationId, query, sources)
+        .catch(e => console.warn('[KB] transcript note failed:', e?.message));
+    }
+    res.json({ ok:true, query, results });
+  } catch (e) {
+    console.error('knowledge search error', e);
+    res.status(500).json({ ok:false, error:'server_error' });
+  }
+});
@@ -0,0 +1,31 @@
+// routes/leads.js
+// Lead capture from the voice agent's save_lead tool, mounted at /api/leads.
+// Leads hang off a conversation (routes/conversations.js); sales is notified
+// when that conversation ends.
+import express from 'express';
+import { pool } from '../lib/db.js';
+import { parseLeadInput, upsertLead, missingFields } from '../lib/leads.js';
+import { invalidFieldsBody } from '../lib/validate.js';
+import { clean, pick } from '../lib/util.js';
+
+export const leadsRouter = express.Router();
+
+// POST /api/leads { conversationId, fullName?, email?, phone?, company?, <qualification fields> | answers: {...} }
+// -> { ok, leadId, score, missing: [fields not answered yet] }
+leadsRouter.post('/', async (req, res) => {
+  if (!pool) return res.status(503).json({ ok:false, error:'db_disabled' });
+  try {
+    const conversationId = clean(pick(req.body, ['conversationId']));
+    if (!conversationId) return res.status(400).json({ ok:false, error:'missing_conversation' });
+    const input = parseLeadInput(req.body);
+    if (!input.ok) return res.status(400).json(invalidFieldsBody(input.fields));
+
+    const lead = await upsertLead(conversationId, input);
+    if (!lead) return res.status(404).json({ ok:false, error:'conversation_not_found' });
+    console.log(`[LEAD] #${lead.id} score ${lead.score}`, Object.keys(input.answers));
+    res.json({ ok:true, leadId: lead.id, score: lead.score, missing: missingFields(lead.answers) });
+  } catch (e) {
+    console.error('lead save error', e);
+    res.status(500).json({ ok:false, error:'server_error' });
+  }
+});
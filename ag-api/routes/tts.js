@@ -0,0 +1,81 @@
+// routes/tts.js
+// Text-to-speech for the browser (public/agent-booking.js), mounted at /api/tts
+// and at the older /api/elevenlabs/tts. Provider failover lives in lib/tts.js;
+// this streams the winning provider's audio and saves it to the disk cache.
+import express from 'express';
+import { createReadStream } from 'fs';
+import { synthesize, parseProviders, parseVoices, localVoice, TTS_MAX_CHARS } from '../lib/tts.js';
+import { ttsCacheWriter } from '../lib/ttsCache.js';
+import { tooMany, secondsToMidnightUtc } from '../lib/limits.js';
+import { languageTag } from '../lib/language.js';
+
+export const ttsRouter = express.Router();
+
+// POST { text, providers?: [...] | 'openai,local', voices?: { provider: voice } | 'openai:verse,local:en-gb', lang? }.
+// POST only, so the origin check in server.js applies: a GET could be embedded by
+// any page (<audio src>) and spend the paid providers' characters. Replies carry
+// an ETag the browser can send back as If-None-Match. voiceId is the older
+// ElevenLabs-only override; lang picks the local engine's default voice, and a
+// named local voice must be one lib/tts.js allows. Response headers name the provider used.
+async function speak(req, res, { retried = false } = {}) {
+  try {
+    const q = req.body || {};
+    const text = String(q.text || '').trim();
+    if (!text) return res.status(400).json({ ok:false, error:'missing_text' });
+    if (text.length > TTS_MAX_CHARS) return res.status(400).json({ ok:false, error:'text_too_long' });
+    const providers = parseProviders(q.providers);
+    if (providers === false) return res.status(400).json({ ok:false, error:'invalid_provider' });
+    const voices = { ...(q.voiceId ? { elevenlabs: String(q.voiceId) } : {}), ...parseVoices(q.voices) };
+    if (voices.local && !localVoice(voices.local)) return res.status(400).json({ ok:false, error:'invalid_voice' });
+
+    const r = await synthesize({ text, tenant: req.tenant, providers, voices, lang: languageTag(q.lang) });
+    if (r.error) {
+      console.warn(`[TTS] no provider could speak: ${r.attempts.join('; ')}`);
+      if (r.error === 'daily_cap_reached') {
+        console.warn('[LIMIT] daily TTS character cap reached');
+        return tooMany(res, secondsToMidnightUtc(), 'daily_cap_reached');
+      }
+      return res.status(503).json({ ok:false, error:r.error });
+    }
+
+    const etag = `"${r.key}"`;
+    res.setHeader('ETag', etag);
+    res.setHeader('Cache-Control', 'private, no-cache');
+    res.setHeader('Content-Type', r.contentType);
+    res.setHeader('X-TTS-Provider', r.provider);
+    res.setHeader('X-TTS-Cache', r.cached ? 'hit' : 'miss');
+    if (r.cached) {
+      if (req.get('if-none-match') === etag) return res.status(304).end();
+      res.setHeader('Content-Length', r.cached.size);
+      // The file can be evicted between the lookup and the read: synthesize it afresh if nothing was sent yet
+      const file = createReadStream(r.cached.file);
+      file.on('error', (e) => {
+        if (!res.headersSent && !retried) {
+          console.warn(`[TTS] cached clip unreadable, synthesizing again: ${e.message}`);
+          res.removeHeader('Content-Length');
+          return speak(req, res, { retried: true });
+        }
+        res.destroy(e);
+      });
+      return file.pipe(res);
+    }
+
+    // The clip is paid for either way: keep reading into the cache if the listener hangs up early
+    const cache = ttsCacheWriter(r.key, r.format);
+    r.stream.on('data', (chunk) => {
+      cache?.write(chunk);
+      if (!res.writableEnded && !res.destroyed) res.write(chunk);
+    });
+    r.stream.on('end', () => { cache?.commit(); res.end(); });
+    r.stream.on('error', (e) => {
+      console.warn(`[TTS] ${r.provider} stream error:`, e?.message);
+      cache?.abort();
+      res.destroy(e);
+    });
+  } catch (e) {
+    console.error('tts error', e);
+    if (!res.headersSent) res.status(500).json({ ok:false, error:'server_error' });
+  }
+}
+
+ttsRouter.post('/', (req, res) => speak(req, res));
@@ -0,0 +1,97 @@
+// scripts/fake-carrier.js
+// Plays a WAV file into the phone bridge the way a carrier would (Twilio Media
+// Streams frames, 20 ms of 8 kHz µ-law each, in real time) and records what the
+// agent says back, so the bridge can be tried without a phone number.
+//   PHONE_STREAM_TOKEN=dev OPENAI_API_KEY=... npm start
+//   PHONE_STREAM_TOKEN=dev node scripts/fake-carrier.js caller.wav [ws://127.0.0.1:10000/api/phone/stream]
+// AGENT=<tenant key>, PROFILE=<agent profile>, FROM=<caller id>, HOLD=<seconds of silence after the file, default 10>,
+// OUT=<wav of what the caller heard, default agent-reply.wav>.
+// The agent's audio is played out at real speed too; a 'clear' (barge-in) drops what was still queued.
+import 'dotenv/config';
+import fs from 'fs';
+import crypto from 'crypto';
+import WebSocket from 'ws';
+import { CARRIER_RATE, FRAME_BYTES, readWav, resample, pcm16ToUlaw, ulawToPcm16, writeWav } from '../lib/audio.js';
+
+const [file, url = `ws://127.0.0.1:${process.env.PORT || 10000}/api/phone/stream`] = process.argv.slice(2);
+if (!file) {
+  console.error('usage: node scripts/fake-carrier.js caller.wav [ws-url]');
+  process.exit(1);
+}
+const HOLD_MS = Number(process.env.HOLD || 10) * 1000;
+const OUT = process.env.OUT || 'agent-reply.wav';
+const SILENCE = Buffer.alloc(FRAME_BYTES, 0xff); // µ-law zero
+
+const wav = readWav(fs.readFileSync(file));
+const caller = pcm16ToUlaw(resample(wav.samples, wav.sampleRate, CARRIER_RATE));
+console.log(`[carrier] ${file}: ${(caller.length / CARRIER_RATE).toFixed(1)}s at ${wav.sampleRate} Hz -> 8 kHz µ-law`);
+
+const streamSid = `MZ${crypto.randomBytes(16).toString('hex')}`;
+const callSid = `CA${crypto.randomBytes(16).toString('hex')}`;
+const ws = new WebSocket(url);
+const send = (msg) => ws.readyState === WebSocket.OPEN && ws.send(JSON.stringify(msg));
+
+let queue = Buffer.alloc(0);  // agent audio waiting to be "played"
+const heard = [];             // what the caller heard, frame by frame
+let spokenMs = 0;
+let seq = 0;
+let timer = null;
+
+ws.on('open', () => {
+  console.log(`[carrier] connected to ${url} as ${callSid}`);
+  send({ event: 'connected', protocol: 'Call', version: '1.0.0' });
+  send({
+    event: 'start', sequenceNumber: String(++seq), streamSid,
+    start: {
+      streamSid, callSid, tracks: ['inbound'],
+      mediaFormat: { encoding: 'audio/x-mulaw', sampleRate: CARRIER_RATE, channels: 1 },
+      customParameters: {
+        token: process.env.PHONE_STREAM_TOKEN || '',
+        ...(process.env.AGENT ? { agent: process.env.AGENT } : {}),
+        ...(process.env.PROFILE ? { profile: process.env.PROFILE } : {}),
+        ...(process.env.FROM ? { from: process.env.FROM } : {}),
+      },
+    },
+  });
+
+  const frames = Math.ceil(caller.length / FRAME_BYTES) + Math.ceil(HOLD_MS / 20);
+  let n = 0;
+  timer = setInterval(() => {
+    if (n >= frames) return hangUp('done');
+    const off = n * FRAME_BYTES;
+    const chunk = off < caller.length ? caller.subarray(off, off + FRAME_BYTES) : SILENCE;
+    send({
+      event: 'media', sequenceNumber: String(++seq), streamSid,
+      media: { track: 'inbound', chunk: String(n + 1), timestamp: String(n * 20), payload: chunk.toString('base64') },
+    });
+    const played = queue.subarray(0, FRAME_BYTES);
+    if (played.length) spokenMs += 20;
+    heard.push(played.length ? played : SILENCE);
+    queue = queue.subarray(FRAME_BYTES);
+    n++;
+  }, 20);
+});
+
+ws.on('message', (data) => {
+  let msg;
+  try { msg = JSON.parse(data.toString()); } catch { return; }
+  if (msg.event === 'media') queue = Buffer.concat([queue, Buffer.from(msg.media.payload, 'base64')]);
+  else if (msg.event === 'clear') {
+    console.log(`[carrier] clear: dropped ${(queue.length / 8).toFixed(0)}ms of queued agent audio`);
+    queue = Buffer.alloc(0);
+  }
+});
+
+ws.on('close', () => hangUp('bridge closed'));
+ws.on('error', (e) => { console.error('[carrier] error:', e.message); hangUp('error'); });
+
+let done = false;
+function hangUp(reason) {
+  if (done) return;
+  done = true;
+  clearInterval(timer);
+  send({ event: 'stop', sequenceNumber: String(++seq), streamSid, stop: { callSid } });
+  ws.close();
+  fs.writeFileSync(OUT, writeWav(ulawToPcm16(Buffer.concat(heard)), CARRIER_RATE));
+  console.log(`[carrier] ${reason}: agent spoke ${(spokenMs / 1000).toFixed(1)}s, wrote ${OUT}`);
+}
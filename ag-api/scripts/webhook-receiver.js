@@ -0,0 +1,39 @@
+// scripts/webhook-receiver.js
+// Local endpoint for trying out webhooks: logs each delivery and checks its signature.
+//   WEBHOOK_SECRET=dev node scripts/webhook-receiver.js 4040
+//   WEBHOOK_URLS=http://127.0.0.1:4040/hook WEBHOOK_SECRET=dev npm start
+// FAIL_EVERY=n answers every n-th request with 500, to watch the retries.
+import 'dotenv/config';
+import http from 'http';
+import { verifySignature } from '../lib/webhooks.js';
+
+const PORT = Number(process.argv[2] || process.env.RECEIVER_PORT || 4040);
+const SECRET = (process.env.WEBHOOK_SECRET || '').trim();
+const FAIL_EVERY = Number(process.env.FAIL_EVERY || 0);
+let n = 0;
+
+http.createServer((req, res) => {
+  const chunks = [];
+  req.on('data', c => chunks.push(c));
+  req.on('end', () => {
+    n++;
+    const body = Buffer.concat(chunks).toString('utf8');
+    const sig = req.headers['x-agentlyne-signature'];
+    const valid = SECRET ? verifySignature(body, sig, SECRET) : null;
+    let event = {};
+    try { event = JSON.parse(body); } catch {}
+    const fail = FAIL_EVERY > 0 && n % FAIL_EVERY === 0;
+    console.log(
+      `[RECV] #${n} ${req.method} ${req.url} ${req.headers['x-agentlyne-event'] || '-'}`,
+      `delivery=${req.headers['x-agentlyne-delivery'] || '-'}`,
+      `booking=${event.data?.booking?.id ?? '-'}`,
+      `signature=${valid === null ? 'unchecked' : valid ? 'ok' : 'INVALID'}`,
+      fail ? '-> 500' : ''
+    );
+    if (valid === false || fail) { res.writeHead(valid === false ? 401 : 500); return res.end(); }
+    res.writeHead(204);
+    res.end();
+  });
+}).listen(PORT, () => {
+  console.log(`Webhook receiver on http://127.0.0.1:${PORT}/ ${SECRET ? '(verifying signatures)' : '(WEBHOOK_SECRET not set, not verifying)'}`);
+});
@@ -4,14 +4,41 @@ import 'dotenv/config';
 
 import express from 'express';
 import cors from 'cors';
-import nodemailer from 'nodemailer';
-import crypto from 'crypto';
-import { Pool } from 'pg';
 import path from 'path';
 import { fileURLToPath } from 'url';
 import dns from 'dns';
-import { promises as dnsPromises } from 'dns';
 import fs from 'fs/promises';
+import { isValidTimeZone, isIsoDate, addDays, localParts, zonedToUtcISO, prettyWhen } from './lib/time.js';
+import { generateSlots, renderSlot, SLOT_MIN, WINDOW_DAYS, MIN_LEAD_MIN } from './lib/slots.js';
+import { clean, pick } from './lib/util.js';
+import { pool, initDbPool, ensureSchema } from './lib/db.js';
+import { transporter, FROM_EMAIL, SALES_EMAIL } from './lib/mailer.js';
+import { insertBooking, createHold, releaseHold, loadBusy, findBookingByToken, rescheduleBooking, cancelBooking } from './lib/bookings.js';
+import { createManageToken, verifyManageToken } from './lib/tokens.js';
+import { PUBLIC_URL, newIcsUid, sendBookingReceived, sendBookingChange } from './lib/notify.js';
+import { resolveLocale, strings } from './lib/templates.js';
+import { startReminders } from './lib/reminders.js';
+import { startOutbox } from './lib/outbox.js';
+import { emitBookingEvent, startWebhooks } from './lib/webhooks.js';
+import { linkBooking, conversationLocale, startConversations } from './lib/conversations.js';
+import { languageTag } from './lib/language.js';
+import { createLimiter, limitByIp, tooMany, reserveDaily, releaseDaily, secondsToMidnightUtc } from './lib/limits.js';
+import { POW_BITS, issueChallenge, verifyPow } from './lib/pow.js';
+import { DEFAULT_PROFILE_NAME, REALTIME_VOICES, getProfile, sessionBody, publicProfile } from './lib/agentProfiles.js';
+import { validateBooking, invalidFieldsBody, slotTimeFields } from './lib/validate.js';
+import { DEFAULT_TENANT, DEFAULT_TENANT_KEY, TENANT_ORIGINS, resolveTenant, tenantOf, withTenant } from './lib/tenants.js';
+import { requireAdmin } from './lib/auth.js';
+import { adminRouter } from './routes/admin.js';
+import { conversationsRouter } from './routes/conversations.js';
+import { eventsRouter } from './routes/events.js';
+import { leadsRouter } from './routes/leads.js';
+import { knowledgeRouter } from './routes/knowledge.js';
+import { handoffsRouter } from './routes/handoffs.js';
+import { knowledgeStats } from './lib/knowledge.js';
+import { attachPhoneBridge, isInternalRequest } from './lib/phone.js';
+import { ttsCacheStats } from './lib/ttsCache.js';
+import { ttsProviderStatus, TTS_DEFAULT_ORDER } from './lib/tts.js';
+import { ttsRouter } from './routes/tts.js';
 
 // Prefer IPv4 on platforms without IPv6 (avoids ENETUNREACH)
 try { dns.setDefaultResultOrder('ipv4first'); } catch {}
@@ -19,7 +46,28 @@ try { dns.setDefaultResultOrder('ipv4first'); } catch {}
 const app = express();
 app.disable('x-powered-by');
 app.enable('trust proxy');
-app.use(cors());
+
+/* ---- CORS ---- */
+// CORS_ORIGINS: comma-separated origins allowed to call the API from other sites
+// ("*" = any). The API's own host, PUBLIC_URL, localhost and every tenant's
+// origins (sites embedding widget.js) are always allowed.
+const CORS_ORIGINS = String(process.env.CORS_ORIGINS || '').split(',').map(s => s.trim().replace(/\/+$/, '')).filter(Boolean);
+
+function originAllowed(origin, host) {
+  if (!origin || CORS_ORIGINS.includes('*') || CORS_ORIGINS.includes(origin) || TENANT_ORIGINS.has(origin)) return true;
+  try {
+    const u = new URL(origin);
+    return u.host === host || origin === new URL(PUBLIC_URL).origin || ['localhost', '127.0.0.1'].includes(u.hostname);
+  } catch { return false; }
+}
+
+app.use(cors((req, cb) => cb(null, { origin: originAllowed(req.headers.origin, req.headers.host) })));
+// CORS only stops the browser reading the answer; refuse writes from unknown sites outright
+app.use('/api', (req, res, next) => {
+  if (['GET', 'HEAD', 'OPTIONS'].includes(req.method) || originAllowed(req.headers.origin, req.headers.host)) return next();
+  console.warn(`[LIMIT] ${req.method} ${req.originalUrl} from origin ${req.headers.origin} refused`);
+  res.status(403).json({ ok:false, error:'origin_not_allowed' });
+});
 app.use(express.json());
 app.use(express.urlencoded({ extended: true }));
 
@@ -32,6 +80,28 @@ app.use((req, res, next) => {
 const __dirname = path.dirname(fileURLToPath(import.meta.url));
 const PUBLIC_DIR = path.join(__dirname, 'public');
 
+/* ------------------------------------------------------------------ */
+/* Dynamic runtime config                                              */
+/* ------------------------------------------------------------------ */
+// Per tenant: host, ?agent= on this URL or on the page that loaded it.
+// Pages pass AGENT_KEY back as X-Agent-Key on their API calls.
+// ?format=json answers the bare object (widget.js on other sites).
+app.get('/config.js', (req, res) => {
+  const tenant = resolveTenant(req, { referer: true }) || DEFAULT_TENANT;
+  const cfg = {
+    API_BASE: (process.env.API_BASE ?? ''),
+    SUPPORT_EMAIL: tenant.supportEmail,
+    BRAND_NAME: tenant.name,
+    CALENDLY_URL: tenant.calendlyUrl,
+    AGENT_KEY: tenant.key === DEFAULT_TENANT_KEY ? '' : tenant.key,
+    BOOK_POW_BITS: POW_BITS,
+  };
+  res.setHeader('Cache-Control', 'no-store');
+  if (req.query.format === 'json') return res.json(cfg);
+  res.setHeader('Content-Type', 'application/javascript; charset=utf-8');
+  res.send(`window.APP_CONFIG = ${JSON.stringify(cfg, null, 2)};`);
+});
+
 /* ------------------------------------------------------------------ */
 /* Static site                                                         */
 /* ------------------------------------------------------------------ */
@@ -70,179 +140,49 @@ app.get(/^\/google([A-Za-z0-9_-]{5,})\.html$/, async (req, res) => {
      .send(`google-site-verification: ${token}`);
 });
 
-/* ------------------------------------------------------------------ */
-/* Dynamic runtime config                                              */
-/* ------------------------------------------------------------------ */
-app.get('/config.js', (_req, res) => {
-  const cfg = {
-    API_BASE: (process.env.API_BASE ?? ''),
-    SUPPORT_EMAIL: (process.env.SUPPORT_EMAIL ?? 'info@agentlyne.com'),
-    BRAND_NAME: (process.env.BRAND_NAME ?? 'Agentlyne'),
-    CALENDLY_URL: (process.env.CALENDLY_URL ?? ''),
-  };
-  res.setHeader('Content-Type', 'application/javascript; charset=utf-8');
-  res.setHeader('Cache-Control', 'no-store');
-  res.send(`window.APP_CONFIG = ${JSON.stringify(cfg, null, 2)};`);
-});
-
-/* ------------------------------------------------------------------ */
-/* Utils                                                               */
-/* ------------------------------------------------------------------ */
-const clean = (s) => String(s ?? '').replace(/[\r\n]+/g, ' ').trim();
-function pick(obj, keys, def = '') { for (const k of keys) { if (obj && obj[k] != null && String(obj[k]).trim() !== '') return String(obj[k]); } return def; }
-function tzOffsetMinutesAt(tz, epochMs) {
-  try {
-    const parts = new Intl.DateTimeFormat('en-US', {
-      timeZone: tz, timeZoneName: 'shortOffset', year:'numeric', month:'2-digit', day:'2-digit',
-      hour:'2-digit', minute:'2-digit', second:'2-digit', hour12:false
-    }).formatToParts(new Date(epochMs));
-    const name = parts.find(p => p.type === 'timeZoneName')?.value || 'GMT';
-    const m = name.match(/GMT([+-]\d{1,2})(?::(\d{2}))?/);
-    if (!m) return 0;
-    const sign = m[1].startsWith('-') ? -1 : 1;
-    const h = Math.abs(parseInt(m[1], 10));
-    const mm = m[2] ? parseInt(m[2], 10) : 0;
-    return sign * (h * 60 + mm);
-  } catch { return 0; }
-}
-function zonedToUtcISO(dateStr, timeStr, tz) {
-  if (!dateStr || !timeStr || !tz) return null;
-  try {
-    const [y,m,d] = dateStr.split('-').map(Number);
-    const [H,M]   = timeStr.split(':').map(Number);
-    const naiveUTC = Date.UTC(y, (m??1)-1, d??1, H??0, M??0, 0, 0);
-    const offMin   = tzOffsetMinutesAt(tz, naiveUTC);
-    return new Date(naiveUTC - offMin * 60 * 1000).toISOString();
-  } catch { return null; }
-}
-const p2 = v => v.toString().padStart(2,'0');
-function buildLocalIso(dateStr, timeStr, addMinutes = 0) {
-  const [y,m,d] = dateStr.split('-').map(Number);
-  const [H,M]   = timeStr.split(':').map(Number);
-  const dt = new Date(y, m - 1, d, H, M + addMinutes, 0);
-  return `${dt.getFullYear()}-${p2(dt.getMonth()+1)}-${p2(dt.getDate())}T${p2(dt.getHours())}:${p2(dt.getMinutes())}:${p2(dt.getSeconds())}`;
-}
-function prettyWhen(startISO, endISO, tz) {
-  try {
-    const s = new Date(startISO), e = new Date(endISO);
-    const d  = new Intl.DateTimeFormat('en-US', { weekday:'short', month:'short', day:'numeric', timeZone: tz }).format(s);
-    const t1 = new Intl.DateTimeFormat('en-US', { hour:'numeric', minute:'2-digit', timeZone: tz }).format(s);
-    const t2 = new Intl.DateTimeFormat('en-US', { hour:'numeric', minute:'2-digit', timeZone: tz }).format(e);
-    return `${d} • ${t1}–${t2} (${tz})`;
-  } catch { return ''; }
-}
-
-/* ------------------------------------------------------------------ */
-/* DB (optional) + SMTP bootstrap                                     */
-/* ------------------------------------------------------------------ */
-const USE_DB = !!process.env.DATABASE_URL;
-let pool = null;
-
-async function initDbPool() {
-  if (!USE_DB) { console.log('DB: disabled (no DATABASE_URL)'); return; }
-  try {
-    const u = new URL(process.env.DATABASE_URL);
-    const host = u.hostname;
-    const port = Number(u.port || 5432);
-    const user = decodeURIComponent(u.username || '');
-    const password = decodeURIComponent(u.password || '');
-    const database = (u.pathname || '/').replace(/^\//, '');
-    const sslRequired = u.searchParams.get('sslmode') === 'require' || process.env.PGSSLMODE === 'require';
-
-    const { address } = await dnsPromises.lookup(host, { family: 4 });
-    pool = new Pool({
-      host: address, port, user, password, database,
-      ssl: sslRequired ? { rejectUnauthorized: false, servername: host } : undefined,
-      keepAlive: true,
-    });
-    console.log('DB: IPv4 pool ready ->', host);
-  } catch (err) {
-    console.warn('DB init failed:', err?.message);
-  }
-}
-async function ensureSchema() {
-  if (!pool) return;
-  try {
-    await pool.query(`
-      CREATE TABLE IF NOT EXISTS bookings (
-        id BIGSERIAL PRIMARY KEY,
-        created_at timestamptz DEFAULT now(),
-        name text, full_name text, email text, phone text, company text, notes text,
-        timezone text, start_utc timestamptz, end_utc timestamptz, duration_min integer,
-        source text, date date, "time" text
-      );
-    `);
-    console.log('DB: schema ready');
-  } catch (err) {
-    console.error('DB ensure schema failed:', err?.message);
-  }
-}
-
-/* ------------------------------------------------------------------ */
-/* SMTP setup                                                         */
-/* ------------------------------------------------------------------ */
-const smtpPort = Number(process.env.SMTP_PORT || 587);
-const smtpSecureEnv = String(process.env.SMTP_SECURE || '').toLowerCase();
-const smtpSecure = smtpSecureEnv ? ['1','true','yes','on'].includes(smtpSecureEnv) : smtpPort === 465;
-
-const BRAND = process.env.BRAND_NAME || 'Agentlyne';
-const FROM_ADDR = process.env.SMTP_FROM || process.env.FROM_EMAIL || 'no-reply@agentlyne.com';
-const FROM_EMAIL = `${BRAND} <${FROM_ADDR}>`;
-const SALES_EMAIL = process.env.BOOKINGS_INBOX || process.env.SALES_EMAIL || `sales@agentlyne.com`;
-const ARCHIVE_BCC = (process.env.BCC_ARCHIVE || 'chalfontwebs@gmail.com').trim();
-const MAILGUN_TAG = (process.env.MAILGUN_TAG || 'booking').trim();
-
-const transporter = process.env.SMTP_HOST ? nodemailer.createTransport({
-  host: process.env.SMTP_HOST,
-  port: smtpPort,
-  secure: smtpSecure,
-  auth: (process.env.SMTP_USER || process.env.SMTP_PASS) ? { user: process.env.SMTP_USER, pass: process.env.SMTP_PASS } : undefined,
-  tls: { minVersion: 'TLSv1.2' },
-  pool: true,
-  logger: !!process.env.SMTP_DEBUG,
-  debug: !!process.env.SMTP_DEBUG
-}) : null;
-
-if (transporter) {
-  transporter.verify()
-    .then(() => console.log('SMTP: ready (host=%s, port=%d)', process.env.SMTP_HOST, smtpPort))
-    .catch(e => console.warn('SMTP verify failed:', e?.message));
-} else {
-  console.warn('SMTP: disabled (missing SMTP_HOST)');
-}
-
-/* ------------------------------------------------------------------ */
-/* ICS builder                                                        */
-/* ------------------------------------------------------------------ */
-function icsInvite({ title, description, startLocal, endLocal, tzid, organizerEmail, organizerName='Agentlyne' }) {
-  const uid = crypto.randomUUID();
-  const stamp = new Date().toISOString().replace(/[-:]/g,'').replace(/\.\d{3}Z$/,'Z');
-  const fmt = s => s.replaceAll('-','').replaceAll(':',''); // 'YYYYMMDDTHHMMSS'
-  return [
-    'BEGIN:VCALENDAR',
-    'PRODID:-//Agentlyne//Booking//EN',
-    'VERSION:2.0',
-    'CALSCALE:GREGORIAN',
-    'METHOD:REQUEST',
-    'BEGIN:VEVENT',
-    `UID:${uid}`,
-    `DTSTAMP:${stamp}`,
-    `DTSTART;TZID=${tzid}:${fmt(startLocal)}`,
-    `DTEND;TZID=${tzid}:${fmt(endLocal)}`,
-    `SUMMARY:${title}`,
-    `DESCRIPTION:${(description || '').replace(/\n/g,'\\n')}`,
-    `ORGANIZER;CN=${organizerName}:mailto:${organizerEmail}`,
-    'END:VEVENT',
-    'END:VCALENDAR'
-  ].join('\r\n');
-}
-
 /* ------------------------------------------------------------------ */
 /* API                                                                */
 /* ------------------------------------------------------------------ */
+// Tenant for every API call (lib/tenants.js); unknown ?agent= keys get 404 unknown_agent
+app.use('/api', withTenant);
+// Requests from the phone bridge on a caller's behalf (lib/phone.js)
+app.use('/api', (req, _res, next) => { req.internal = isInternalRequest(req); next(); });
+
 app.get('/api/health', (_req, res) => res.json({ ok: true }));
 
-app.get('/api/db-info', async (_req, res) => {
+/* ---- Abuse limits (lib/limits.js) ---- */
+const limits = {
+  bookIp: createLimiter('book-ip', process.env.BOOK_RATE_IP ?? '10/h'),
+  bookEmail: createLimiter('book-email', process.env.BOOK_RATE_EMAIL ?? '3/h'),
+  holdIp: createLimiter('hold-ip', process.env.HOLD_RATE_IP ?? '30/h'),
+  ttsIp: createLimiter('tts-ip', process.env.TTS_RATE_IP ?? '60/10m'),
+  realtimeIp: createLimiter('realtime-ip', process.env.REALTIME_RATE_IP ?? '6/h'),
+  conversationIp: createLimiter('conversation-ip', process.env.CONVERSATION_RATE_IP ?? '20/h'),
+  knowledgeIp: createLimiter('knowledge-ip', process.env.KNOWLEDGE_RATE_IP ?? '120/10m'),
+  handoffIp: createLimiter('handoff-ip', process.env.HANDOFF_RATE_IP ?? '10/h'),
+  eventsIp: createLimiter('events-ip', process.env.EVENTS_RATE_IP ?? '300/10m'),
+};
+// Daily spend caps across all callers (UTC day); 0 = unlimited
+const OPENAI_API_URL = process.env.OPENAI_API_URL || 'https://api.openai.com';
+const REALTIME_DAILY_SESSIONS = Number(process.env.REALTIME_DAILY_SESSION_CAP ?? 200);
+
+// Proof-of-work challenge for the booking form (off unless BOOK_POW_BITS is set)
+app.get('/api/pow', (_req, res) => {
+  res.setHeader('Cache-Control', 'no-store');
+  res.json({ ok:true, ...(POW_BITS ? issueChallenge() : { bits: 0 }) });
+});
+
+// Staff dashboard API (public/admin.html)
+app.use('/api/admin', adminRouter);
+app.post('/api/conversations', limitByIp(limits.conversationIp));
+app.use('/api/conversations', conversationsRouter);
+app.use('/api/leads', leadsRouter);
+app.use('/api/knowledge', limitByIp(limits.knowledgeIp), knowledgeRouter);
+app.post('/api/handoffs', limitByIp(limits.handoffIp));
+app.use('/api/handoffs', handoffsRouter);
+app.use('/api/events', limitByIp(limits.eventsIp), eventsRouter);
+
+app.get('/api/db-info', requireAdmin, async (_req, res) => {
   try {
     if (!pool) return res.json({ ok:false, disabled:true });
     const cols = await pool.query(`
@@ -263,18 +203,18 @@ app.get('/api/db-info', async (_req, res) => {
   } catch (e) { res.status(500).json({ ok:false, error:e.message }); }
 });
 
-app.post('/api/db-migrate', async (_req, res) => {
+app.post('/api/db-migrate', requireAdmin, async (_req, res) => {
   try { await ensureSchema(); res.json({ ok:true, disabled: !pool }); }
   catch (e) { res.status(500).json({ ok:false, error:e.message }); }
 });
 
-app.get('/api/email-verify', async (_req, res) => {
+app.get('/api/email-verify', requireAdmin, async (_req, res) => {
   if (!transporter) return res.json({ ok:false, error:'smtp_disabled' });
   try { await transporter.verify(); res.json({ ok:true }); }
   catch (e) { res.status(500).json({ ok:false, error:e.message }); }
 });
 
-app.get('/api/email-test', async (req, res) => {
+app.get('/api/email-test', requireAdmin, async (req, res) => {
   if (!transporter) return res.json({ ok:false, error:'smtp_disabled' });
   try {
     const to = clean(req.query.to || SALES_EMAIL || FROM_EMAIL);
@@ -283,12 +223,58 @@ app.get('/api/email-test', async (req, res) => {
   } catch (e) { res.status(500).json({ ok:false, error:e.message }); }
 });
 
-app.get('/api/slots', (req, res) => {
-  const { date } = req.query;
-  const base = date ? new Date(`${date}T09:00:00`) : new Date();
-  const mins = [60*10, 60*13, 60*15 + 30];
-  const slots = mins.map(min => { const d = new Date(base); d.setUTCHours(0, min, 0, 0); return d.toISOString(); });
-  res.json({ slots });
+// The tenant's open slots in [fromMs, toMs) as UTC { start, end }
+async function openSlots(tenant, fromMs, toMs, durationMin = SLOT_MIN) {
+  return generateSlots({
+    week: tenant.week, bizTz: tenant.businessTz, intervalMin: SLOT_MIN, durationMin,
+    fromMs, toMs, leadMin: MIN_LEAD_MIN, windowDays: WINDOW_DAYS,
+    busy: await loadBusy(fromMs, toMs, tenant.key)
+  });
+}
+
+// A few open slots closest to a time that turned out to be taken, rendered in tz
+async function suggestAlternatives(tenant, startISO, durationMin, tz, limit = 5) {
+  try {
+    const t = Date.parse(startISO);
+    const slots = await openSlots(tenant, t - 2 * 86400000, t + 7 * 86400000, durationMin);
+    return slots
+      .sort((a, b) => Math.abs(Date.parse(a.start) - t) - Math.abs(Date.parse(b.start) - t))
+      .slice(0, limit)
+      .sort((a, b) => a.start.localeCompare(b.start))
+      .map(s => renderSlot(s, tz));
+  } catch (e) {
+    console.warn('alternatives failed:', e?.message);
+    return [];
+  }
+}
+
+// GET /api/slots?tz=Europe/London&from=YYYY-MM-DD&to=YYYY-MM-DD (or &date=YYYY-MM-DD)
+// Dates are calendar days in the caller's zone; slots come back rendered in that zone.
+app.get('/api/slots', async (req, res) => {
+  try {
+    const { tenant } = req;
+    const tz = clean(req.query.tz) || tenant.businessTz;
+    if (!isValidTimeZone(tz)) return res.status(400).json({ ok:false, error:'invalid_tz' });
+
+    const today = localParts(Date.now(), tz).date;
+    const from = clean(req.query.date || req.query.from) || today;
+    let to = clean(req.query.date || req.query.to) || addDays(from, 6);
+    if (!isIsoDate(from) || !isIsoDate(to) || to < from) {
+      return res.status(400).json({ ok:false, error:'invalid_date_range' });
+    }
+    if (to > addDays(from, WINDOW_DAYS)) to = addDays(from, WINDOW_DAYS);
+
+    const duration = Math.min(Math.max(Number(req.query.duration) || SLOT_MIN, 15), 240);
+    const fromMs = Date.parse(zonedToUtcISO(from, '00:00', tz));
+    const toMs = Date.parse(zonedToUtcISO(addDays(to, 1), '00:00', tz));
+
+    const slots = (await openSlots(tenant, fromMs, toMs, duration)).map(s => renderSlot(s, tz));
+
+    res.json({ ok:true, tz, from, to, duration, businessHours: tenant.businessHours, businessTz: tenant.businessTz, slots });
+  } catch (e) {
+    console.error('slots error', e);
+    res.status(500).json({ ok:false, error:'server_error' });
+  }
 });
 
 /* ---- In-memory dedupe ---- */
@@ -299,10 +285,48 @@ setInterval(() => {
   for (const [k, t] of recentBookings) if (t <= now) recentBookings.delete(k);
 }, 30000);
 
+/* ---- Slot holds ---- */
+// POST /api/holds { start } or { date, time, timeZone }, plus optional duration/email/source.
+// Reserves the slot for HOLD_TTL_SEC; pass the token back to /api/book as holdToken.
+app.post('/api/holds', limitByIp(limits.holdIp), async (req, res) => {
+  if (!pool) return res.status(503).json({ ok:false, error:'db_disabled' });
+  try {
+    const b = req.body || {};
+    const timeZone = clean(pick(b, ['timeZone','timezone','tz'])) || 'UTC';
+    const duration = Number(pick(b, ['duration'], SLOT_MIN)) || SLOT_MIN;
+    const start = clean(pick(b, ['start']));
+    const startISO = start
+      ? (Number.isNaN(Date.parse(start)) ? null : new Date(start).toISOString())
+      : zonedToUtcISO(clean(pick(b, ['date'])), clean(pick(b, ['time'])), timeZone);
+    if (!startISO) return res.status(400).json({ ok:false, error:'invalid_time' });
+    const endISO = new Date(Date.parse(startISO) + duration * 60000).toISOString();
+
+    const r = await createHold({
+      tenant: req.tenant.key, startISO, endISO,
+      email: clean(pick(b, ['email'])) || null,
+      source: clean(pick(b, ['source'], 'web'))
+    });
+    if (!r.ok) {
+      return res.status(409).json({ ...r, alternatives: await suggestAlternatives(req.tenant, startISO, duration, timeZone) });
+    }
+    res.status(201).json({ ...r, hold: { ...r.hold, ...renderSlot(r.hold, timeZone) } });
+  } catch (e) {
+    console.error('hold error', e);
+    res.status(500).json({ ok:false, error:'server_error' });
+  }
+});
+
+app.delete('/api/holds/:token', async (req, res) => {
+  if (!pool) return res.status(503).json({ ok:false, error:'db_disabled' });
+  try { res.json({ ok:true, released: await releaseHold(req.params.token) }); }
+  catch (e) { res.status(500).json({ ok:false, error:e.message }); }
+});
+
 /* ---- Booking endpoint ---- */
-app.post('/api/book', async (req, res) => {
+app.post('/api/book', limitByIp(limits.bookIp), async (req, res) => {
   const b = req.body || {};
-  const logTag = `[BOOK ${b?.source || 'web'}]`;
+  const { tenant } = req;
+  const logTag = `[BOOK ${b?.source || 'web'}${tenant.key === DEFAULT_TENANT_KEY ? '' : ` ${tenant.key}`}]`;
 
   console.log(`${logTag} req:`, {
     fullName: b?.fullName, email: b?.email, date: b?.date, time: b?.time,
@@ -310,127 +334,90 @@ app.post('/api/book', async (req, res) => {
   });
 
   try {
-    const fullName = clean(pick(b, ['fullName','full_name','name']));
-    const email    = clean(pick(b, ['email','mail']));
-    const phone    = clean(pick(b, ['phone','tel','telephone']));
-    const company  = clean(pick(b, ['company','org']));
-    const date     = clean(pick(b, ['date']));
-    const time     = clean(pick(b, ['time']));
-    const timeZone = clean(pick(b, ['timeZone','timezone','tz'])) || 'UTC';
-    const notes    = String(pick(b, ['notes','message']));
-    const duration = Number(pick(b, ['duration'], 60)) || 60;
-    const plan     = clean(pick(b, ['plan']));
-    const tier     = clean(pick(b, ['tier']));
-    const source   = clean(pick(b, ['source'], 'pricing'));
-
-    if (!fullName || !email || !date || !time) {
-      console.warn(`${logTag} 400 missing fields`);
-      return res.status(400).json({ ok:false, error:'Missing required fields: fullName, email, date, time.' });
+    // Honeypot: a field people never see. Bots that fill it get a quiet fake success.
+    if (clean(pick(b, ['website', 'url_hp']))) {
+      console.warn(`${logTag} honeypot tripped from ${req.ip}`);
+      return res.json({ ok:true, id: null });
+    }
+    if (!req.internal && !verifyPow(b.pow)) {
+      console.warn(`${logTag} 400 proof-of-work missing or invalid`);
+      return res.status(400).json({ ok:false, error:'invalid_pow' });
     }
 
-    const dedupKey = `${email}|${date}|${time}|${timeZone}`;
+    const check = validateBooking(b, { week: tenant.week, bizTz: tenant.businessTz });
+    if (!check.ok) {
+      console.warn(`${logTag} 400 invalid fields:`, check.fields);
+      return res.status(400).json(invalidFieldsBody(check.fields));
+    }
+    const { fullName, email, phone, company, date, time, timeZone, notes, duration, plan, tier, source, startISO, endISO } = check.value;
+    // Voice bookings follow the language the caller actually spoke (lib/conversations.js) over the browser's
+    const conversationId = clean(pick(b, ['conversationId']));
+    const spoken = pool && conversationId
+      ? await conversationLocale(conversationId).catch(e => { console.warn(`${logTag} conversation locale failed:`, e?.message); return null; })
+      : null;
+    const locale   = resolveLocale(spoken || pick(b, ['locale','lang']) || req.headers['accept-language']);
+
+    const dedupKey = `${tenant.key}|${email}|${date}|${time}|${timeZone}`;
     const now = Date.now();
     if (recentBookings.get(dedupKey) > now) {
       console.log(`${logTag} deduped`);
       return res.json({ ok:true, dedup:true });
     }
-    recentBookings.set(dedupKey, now + DEDUP_SECONDS * 1000);
 
-    const startISO = zonedToUtcISO(date, time, timeZone);
-    const endISO   = startISO ? new Date(new Date(startISO).getTime() + duration * 60000).toISOString() : null;
+    // Per-address limit keeps the form from being used to spam someone's inbox
+    const emailLimit = await limits.bookEmail.take(email);
+    if (!emailLimit.ok) {
+      console.warn(`${logTag} 429 too many bookings for ${email}`);
+      return tooMany(res, emailLimit.retryAfter);
+    }
 
+    const holdToken = clean(pick(b, ['holdToken','hold_token'])) || undefined;
+
+    let bookingId = null;
+    let row = {
+      full_name: fullName, name: fullName, email, phone, company, notes: notes || null,
+      timezone: timeZone, start_utc: startISO, end_utc: endISO, duration_min: duration,
+      source, plan: plan || null, tier: tier || null, locale, date: date || null, time: time || null,
+      tenant: tenant.key, manage_token: createManageToken(), ics_uid: newIcsUid(), ics_sequence: 0
+    };
     if (pool) {
       try {
-        await pool.query(
-          `INSERT INTO bookings
-           (full_name, name, email, phone, company, notes, timezone,
-            start_utc, end_utc, duration_min, source, date, "time")
-           VALUES ($1,$2,$3,$4,$5,$6,$7,$8,$9,$10,$11,$12,$13)`,
-          [fullName, fullName, email, phone, company, notes || null, timeZone,
-           startISO, endISO, duration, source, date || null, time || null]
-        );
+        const saved = await insertBooking(row, { holdToken });
+        if (!saved.ok) {
+          console.log(`${logTag} 409 ${saved.error}`);
+          return res.status(409).json({
+            ok:false, error: saved.error,
+            message: 'That time is no longer available.',
+            alternatives: await suggestAlternatives(tenant, startISO, duration, timeZone)
+          });
+        }
+        if (saved.duplicate) {
+          console.log(`${logTag} duplicate of #${saved.id}`);
+          recentBookings.set(dedupKey, now + DEDUP_SECONDS * 1000);
+          return res.json({ ok:true, dedup:true, id: saved.id });
+        }
+        bookingId = saved.id;
+        row = saved.booking;
       } catch (e) { console.warn(`${logTag} db insert failed:`, e?.message); }
     }
+    recentBookings.set(dedupKey, now + DEDUP_SECONDS * 1000);
 
-    const emailStatus = { sales:false, user:false };
-    if (transporter) {
-      try {
-        const startLocal = buildLocalIso(date, time, 0);
-        const endLocal   = buildLocalIso(date, time, duration);
-        const ics = icsInvite({
-          title: `${BRAND} — Intro Call (pending confirmation)`,
-          description: `With: ${fullName}${company ? ` (${company})` : ''}\nPhone: ${phone || '—'}`,
-          startLocal, endLocal, tzid: timeZone,
-          organizerEmail: FROM_ADDR, organizerName: BRAND,
-        });
-
-        const whenLabel = prettyWhen(startISO, endISO, timeZone) || `${date} ${time} ${timeZone}`;
-        const html = `
-          <div style="font-family:Inter,system-ui,-apple-system,Segoe UI,Roboto,Arial,sans-serif;color:#0f172a">
-            <h2 style="margin:0 0 8px 0">${BRAND}</h2>
-            <p style="margin:0 0 10px 0">
-              Thanks for booking a call with ${BRAND}! We’ll reply shortly with the call information
-              (Zoom/Google Meet) and next steps.
-            </p>
-            <div style="margin:16px 0;padding:12px 14px;border:1px solid #e2e8f0;border-radius:12px;background:#f8fafc">
-              <div style="font-weight:700">Requested time</div>
-              <div>${whenLabel}</div>
-            </div>
-            <p style="margin:8px 0">We’ve attached a calendar invite. If you need to change anything, just reply to this email.</p>
-            <p style="margin:18px 0 0 0">— Team ${BRAND}</p>
-          </div>
-        `.trim();
-
-        await transporter.sendMail({
-          from: FROM_EMAIL,
-          to: email,
-          replyTo: process.env.SUPPORT_EMAIL || FROM_ADDR,
-          subject: `Thanks for booking — we’ll confirm call details soon`,
-          text: `Thanks for booking a call with ${BRAND}! We’ll reply shortly with the call information and next steps.
-Requested time: ${whenLabel}
-A calendar invite is attached. If you need to change anything, just reply to this email.
-
-— Team ${BRAND}`,
-          html,
-          attachments: [{ filename:'invite.ics', content: ics, contentType:'text/calendar; charset=utf-8; method=REQUEST' }],
-          bcc: ARCHIVE_BCC || undefined,
-          headers: { 'X-Mailgun-Tag': MAILGUN_TAG }
-        });
-        emailStatus.user = true;
-      } catch (e) { console.warn(`${logTag} sendMail(user) failed:`, e?.message); }
+    // Voice bookings: sales hears about it with the conversation summary (lib/conversations.js)
+    const deferSales = bookingId && conversationId
+      ? await linkBooking(conversationId, bookingId).catch(e => { console.warn(`${logTag} link conversation failed:`, e?.message); return false; })
+      : false;
 
-      try {
-        await transporter.sendMail({
-          from: FROM_EMAIL,
-          to: SALES_EMAIL,
-          replyTo: email,
-          subject: `New booking — ${fullName} — ${date} ${time}`,
-          text:
-`New booking request
-
-Name:    ${fullName}
-Email:   ${email}
-Phone:   ${phone || '-'}
-Company: ${company || '-'}
-
-Plan:    ${plan} ${tier}
-When:    ${date} ${time} (${timeZone})
-Length:  ${duration} minutes
-
-Notes:
-${(notes || '-')}
-`,
-          bcc: ARCHIVE_BCC || undefined,
-          headers: { 'X-Mailgun-Tag': MAILGUN_TAG }
-        });
-        emailStatus.sales = true;
-      } catch (e) { console.warn(`${logTag} sendMail(sales) failed:`, e?.message); }
-    } else {
-      console.warn(`${logTag} transporter missing, email not sent`);
-    }
+    if (bookingId) emitBookingEvent('booking.created', row);
+    const emailStatus = await sendBookingReceived(row, { logTag, notifySales: !deferSales });
 
     console.log(`${logTag} ok -> email:`, emailStatus);
-    res.json({ ok:true, email: emailStatus, debug: { db: !!pool, startISO, endISO } });
+    // message: the confirmation the form shows and the voice agent reads out, in the booking's language
+    const s = strings(locale);
+    res.json({
+      ok:true, id: bookingId, manageToken: bookingId ? row.manage_token : undefined, email: emailStatus, locale,
+      message: s.agent.booked(prettyWhen(startISO, endISO, timeZone, s.intl) || `${date} ${time} (${timeZone})`),
+      debug: { db: !!pool, startISO, endISO }
+    });
   } catch (err) {
     console.error('BOOK 500:', err);
     res.status(500).json({ ok:false, error:'Server error' });
@@ -438,149 +425,175 @@ ${(notes || '-')}
 });
 
 /* ------------------------------------------------------------------ */
-/* Shared fetch helper                                                 */
+/* Self-service reschedule / cancel (token from the confirmation email) */
 /* ------------------------------------------------------------------ */
-async function getFetch() {
-  if (globalThis.fetch) return globalThis.fetch;
-  const mod = await import('node-fetch');
-  return mod.default || mod;
+function publicBooking(row) {
+  const tz = row.timezone || 'UTC';
+  const start = row.start_utc ? new Date(row.start_utc).toISOString() : null;
+  const end = row.end_utc ? new Date(row.end_utc).toISOString() : null;
+  const local = start ? localParts(Date.parse(start), tz) : {};
+  const status = row.status || 'pending';
+  return {
+    fullName: row.full_name || row.name, email: row.email, company: row.company || '',
+    status, timeZone: tz, start, end, duration: row.duration_min,
+    date: local.date || null, time: local.time || null,
+    whenLabel: start && end ? prettyWhen(start, end, tz) : '',
+    meetingUrl: status === 'confirmed' ? row.meeting_url || '' : '',
+    canChange: !['cancelled', 'declined'].includes(status) && !!start && Date.parse(start) > Date.now()
+  };
 }
 
-/* ------------------------------------------------------------------ */
-/* ElevenLabs TTS proxy (streaming MP3)                                */
-/* ------------------------------------------------------------------ */
-app.post('/api/elevenlabs/tts', async (req, res) => {
-  try {
-    const apiKey = process.env.ELEVENLABS_API_KEY;
-    if (!apiKey) return res.status(500).json({ error: 'missing_elevenlabs_key' });
+// Resolves the booking for :token or answers the request itself and returns null
+async function bookingForToken(req, res) {
+  if (!pool) { res.status(503).json({ ok:false, error:'db_disabled' }); return null; }
+  const token = String(req.params.token || '');
+  const row = verifyManageToken(token) ? await findBookingByToken(token) : null;
+  if (!row) { res.status(404).json({ ok:false, error:'not_found' }); return null; }
+  return row;
+}
 
-    const {
-      text,
-      voiceId = process.env.ELEVENLABS_VOICE || '21m00Tcm4TlvDq8ikWAM', // Rachel
-      modelId = process.env.ELEVENLABS_TTS_MODEL_ID || 'eleven_multilingual_v2'
-    } = req.body || {};
+function changeBlocked(row) {
+  const status = row.status || 'pending';
+  if (status === 'cancelled' || status === 'declined') return `booking_${status}`;
+  if (!row.start_utc || new Date(row.start_utc).getTime() <= Date.now()) return 'booking_past';
+  return null;
+}
 
-    if (!text || !String(text).trim()) {
-      return res.status(400).json({ error: 'missing_text' });
-    }
+app.get('/api/bookings/:token', async (req, res) => {
+  try {
+    const row = await bookingForToken(req, res);
+    if (row) res.json({ ok:true, booking: publicBooking(row) });
+  } catch (e) {
+    console.error('booking lookup error', e);
+    res.status(500).json({ ok:false, error:'server_error' });
+  }
+});
 
-    const httpFetch = await getFetch();
-    const r = await httpFetch(`https://api.elevenlabs.io/v1/text-to-speech/${voiceId}/stream`, {
-      method: 'POST',
-      headers: {
-        'xi-api-key': apiKey,
-        'Content-Type': 'application/json',
-        'Accept': 'audio/mpeg'
-      },
-      body: JSON.stringify({
-        text,
-        model_id: modelId,
-        voice_settings: { stability: 0.4, similarity_boost: 0.8, style: 0.3, use_speaker_boost: true },
-        optimize_streaming_latency: 1
-      })
+// PATCH /api/bookings/:token { date, time, timeZone } or { start }
+app.patch('/api/bookings/:token', async (req, res) => {
+  try {
+    const row = await bookingForToken(req, res);
+    if (!row) return;
+    const blocked = changeBlocked(row);
+    if (blocked) return res.status(409).json({ ok:false, error: blocked });
+
+    const b = req.body || {};
+    const timeZone = clean(pick(b, ['timeZone','timezone','tz'])) || row.timezone || 'UTC';
+    if (!isValidTimeZone(timeZone)) return res.status(400).json({ ok:false, error:'invalid_tz' });
+    const start = clean(pick(b, ['start']));
+    const date = clean(pick(b, ['date'])), time = clean(pick(b, ['time']));
+    const startISO = start
+      ? (Number.isNaN(Date.parse(start)) ? null : new Date(start).toISOString())
+      : zonedToUtcISO(date, time, timeZone);
+    if (!startISO) return res.status(400).json({ ok:false, error:'invalid_time' });
+
+    // Same rules as /api/book: DST gaps, lead time, booking window, business hours
+    const tenant = tenantOf(row);
+    const duration = row.duration_min || SLOT_MIN;
+    const local = localParts(Date.parse(startISO), timeZone);
+    const fields = !start && (local.date !== date || local.time !== time)
+      ? { time: 'invalid_time' }
+      : slotTimeFields(Date.parse(startISO), duration, { timeZone, week: tenant.week, bizTz: tenant.businessTz });
+    if (Object.keys(fields).length) return res.status(400).json(invalidFieldsBody(fields));
+
+    const endISO = new Date(Date.parse(startISO) + duration * 60000).toISOString();
+    const r = await rescheduleBooking(row.id, {
+      start_utc: startISO, end_utc: endISO, duration_min: duration,
+      timezone: timeZone, date: local.date, time: local.time
     });
-
-    if (!r.ok) {
-      const err = await r.text().catch(() => '');
-      return res.status(r.status).type('text/plain').send(err || 'TTS error');
+    if (r.error === 'slot_taken') {
+      return res.status(409).json({ ...r, alternatives: await suggestAlternatives(tenant, startISO, duration, timeZone) });
     }
-
-    res.setHeader('Content-Type', 'audio/mpeg');
-    res.setHeader('Cache-Control', 'no-store');
-    r.body.pipe(res);
+    if (!r.ok) return res.status(409).json(r);
+    console.log(`[BOOK rescheduled] #${row.id} -> ${startISO}`);
+    emitBookingEvent('booking.rescheduled', r.booking);
+    const email = await sendBookingChange(r.booking, 'rescheduled');
+    res.json({ ok:true, booking: publicBooking(r.booking), email });
   } catch (e) {
-    console.error('elevenlabs tts error', e);
-    res.status(500).json({ error: 'server_error' });
+    console.error('reschedule error', e);
+    res.status(500).json({ ok:false, error:'server_error' });
   }
 });
-// --- Add this block above where baseInstructions is built ---
-const BRAND_PROFILE = `
-You represent **Agentlyne**.
-
-What Agentlyne does (authoritative canon):
-- Agentlyne builds voice AI agents for businesses.
-- Core capabilities: 24/7 inbound call answering/reception, live appointment booking, lead qualification, FAQ/KB answers, smart routing/hand-off, and outbound follow-up campaigns.
-- Goal: answer every call, book more appointments, never lose a lead.
 
-Tone & style:
-- Friendly, concise, human. 1–2 sentences unless clarification is needed.
-- Avoid meta talk and filler like "As an AI…".
+app.delete('/api/bookings/:token', async (req, res) => {
+  try {
+    const row = await bookingForToken(req, res);
+    if (!row) return;
+    const blocked = changeBlocked(row);
+    if (blocked) return res.status(409).json({ ok:false, error: blocked });
+
+    const r = await cancelBooking(row.id);
+    if (!r.ok) return res.status(409).json(r);
+    const updated = r.booking;
+    console.log(`[BOOK cancelled] #${row.id}`);
+    emitBookingEvent('booking.cancelled', updated);
+    const email = await sendBookingChange(updated, 'cancelled');
+    res.json({ ok:true, booking: publicBooking(updated), email });
+  } catch (e) {
+    console.error('cancel error', e);
+    res.status(500).json({ ok:false, error:'server_error' });
+  }
+});
 
-Hard guardrails:
-- Do **not** claim that Agentlyne is a real estate company or any other vertical. If asked, clearly state Agentlyne is a **voice AI** company.
-- If you don’t know a factual detail (e.g., office address, pricing tiers not shown), say you’re not sure and offer to find out or point to the pricing page.
-- If the user asks “What do you do?”, answer with: “We build voice AI that answers calls, qualifies leads, and books appointments—plus outbound follow-ups.”
+/* ------------------------------------------------------------------ */
+/* Shared fetch helper                                                 */
+/* ------------------------------------------------------------------ */
+async function getFetch() {
+  if (globalThis.fetch) return globalThis.fetch;
+  const mod = await import('node-fetch');
+  return mod.default || mod;
+}
 
-When scheduling:
-- You can propose times and collect details per the booking protocol.
-`.trim();
+/* ------------------------------------------------------------------ */
+/* Text-to-speech (ElevenLabs / OpenAI / local engine, see lib/tts.js)  */
+/* ------------------------------------------------------------------ */
+app.use('/api/tts', limitByIp(limits.ttsIp), ttsRouter);
+app.use('/api/elevenlabs/tts', limitByIp(limits.ttsIp), ttsRouter);
 
 /* ------------------------------------------------------------------ */
 /* OpenAI Realtime: mint ephemeral client session                      */
 /* ------------------------------------------------------------------ */
-app.post('/api/openai/realtime-session', async (req, res) => {
+app.post('/api/openai/realtime-session', limitByIp(limits.realtimeIp), async (req, res) => {
   try {
     const apiKey = process.env.OPENAI_API_KEY;
     if (!apiKey) return res.status(500).json({ error: 'Missing OPENAI_API_KEY' });
 
-    // IMPORTANT: Only include voice if client provides one. If null/undefined,
-    // we omit it so OpenAI does NOT synthesize audio (we'll use ElevenLabs).
-    const voiceProvided = (req.body && 'voice' in req.body);
-    const requestedVoice = voiceProvided ? req.body.voice : undefined;
-
-    const BRAND = process.env.BRAND_NAME || 'Agentlyne';
-    const HOURS = process.env.BUSINESS_HOURS || 'Mon–Fri 9am–5pm';
-    const BIZ_TZ = process.env.BUSINESS_TZ || 'America/New_York';
-    const SLOT_MIN = Number(process.env.SLOT_INTERVAL_MIN || 60);
-    const WINDOW_DAYS = Number(process.env.WINDOW_DAYS || 30);
-
-    const bookingProtocol = `
-You can schedule intro calls for ${BRAND}.
-Collect: full name, email, (optional) phone/company, desired date, time, and the user's time zone (IANA).
-Confirm details. When the user confirms, EMIT EXACTLY ONE LINE:
-
-<<BOOK>>{"fullName":"...","email":"...","phone":"...","company":"...","date":"YYYY-MM-DD","time":"HH:mm","timeZone":"IANA/TZ","duration":${SLOT_MIN}}
-
-Rules:
-- The line must start with "<<BOOK>>" and then one compact JSON object.
-- Use 24h HH:mm time in the user's own time zone.
-- Default duration is ${SLOT_MIN} minutes.
-- Business hours: ${HOURS} (${BIZ_TZ}); suggest within ${WINDOW_DAYS} days.
-Do not add any other text on that line.
-`.trim();
-
-    const baseInstructions = [
-  'You are a warm, concise voice agent for the website. Keep replies under two sentences unless clarifying.',
-  BRAND_PROFILE,
-  bookingProtocol
-].join('\n\n');
-
-
-    const instructions = (req.body?.instructions ? `${req.body.instructions}\n` : '') + baseInstructions;
+    // Agent profile (lib/agentProfiles.js): persona, language, model, turn detection, voices.
+    // locale (navigator.language) is where a profile without a fixed language starts.
+    const hint = languageTag(req.body?.locale);
+    const profile = await getProfile(req.tenant, clean(req.body?.profile) || DEFAULT_PROFILE_NAME, { hint });
+    if (!profile) return res.status(404).json({ error: 'unknown_profile' });
+    const body = sessionBody(req.tenant, profile, { extra: req.body?.instructions, hint });
+
+    // An explicit voice still overrides the profile's; null means no OpenAI voice
+    // (the browser speaks the text through /api/tts)
+    if (req.body && 'voice' in req.body) {
+      if (req.body.voice != null && !REALTIME_VOICES.includes(req.body.voice)) return res.status(400).json({ error: 'invalid_voice' });
+      if (req.body.voice) body.voice = req.body.voice;
+      else delete body.voice;
+    }
 
     const httpFetch = await getFetch();
-    const body = {
-      model: 'gpt-4o-realtime-preview',
-      modalities: ['text', 'audio'], // keep audio for low-latency ASR, but omit 'voice' to mute TTS
-      instructions
-    };
-    if (requestedVoice) body.voice = requestedVoice; // only add if explicitly provided
-
-    const r = await httpFetch('https://api.openai.com/v1/realtime/sessions', {
+    if (!(await reserveDaily('realtime_sessions', 1, REALTIME_DAILY_SESSIONS)).ok) {
+      console.warn('[LIMIT] daily realtime session cap reached');
+      return tooMany(res, secondsToMidnightUtc(), 'daily_cap_reached');
+    }
+    const r = await httpFetch(`${OPENAI_API_URL}/v1/realtime/sessions`, {
       method: 'POST',
       headers: {
         Authorization: `Bearer ${apiKey}`,
         'Content-Type': 'application/json'
       },
       body: JSON.stringify(body)
-    });
+    }).catch(e => { releaseDaily('realtime_sessions', 1); throw e; });
 
     const data = await r.json().catch(() => ({}));
     if (!r.ok || !data?.client_secret?.value) {
+      releaseDaily('realtime_sessions', 1);
       console.error('OpenAI realtime session failed:', r.status, data);
       return res.status(500).json({ error: data?.error?.message || `OpenAI returned ${r.status}` });
     }
-    res.json({ client_secret: data.client_secret, model: data.model });
+    res.json({ client_secret: data.client_secret, model: data.model, profile: publicProfile({ ...profile, voice: body.voice || null }) });
   } catch (e) {
     console.error('realtime-session error', e);
     res.status(500).json({ error: 'server_error' });
@@ -593,8 +606,21 @@ Do not add any other text on that line.
 async function bootstrap() {
   await initDbPool();
   await ensureSchema();
+  startOutbox();
+  startWebhooks();
+  startConversations();
+  startReminders();
+  knowledgeStats(DEFAULT_TENANT)
+    .then(s => console.log('Knowledge: %d chunks from %d files', s.chunks, s.files.length))
+    .catch(e => console.warn('Knowledge: index failed:', e?.message));
+  const tts = ttsProviderStatus();
+  console.log('TTS providers: %s', TTS_DEFAULT_ORDER.map(p => `${p}${tts[p] ? '' : ' (not configured)'}`).join(' -> '));
+  ttsCacheStats()
+    .then(s => console.log(s.enabled ? `TTS cache: ${s.clips} clips, ${(s.bytes / 1048576).toFixed(1)} of ${s.maxBytes / 1048576} MB in ${s.dir}` : 'TTS cache: disabled'))
+    .catch(e => console.warn('TTS cache: unavailable:', e?.message));
   const PORT = process.env.PORT || 10000;
-  app.listen(PORT, () => console.log(`API listening on :${PORT}`));
+  const server = app.listen(PORT, () => console.log(`API listening on :${PORT}`));
+  attachPhoneBridge(server, { dailySessions: REALTIME_DAILY_SESSIONS });
 }
 bootstrap().catch(err => {
   console.error('Fatal bootstrap error:', err);